@@ -7,11 +7,36 @@
 const chalk = require('chalk');
 require('dotenv').config();
 
-const PostgresDB = require('./database/postgres');
-const MySQLDB = require('./database/mysql');
+const { createAdapter, resolveDatabaseTypes } = require('./database/registry');
 const WriteTest = require('./tests/writeTest');
 const ReadTest = require('./tests/readTest');
 const PerformanceReporter = require('./utils/reporter');
+const { loadScenario, runScenario, resolveScenarioDatabases } = require('./scenario');
+const { recordRun } = require('./history');
+const { parseSeed, randomSeed } = require('./utils/random');
+
+/**
+ * BENCHMARK_SEED, else a random seed recorded with the run
+ */
+function benchmarkSeed(fallback) {
+    const seed = parseSeed(process.env.BENCHMARK_SEED !== undefined ? process.env.BENCHMARK_SEED : fallback);
+    return seed === null ? randomSeed() : seed;
+}
+
+/**
+ * Write the JSON results, the HTML report when BENCHMARK_HTML names a file, and record
+ * the run in the history unless BENCHMARK_HISTORY is 0 or false
+ */
+function exportBenchmark(reporter, label) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    reporter.exportToJSON(`benchmark-results-${label ? `${label}-` : ''}${timestamp}.json`);
+    if (process.env.BENCHMARK_HTML) {
+        reporter.exportToHTML(process.env.BENCHMARK_HTML);
+    }
+    if (!['0', 'false'].includes(String(process.env.BENCHMARK_HISTORY).toLowerCase())) {
+        recordRun(reporter);
+    }
+}
 
 async function runComprehensiveBenchmark() {
     console.log(chalk.bold.magenta('🚀 PostgreSQL vs MySQL Performance Benchmark'));
@@ -28,29 +53,31 @@ async function runComprehensiveBenchmark() {
         userCount: 1000,
         readQueries: 10000,
         readLimit: 100,
-        useBatchInsert: true
+        insertMode: 'transaction',
+        seed: benchmarkSeed()
     };
     
     console.log(chalk.blue('\n📋 Test Configuration:'));
     console.log(chalk.gray(JSON.stringify(config, null, 2)));
     
-    // Test both databases
-    const databases = [
-        { name: 'postgres', class: PostgresDB, connString: process.env.POSTGRES_CONN_STRING },
-        { name: 'mysql', class: MySQLDB, connString: process.env.MYSQL_CONN_STRING }
-    ];
+    // Test both databases unless BENCHMARK_DATABASES selects others
+    const databases = resolveDatabaseTypes(process.env.BENCHMARK_DATABASES || 'both');
+    reporter.setConfig({ command: 'benchmark', databases, ...config });
     
-    for (const { name, class: DbClass, connString } of databases) {
-        if (!connString) {
-            console.error(chalk.red(`❌ Missing connection string for ${name.toUpperCase()}`));
+    for (const name of databases) {
+        let db;
+        try {
+            db = createAdapter(name);
+        } catch (error) {
+            console.error(chalk.red(`❌ Cannot create ${name.toUpperCase()} adapter: ${error.message}`));
             continue;
         }
         
         try {
             console.log(chalk.bold.yellow(`\n🎯 Testing ${name.toUpperCase()}...`));
             
-            const db = new DbClass(connString);
             await db.connect();
+            await reporter.recordServerInfo(name, db);
             
             // Setup table
             console.log(chalk.blue('🔧 Setting up table...'));
@@ -64,7 +91,8 @@ async function runComprehensiveBenchmark() {
                 batchSize: config.batchSize,
                 concurrency: config.concurrency,
                 userCount: config.userCount,
-                useBatchInsert: config.useBatchInsert
+                insertMode: config.insertMode,
+                seed: config.seed
             });
             
             const writeResults = await writeTest.run();
@@ -76,7 +104,8 @@ async function runComprehensiveBenchmark() {
                 totalQueries: config.readQueries,
                 concurrency: config.concurrency,
                 userCount: config.userCount,
-                readLimit: config.readLimit
+                readLimit: config.readLimit,
+                seed: config.seed
             });
             
             const readResults = await readTest.run();
@@ -96,16 +125,35 @@ async function runComprehensiveBenchmark() {
     reporter.generateCompleteReport();
     
     // Export results
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `benchmark-results-${timestamp}.json`;
-    reporter.exportToJSON(filename);
+    exportBenchmark(reporter);
     
     console.log(chalk.bold.green('\n🎉 Benchmark complete!'));
 }
 
-// Run the benchmark
+/**
+ * Run a scenario file instead of the built-in configuration
+ */
+async function runScenarioBenchmark(scenarioFile) {
+    const scenario = loadScenario(scenarioFile);
+    const databases = resolveScenarioDatabases(scenario, process.env.BENCHMARK_DATABASES);
+    const reporter = new PerformanceReporter();
+    const seed = benchmarkSeed((scenario.defaults || {}).seed);
+    reporter.setConfig({ command: 'run', databases, scenario, seed });
+    
+    await runScenario(scenario, { databases, reporter, seed });
+    
+    console.log(chalk.bold.blue('\n📊 Generating performance report...'));
+    reporter.generateCompleteReport();
+    
+    exportBenchmark(reporter, scenario.name);
+}
+
+// Run the benchmark: `node src/benchmark.js [scenario-file]`
 if (require.main === module) {
-    runComprehensiveBenchmark()
+    const scenarioFile = process.argv[2];
+    const benchmark = scenarioFile ? runScenarioBenchmark(scenarioFile) : runComprehensiveBenchmark();
+    
+    benchmark
         .then(() => {
             console.log(chalk.green('Benchmark finished successfully'));
             process.exit(0);
@@ -116,4 +164,4 @@ if (require.main === module) {
         });
 }
 
-module.exports = { runComprehensiveBenchmark };
+module.exports = { runComprehensiveBenchmark, runScenarioBenchmark };
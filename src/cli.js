@@ -1,15 +1,41 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
 const { Command } = require('commander');
 const chalk = require('chalk');
 require('dotenv').config();
 
-const PostgresDB = require('./database/postgres');
-const MySQLDB = require('./database/mysql');
+const { createAdapter, loadAdapterModule, resolveDatabaseTypes } = require('./database/registry');
+const { INSERT_MODES, READ_QUERIES } = require('./database/adapter');
 const WriteTest = require('./tests/writeTest');
 const ReadTest = require('./tests/readTest');
+const MixedTest = require('./tests/mixedTest');
+const { DEFAULT_MIX, MIXED_OPERATIONS } = require('./tests/mixedTest');
+const { DEFAULT_QUERY_MIX, USER_SOURCES, parseQueryMix, resolveUserSource, resolveMissRatio } = require('./tests/readTest');
 const PerformanceReporter = require('./utils/reporter');
-const { generateTestConfig } = require('./utils/dataGenerator');
+const { EXPORTERS, parseExportFormats } = require('./utils/reporter');
+const { parseThreshold } = require('./utils/results');
+const { DEFAULT_CONFIDENCE } = require('./utils/statistics');
+const { resolveSignificantDigits } = require('./utils/histogram');
+const { loadScenario, runScenario, resolveScenarioDatabases } = require('./scenario');
+const { DEFAULT_TOLERANCE, parseTolerances, loadResultsFile, compareResults, printComparison } = require('./compare');
+const { RunHistory, recordRun, collectTrend, printHistoryList, printHistoryRun, printHistoryTrend } = require('./history');
+const { DataGenerator, ROLES, CONTENT_TYPES, DEFAULT_DATA_PROFILE, resolveDataProfile, describeDataProfile, generateTestConfig } = require('./utils/dataGenerator');
+const { SeededRandom, parseSeed, randomSeed } = require('./utils/random');
+const { writeDataset, describeDataset } = require('./dataset');
+const { DEFAULT_EXPLAIN_SAMPLES, resolveExplainSamples } = require('./explain');
+const {
+    SCHEMA_VARIANTS,
+    ID_GENERATIONS,
+    PARTITION_INTERVALS,
+    DEFAULT_PARTITION_LAYOUT,
+    resolveSchemaVariant,
+    resolveIdGeneration,
+    resolvePartitionLayout,
+    describeSchemaVariant
+} = require('./schema');
+
+const DEFAULT_RECORDS = 1000000;
 
 const program = new Command();
 
@@ -18,83 +44,493 @@ program
     .description('PostgreSQL vs MySQL performance comparison tool')
     .version('1.0.0');
 
-program
+// Load external adapters before any command resolves its --database list
+program.hook('preAction', (thisCommand, actionCommand) => {
+    const adapterPaths = actionCommand.opts().adapter || [];
+    for (const adapterPath of adapterPaths) {
+        const definitions = loadAdapterModule(adapterPath);
+        console.log(chalk.gray(`Loaded adapter(s) ${definitions.map(d => d.name).join(', ')} from ${adapterPath}`));
+    }
+});
+
+const USER_DISTRIBUTIONS = 'uniform, zipf[:s] or hotspot[:users:share]';
+
+/**
+ * --database and --adapter, for every command that connects to databases
+ */
+function addDatabaseOptions(command, description = 'Database type(s): adapter name, comma-separated list, both or all', defaultValue = 'both') {
+    return command
+        .option('-d, --database <type>', description, defaultValue)
+        .option('--adapter <path...>', 'Load additional database adapter module(s)');
+}
+
+/**
+ * Worker, user and seed options of the test commands
+ */
+function addWorkloadOptions(command) {
+    return command
+        .option('-c, --concurrency <number>', 'Number of concurrent workers', '10')
+        .option('-u, --users <number>', 'Number of unique users', '1000')
+        .option('--seed <value>', 'Seed for generated data and read user selection (default: random, recorded with the results)');
+}
+
+/**
+ * Record count, batching, insert mode and dataset options of write and benchmark
+ */
+function addWriteOptions(command) {
+    return command
+        .option('-n, --records <number>', `Total number of records to insert (default: ${DEFAULT_RECORDS}, or the --dataset row count)`)
+        .option('-b, --batch-size <number>', 'Batch size for inserts', '20')
+        .option('--insert-mode <mode>', `Insert strategy (${Object.keys(INSERT_MODES).join(', ')})`)
+        .option('--batch-insert', 'Shorthand for --insert-mode transaction', false)
+        .option('--dataset <file>', 'Insert rows streamed from a file written by "dataset generate" instead of generating them');
+}
+
+/**
+ * Options read by parseRunOptions(); write runs no read queries, so it has no --explain
+ */
+function addRunOptions(command, { explain = true } = {}) {
+    command
+        .option('--duration <seconds>', 'Measure for a wall-clock duration instead of a fixed count')
+        .option('--warmup <seconds>', 'Warmup time executed before measuring (excluded from results)', '0')
+        .option('--cooldown <seconds>', 'Cooldown time executed after measuring (excluded from results)', '0')
+        .option('--rate <ops/sec>', 'Open-loop mode: schedule operations at a fixed arrival rate')
+        .option('--histogram-digits <digits>', 'Latency histogram precision in significant digits (1-4)', '3')
+        .option('--timeline-interval <seconds>', 'Timeline bucket size (0 disables the timeline)', '1')
+        .option('--no-live-timeline', 'Do not print timeline buckets while the test runs')
+        .option('--no-server-metrics', 'Do not snapshot server statistics (pg_stat_*, SHOW GLOBAL STATUS) around each test');
+    if (explain) {
+        command.option('--explain [samples]', `EXPLAIN ANALYZE up to this many parameter sets of every distinct read query (default: ${DEFAULT_EXPLAIN_SAMPLES})`);
+    }
+    return command;
+}
+
+/**
+ * Options read by parseReadOptions()
+ */
+function addReadOptions(command) {
+    return command
+        .option('--query-mix <weights>', `Read query type weights (${Object.keys(READ_QUERIES).join(', ')})`, DEFAULT_QUERY_MIX)
+        .option('--time-range <seconds>', 'Window size for time-range queries', '3600')
+        .option('--max-offset <rows>', 'Deepest OFFSET used by offset pagination queries', '1000')
+        .option('--user-source <source>', `Users queried by reads (${Object.keys(USER_SOURCES).join(', ')})`, 'range')
+        .option('--miss-ratio <fraction>', 'Share of reads (0-1) aimed at users, ids or time ranges that do not exist', '0');
+}
+
+/**
+ * Options read by parseDataOptions()
+ */
+function addDataOptions(command, users = 'User selection for writes and reads') {
+    return command
+        .option('--user-distribution <spec>', `${users}: ${USER_DISTRIBUTIONS}`, DEFAULT_DATA_PROFILE.users)
+        .option('--message-length <distribution>', 'Message length in characters, e.g. fixed:1500 or lognormal:1500:0.8', DEFAULT_DATA_PROFILE.messageLength)
+        .option('--role-weights <weights>', `Role weights (${ROLES.join(', ')}), e.g. user=50,assistant=45,system=5`)
+        .option('--content <type>', `Message text (${Object.keys(CONTENT_TYPES).join(', ')})`, DEFAULT_DATA_PROFILE.content);
+}
+
+/**
+ * Options read by parseRepeatOptions(); --reset-table is left out where a test must keep its data
+ */
+function addRepeatOptions(command, { resetTable = true } = {}) {
+    command.option('--repeat <n>', 'Run each test n times and report mean, spread and confidence intervals', '1');
+    if (resetTable) {
+        command.option('--reset-table', 'Drop and recreate the table before each run', false);
+    }
+    return command.option('--confidence <percent>', 'Confidence level for intervals and significance tests', String(DEFAULT_CONFIDENCE));
+}
+
+/**
+ * Options read by parseSchemaOptions() and parsePartitionLayout(), plus --id-generation for
+ * the commands that insert rows or read them back
+ */
+function addSchemaOptions(command, { idGeneration = true } = {}) {
+    command
+        .option('--id-strategy <strategy>', `primary key strategy (${Object.keys(SCHEMA_VARIANTS.id).join(', ')})`)
+        .option('--config-type <type>', `config column type (${Object.keys(SCHEMA_VARIANTS.config).join(', ')})`)
+        .option('--title-type <type>', `title column type (${Object.keys(SCHEMA_VARIANTS.title).join(', ')})`)
+        .option('--timestamp-type <type>', `timestamp column type (${Object.keys(SCHEMA_VARIANTS.timestamp).join(', ')})`)
+        .option('--index-profile <profile>', `secondary indexes (${Object.keys(SCHEMA_VARIANTS.indexes).join(', ')})`)
+        .option('--partitioning <method>', `table partitioning (${Object.keys(SCHEMA_VARIANTS.partitioning).join(', ')})`)
+        .option('--partitions <number>', 'Hash/key partitions, or RANGE partitions before the catch-all', String(DEFAULT_PARTITION_LAYOUT.partitions))
+        .option('--partition-interval <interval>', `RANGE partition length (${Object.keys(PARTITION_INTERVALS).join(', ')})`, DEFAULT_PARTITION_LAYOUT.interval);
+    if (idGeneration) {
+        command.option('--id-generation <where>', `generate ids on the server or in the client (${ID_GENERATIONS.join(', ')})`, 'server');
+    }
+    return command;
+}
+
+/**
+ * Export, report and history options read by createReporter() and writeOutputs()
+ */
+function addOutputOptions(command) {
+    return command
+        .option('--timeline-csv <filename>', 'Export the per-interval timeline to a CSV file')
+        .option('--html <filename>', 'Write a self-contained HTML report with charts')
+        .option('--export <filename>', 'Export results to a file (JSON unless --export-format is given)')
+        .option('--export-format <formats>', `Comma-separated export formats (${Object.keys(EXPORTERS).join(', ')})`)
+        .option('--threshold <check...>', 'Threshold checks for JUnit/Markdown exports, e.g. write.p99<=50 read.qps>=1000')
+        .option('--no-history', 'Do not record this run in the local run history');
+}
+
+const setup = program
     .command('setup')
-    .description('Setup database tables')
-    .option('-d, --database <type>', 'Database type (postgres, mysql, both)', 'both')
-    .option('--drop', 'Drop existing tables before creating new ones', false)
+    .description('Setup database tables');
+addDatabaseOptions(setup)
+    .option('--drop', 'Drop existing tables before creating new ones', false);
+addSchemaOptions(setup, { idGeneration: false })
     .action(async (options) => {
         await setupDatabases(options);
     });
 
-program
+const write = program
     .command('write')
-    .description('Run write performance test')
-    .option('-d, --database <type>', 'Database type (postgres, mysql, both)', 'both')
-    .option('-n, --records <number>', 'Total number of records to insert', '1000000')
-    .option('-b, --batch-size <number>', 'Batch size for inserts', '20')
-    .option('-c, --concurrency <number>', 'Number of concurrent workers', '10')
-    .option('-u, --users <number>', 'Number of unique users', '1000')
-    .option('--batch-insert', 'Use batch insert instead of individual inserts', false)
+    .description('Run write performance test');
+addDatabaseOptions(write);
+addWriteOptions(write);
+addWorkloadOptions(write);
+addRunOptions(write, { explain: false });
+addDataOptions(write);
+addRepeatOptions(write);
+addSchemaOptions(write);
+addOutputOptions(write)
     .action(async (options) => {
         await runWriteTest(options);
     });
 
-program
+const read = program
     .command('read')
-    .description('Run read performance test')
-    .option('-d, --database <type>', 'Database type (postgres, mysql, both)', 'both')
+    .description('Run read performance test');
+addDatabaseOptions(read)
     .option('-q, --queries <number>', 'Total number of queries to execute', '10000')
-    .option('-c, --concurrency <number>', 'Number of concurrent workers', '10')
-    .option('-u, --users <number>', 'Number of unique users', '1000')
     .option('-l, --limit <number>', 'Maximum records per query', '100')
+    .option('--user-distribution <spec>', `User selection: ${USER_DISTRIBUTIONS}`, DEFAULT_DATA_PROFILE.users);
+addReadOptions(read);
+addWorkloadOptions(read);
+addRunOptions(read);
+addRepeatOptions(read, { resetTable: false });
+addSchemaOptions(read);
+addOutputOptions(read)
     .action(async (options) => {
         await runReadTest(options);
     });
 
-program
-    .command('benchmark')
-    .description('Run complete benchmark (write + read tests)')
-    .option('-d, --database <type>', 'Database type (postgres, mysql, both)', 'both')
-    .option('-n, --records <number>', 'Total number of records to insert', '1000000')
-    .option('-b, --batch-size <number>', 'Batch size for inserts', '20')
-    .option('-c, --concurrency <number>', 'Number of concurrent workers', '10')
-    .option('-u, --users <number>', 'Number of unique users', '1000')
-    .option('-q, --queries <number>', 'Total number of read queries', '10000')
+const mixed = program
+    .command('mixed')
+    .description('Run mixed read/write workload test');
+addDatabaseOptions(mixed)
+    .option('-n, --operations <number>', 'Total number of operations to execute', '10000')
     .option('-l, --limit <number>', 'Maximum records per read query', '100')
-    .option('--batch-insert', 'Use batch insert instead of individual inserts', false)
+    .option('-b, --batch-size <number>', 'Records per insertBatch operation', '20')
+    .option('--mix <weights>', `Operation weights (${MIXED_OPERATIONS.join(', ')})`, DEFAULT_MIX)
+    .option('--insert-mode <mode>', `Insert strategy for insertBatch (${Object.keys(INSERT_MODES).join(', ')})`, 'transaction');
+addWorkloadOptions(mixed);
+addRunOptions(mixed);
+addDataOptions(mixed);
+addRepeatOptions(mixed);
+addSchemaOptions(mixed);
+addOutputOptions(mixed)
+    .action(async (options) => {
+        await runMixedTest(options);
+    });
+
+const benchmark = program
+    .command('benchmark')
+    .description('Run complete benchmark (write + read tests)');
+addDatabaseOptions(benchmark)
     .option('--setup', 'Setup tables before running tests', false)
-    .option('--export <filename>', 'Export results to JSON file')
+    .option('-q, --queries <number>', 'Total number of read queries', '10000')
+    .option('-l, --limit <number>', 'Maximum records per read query', '100');
+addWriteOptions(benchmark);
+addReadOptions(benchmark);
+addWorkloadOptions(benchmark);
+addRunOptions(benchmark);
+addDataOptions(benchmark);
+addRepeatOptions(benchmark);
+addSchemaOptions(benchmark);
+addOutputOptions(benchmark)
     .action(async (options) => {
         await runBenchmark(options);
     });
 
-async function createDatabaseConnection(type) {
-    if (type === 'postgres') {
-        if (!process.env.POSTGRES_CONN_STRING) {
-            throw new Error('POSTGRES_CONN_STRING environment variable is required');
+const run = program
+    .command('run <scenario-file>')
+    .description('Run a multi-phase scenario described in a JSON or YAML file');
+addDatabaseOptions(run, 'Override the databases listed in the scenario', undefined)
+    .option('--validate', 'Only validate the scenario file', false)
+    .option('--seed <value>', 'Seed for phases without their own (default: the scenario defaults, else random)');
+addOutputOptions(run)
+    .action(async (scenarioFile, options) => {
+        await runScenarioFile(scenarioFile, options);
+    });
+
+program
+    .command('compare <baseline> <candidate>')
+    .description('Compare two JSON result exports and exit non-zero on regression')
+    .option('-t, --tolerance <percent...>', 'Allowed change in percent, overall or per metric (e.g. 5 p99=10 tps=2)', [String(DEFAULT_TOLERANCE)])
+    .option('--no-fail', 'Report regressions without a non-zero exit code')
+    .action((baselineFile, candidateFile, options) => {
+        compareResultFiles(baselineFile, candidateFile, options);
+    });
+
+const dataset = program
+    .command('dataset')
+    .description('Generate message datasets that write and benchmark can replay with --dataset');
+
+const generate = dataset
+    .command('generate <file>')
+    .description('Write a seeded message corpus to an NDJSON file (gzip-compressed when the name ends in .gz)')
+    .option('-n, --records <number>', 'Number of rows to generate', '100000')
+    .option('-u, --users <number>', 'Number of unique users', '1000')
+    .option('--seed <value>', 'Seed for the generated rows (default: random, stored in the file header)')
+    .option('--gzip', 'Compress with gzip regardless of the file name', false);
+addDataOptions(generate, 'User selection')
+    .action(async (file, options) => {
+        await generateDatasetFile(file, options);
+    });
+
+const history = program
+    .command('history')
+    .description('Browse runs recorded in the local history (LOADTEST_HISTORY_DIR, default .loadtest-history)');
+
+history
+    .command('list')
+    .description('List recorded runs')
+    .option('-n, --limit <number>', 'Show the most recent runs only', '20')
+    .action((options) => {
+        printHistoryList(new RunHistory(), { limit: parseInt(options.limit) });
+    });
+
+history
+    .command('show <id>')
+    .description('Show the configuration, server metadata and results of a run (id, id prefix or "latest")')
+    .option('--json', 'Print the stored run as JSON', false)
+    .action((id, options) => {
+        showHistoryRun(id, options);
+    });
+
+history
+    .command('trend')
+    .description('Show how a metric evolves across recorded runs')
+    .requiredOption('-m, --metric <metric>', 'Metric as [test type or phase.]metric, e.g. write.tps or read.p99')
+    .option('-d, --database <names>', 'Comma-separated databases to include')
+    .option('-n, --limit <number>', 'Use the most recent runs only', '20')
+    .action((options) => {
+        showHistoryTrend(options);
+    });
+
+function parseRunOptions(options) {
+    return {
+        duration: options.duration ? parseFloat(options.duration) * 1000 : null,
+        warmup: parseFloat(options.warmup || 0) * 1000,
+        cooldown: parseFloat(options.cooldown || 0) * 1000,
+        rate: options.rate ? parseFloat(options.rate) : null,
+        histogramDigits: resolveSignificantDigits(options.histogramDigits),
+        timelineInterval: parseFloat(options.timelineInterval) * 1000,
+        liveTimeline: options.liveTimeline,
+        serverMetrics: options.serverMetrics,
+        explain: resolveExplainSamples(options.explain)
+    };
+}
+
+/**
+ * Read query mix, user source and miss ratio options shared by read and benchmark
+ */
+function parseReadOptions(options) {
+    return {
+        queryMix: parseQueryMix(options.queryMix),
+        timeRange: parseFloat(options.timeRange),
+        maxOffset: parseInt(options.maxOffset),
+        userSource: resolveUserSource(options.userSource),
+        missRatio: resolveMissRatio(options.missRatio)
+    };
+}
+
+/**
+ * Data profile from --user-distribution, --message-length, --role-weights and --content
+ */
+function parseDataOptions(options) {
+    return resolveDataProfile({
+        users: options.userDistribution,
+        messageLength: options.messageLength,
+        roles: options.roleWeights,
+        content: options.content
+    });
+}
+
+/**
+ * --seed, or a fresh random seed recorded with the run so that it can be reproduced
+ */
+function resolveSeed(options) {
+    const seed = parseSeed(options.seed);
+    return seed === null ? randomSeed() : seed;
+}
+
+/**
+ * Header and row count of the --dataset file, if any
+ */
+async function loadDatasetOption(options) {
+    if (!options.dataset) {
+        return null;
+    }
+    
+    const dataset = await describeDataset(options.dataset);
+    if (dataset.userCount && dataset.userCount !== parseInt(options.users)) {
+        console.log(chalk.yellow(`⚠️  ${dataset.file} was generated for ${dataset.userCount} users, but --users is ${options.users}`));
+    }
+    return dataset;
+}
+
+/**
+ * --records, defaulting to the dataset's row count when replaying one
+ */
+function parseRecordCount(options, dataset) {
+    if (options.records) {
+        return parseInt(options.records);
+    }
+    return dataset ? dataset.rows : DEFAULT_RECORDS;
+}
+
+/**
+ * --repeat, --reset-table and --confidence options
+ */
+function parseRepeatOptions(options) {
+    const repeat = parseInt(options.repeat);
+    if (!(repeat >= 1)) {
+        throw new Error(`--repeat must be a positive integer, got ${options.repeat}`);
+    }
+    
+    const confidence = parseFloat(options.confidence);
+    if (!(confidence > 0 && confidence < 100)) {
+        throw new Error(`--confidence must be a percentage between 0 and 100, got ${options.confidence}`);
+    }
+    
+    return { repeat, resetTable: Boolean(options.resetTable), confidence };
+}
+
+/**
+ * Run a test `repeat` times against one database, returning every run's results
+ */
+async function runRepeated(db, { repeat, resetTable }, runOnce) {
+    const runs = [];
+    for (let iteration = 1; iteration <= repeat; iteration++) {
+        if (repeat > 1) {
+            console.log(chalk.gray(`\n🔁 Run ${iteration}/${repeat}`));
         }
-        return new PostgresDB(process.env.POSTGRES_CONN_STRING);
-    } else if (type === 'mysql') {
-        if (!process.env.MYSQL_CONN_STRING) {
-            throw new Error('MYSQL_CONN_STRING environment variable is required');
+        if (resetTable) {
+            await db.dropTable();
+            await db.createTable();
         }
-        return new MySQLDB(process.env.MYSQL_CONN_STRING);
+        runs.push(await runOnce());
+    }
+    return runs;
+}
+
+/**
+ * Schema variant from --id-strategy, --config-type, --title-type, --timestamp-type, --index-profile and
+ * --partitioning, used when a command creates the table; the id strategy also decides how inserts supply ids
+ */
+function parseSchemaOptions(options) {
+    return resolveSchemaVariant({
+        id: options.idStrategy,
+        config: options.configType,
+        title: options.titleType,
+        timestamp: options.timestampType,
+        indexes: options.indexProfile,
+        partitioning: options.partitioning
+    });
+}
+
+/**
+ * Partition count and RANGE interval from --partitions and --partition-interval
+ */
+function parsePartitionLayout(options) {
+    return resolvePartitionLayout({ partitions: options.partitions, interval: options.partitionInterval });
+}
+
+function resolveInsertMode(options) {
+    const mode = options.insertMode || (options.batchInsert ? 'transaction' : 'single');
+    if (!INSERT_MODES[mode]) {
+        throw new Error(`Unknown insert mode: ${mode} (expected ${Object.keys(INSERT_MODES).join(', ')})`);
+    }
+    return mode;
+}
+
+/**
+ * Reporter with the command's threshold checks; export formats are validated before any test runs
+ */
+function createReporter(options) {
+    const reporter = new PerformanceReporter();
+    
+    parseExportFormats(options.exportFormat);
+    reporter.setThresholds((options.threshold || []).map(parseThreshold));
+    return reporter;
+}
+
+/**
+ * Write the exports requested on the command line and record the run in the local history
+ */
+function writeOutputs(reporter, options) {
+    if (options.history !== false && reporter.resultEntries().length > 0) {
+        recordRun(reporter);
+    }
+    
+    if (options.export || options.exportFormat) {
+        reporter.exportFormats(parseExportFormats(options.exportFormat), options.export);
+    }
+    
+    if (options.timelineCsv) {
+        reporter.exportTimelineCSV(options.timelineCsv);
+    }
+    
+    if (options.html) {
+        reporter.exportToHTML(options.html);
+    }
+}
+
+function showHistoryRun(id, options) {
+    let run;
+    try {
+        run = new RunHistory().load(id);
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exitCode = 1;
+        return;
+    }
+    
+    if (options.json) {
+        console.log(JSON.stringify(run, null, 2));
     } else {
-        throw new Error(`Unsupported database type: ${type}`);
+        printHistoryRun(run);
+    }
+}
+
+function showHistoryTrend(options) {
+    try {
+        const runs = new RunHistory().loadAll().slice(-parseInt(options.limit));
+        const databases = options.database ? options.database.split(',').map(name => name.trim()) : null;
+        printHistoryTrend(collectTrend(runs, options.metric, databases));
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exitCode = 1;
     }
 }
 
 async function setupDatabases(options) {
-    const databases = options.database === 'both' ? ['postgres', 'mysql'] : [options.database];
+    const databases = resolveDatabaseTypes(options.database);
+    const schema = parseSchemaOptions(options);
+    const partitionLayout = parsePartitionLayout(options);
     
     console.log(chalk.blue('🔧 Setting up databases...'));
+    console.log(chalk.gray(`Schema: ${describeSchemaVariant(schema)}`));
+    if (schema.partitioning !== 'none') {
+        console.log(chalk.gray(`Partitions: ${partitionLayout.partitions}${schema.partitioning === 'range' ? ` x ${partitionLayout.interval} + catch-all` : ''}`));
+    }
     
     for (const dbType of databases) {
         try {
             console.log(chalk.yellow(`\nSetting up ${dbType.toUpperCase()}...`));
             
-            const db = await createDatabaseConnection(dbType);
+            const db = createAdapter(dbType, { schema, partitionLayout });
             await db.connect();
             
             if (options.drop) {
@@ -113,31 +549,43 @@ async function setupDatabases(options) {
 }
 
 async function runWriteTest(options) {
-    const databases = options.database === 'both' ? ['postgres', 'mysql'] : [options.database];
-    const reporter = new PerformanceReporter();
+    const databases = resolveDatabaseTypes(options.database);
+    const reporter = createReporter(options);
     
+    const dataset = await loadDatasetOption(options);
     const config = {
-        totalRecords: parseInt(options.records),
+        totalRecords: parseRecordCount(options, dataset),
         batchSize: parseInt(options.batchSize),
         concurrency: parseInt(options.concurrency),
         userCount: parseInt(options.users),
-        useBatchInsert: options.batchInsert
+        insertMode: resolveInsertMode(options),
+        data: dataset ? dataset.data : parseDataOptions(options),
+        seed: resolveSeed(options),
+        dataset,
+        ...parseRunOptions(options)
     };
+    const repeatOptions = parseRepeatOptions(options);
+    const schema = parseSchemaOptions(options);
+    const idGeneration = resolveIdGeneration(schema, options.idGeneration);
+    const partitionLayout = parsePartitionLayout(options);
+    
+    reporter.setConfig({ command: 'write', databases, ...config, ...repeatOptions, schema, idGeneration, partitionLayout });
     
     console.log(chalk.blue('✍️  Starting write performance tests...'));
     console.log(chalk.gray(`Config: ${JSON.stringify(config, null, 2)}`));
+    console.log(chalk.gray(`Ids: ${schema.id}, generated ${idGeneration}-side`));
     
     for (const dbType of databases) {
         try {
             console.log(chalk.yellow(`\n📝 Testing ${dbType.toUpperCase()} write performance...`));
             
-            const db = await createDatabaseConnection(dbType);
+            const db = createAdapter(dbType, { schema, idGeneration, partitionLayout });
             await db.connect();
+            await reporter.recordServerInfo(dbType, db);
             
-            const writeTest = new WriteTest(db, config);
-            const results = await writeTest.run();
+            const runs = await runRepeated(db, repeatOptions, () => new WriteTest(db, config).run());
             
-            reporter.addResults(dbType, 'write', results);
+            reporter.addRepeatedResults(dbType, 'write', runs, repeatOptions.confidence);
             
             await db.close();
         } catch (error) {
@@ -148,18 +596,34 @@ async function runWriteTest(options) {
     if (databases.length > 1) {
         reporter.generateWriteComparison();
     }
+    
+    reporter.generateRepeatAnalysis();
+    reporter.generateTableSummary();
+    reporter.generateThresholdSummary();
+    writeOutputs(reporter, options);
 }
 
 async function runReadTest(options) {
-    const databases = options.database === 'both' ? ['postgres', 'mysql'] : [options.database];
-    const reporter = new PerformanceReporter();
+    const databases = resolveDatabaseTypes(options.database);
+    const reporter = createReporter(options);
     
     const config = {
         totalQueries: parseInt(options.queries),
         concurrency: parseInt(options.concurrency),
         userCount: parseInt(options.users),
-        readLimit: parseInt(options.limit)
+        readLimit: parseInt(options.limit),
+        data: parseDataOptions(options),
+        seed: resolveSeed(options),
+        ...parseReadOptions(options),
+        ...parseRunOptions(options)
     };
+    const repeatOptions = parseRepeatOptions(options);
+    // The table already exists, but the adapter still needs its layout, e.g. to prune partitions
+    const schema = parseSchemaOptions(options);
+    const idGeneration = resolveIdGeneration(schema, options.idGeneration);
+    const partitionLayout = parsePartitionLayout(options);
+    
+    reporter.setConfig({ command: 'read', databases, ...config, ...repeatOptions, schema, idGeneration, partitionLayout });
     
     console.log(chalk.blue('📖 Starting read performance tests...'));
     console.log(chalk.gray(`Config: ${JSON.stringify(config, null, 2)}`));
@@ -168,13 +632,13 @@ async function runReadTest(options) {
         try {
             console.log(chalk.yellow(`\n📚 Testing ${dbType.toUpperCase()} read performance...`));
             
-            const db = await createDatabaseConnection(dbType);
+            const db = createAdapter(dbType, { schema, idGeneration, partitionLayout });
             await db.connect();
+            await reporter.recordServerInfo(dbType, db);
             
-            const readTest = new ReadTest(db, config);
-            const results = await readTest.run();
+            const runs = await runRepeated(db, repeatOptions, () => new ReadTest(db, config).run());
             
-            reporter.addResults(dbType, 'read', results);
+            reporter.addRepeatedResults(dbType, 'read', runs, repeatOptions.confidence);
             
             await db.close();
         } catch (error) {
@@ -185,26 +649,173 @@ async function runReadTest(options) {
     if (databases.length > 1) {
         reporter.generateReadComparison();
     }
+    
+    reporter.generateRepeatAnalysis();
+    reporter.generateTableSummary();
+    reporter.generateThresholdSummary();
+    writeOutputs(reporter, options);
+}
+
+async function runMixedTest(options) {
+    const databases = resolveDatabaseTypes(options.database);
+    const reporter = createReporter(options);
+    
+    const config = {
+        totalOperations: parseInt(options.operations),
+        concurrency: parseInt(options.concurrency),
+        userCount: parseInt(options.users),
+        readLimit: parseInt(options.limit),
+        batchSize: parseInt(options.batchSize),
+        mix: options.mix,
+        insertMode: resolveInsertMode(options),
+        data: parseDataOptions(options),
+        seed: resolveSeed(options),
+        ...parseRunOptions(options)
+    };
+    const repeatOptions = parseRepeatOptions(options);
+    const schema = parseSchemaOptions(options);
+    const idGeneration = resolveIdGeneration(schema, options.idGeneration);
+    const partitionLayout = parsePartitionLayout(options);
+    
+    reporter.setConfig({ command: 'mixed', databases, ...config, ...repeatOptions, schema, idGeneration, partitionLayout });
+    
+    console.log(chalk.blue('🔀 Starting mixed workload tests...'));
+    console.log(chalk.gray(`Config: ${JSON.stringify(config, null, 2)}`));
+    console.log(chalk.gray(`Ids: ${schema.id}, generated ${idGeneration}-side`));
+    
+    for (const dbType of databases) {
+        try {
+            console.log(chalk.yellow(`\n🔀 Testing ${dbType.toUpperCase()} mixed workload...`));
+            
+            const db = createAdapter(dbType, { schema, idGeneration, partitionLayout });
+            await db.connect();
+            await reporter.recordServerInfo(dbType, db);
+            
+            const runs = await runRepeated(db, repeatOptions, () => new MixedTest(db, config).run());
+            
+            reporter.addRepeatedResults(dbType, 'mixed', runs, repeatOptions.confidence);
+            
+            await db.close();
+        } catch (error) {
+            console.error(chalk.red(`❌ Mixed test failed for ${dbType}: ${error.message}`));
+        }
+    }
+    
+    reporter.generateMixedComparison();
+    
+    reporter.generateRepeatAnalysis();
+    reporter.generateTableSummary();
+    reporter.generateThresholdSummary();
+    writeOutputs(reporter, options);
+}
+
+async function generateDatasetFile(file, options) {
+    try {
+        const rows = parseInt(options.records);
+        if (!(rows >= 1)) {
+            throw new Error(`--records must be a positive integer, got ${options.records}`);
+        }
+        const seed = resolveSeed(options);
+        const generator = new DataGenerator(parseDataOptions(options), {
+            userCount: parseInt(options.users),
+            random: new SeededRandom(seed).fork('data')
+        });
+        
+        console.log(chalk.blue(`📦 Generating ${rows} rows into ${file}...`));
+        console.log(chalk.gray(`Data: ${describeDataProfile(generator.profile, seed)}`));
+        
+        const startTime = Date.now();
+        await writeDataset(file, generator, { rows, seed, gzip: options.gzip || file.endsWith('.gz') });
+        
+        const size = fs.statSync(file).size;
+        console.log(chalk.green(`✅ Wrote ${rows} rows (${(size / 1024 / 1024).toFixed(1)} MB) in ${((Date.now() - startTime) / 1000).toFixed(1)}s`));
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exitCode = 1;
+    }
+}
+
+async function runScenarioFile(scenarioFile, options) {
+    let scenario;
+    let databases;
+    try {
+        scenario = loadScenario(scenarioFile);
+        databases = resolveScenarioDatabases(scenario, options.database);
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exitCode = 1;
+        return;
+    }
+    
+    if (options.validate) {
+        console.log(chalk.green(`✅ Scenario "${scenario.name}" is valid`));
+        console.log(chalk.gray(`Databases: ${databases.join(', ')}`));
+        scenario.phases.forEach((phase, index) => {
+            console.log(chalk.gray(`  ${index + 1}. ${phase.name} (${phase.type}${phase.workload ? `: ${phase.workload}` : ''})`));
+        });
+        return;
+    }
+    
+    const reporter = createReporter(options);
+    const seed = resolveSeed({ seed: options.seed === undefined ? (scenario.defaults || {}).seed : options.seed });
+    reporter.setConfig({ command: 'run', databases, scenario, seed });
+    await runScenario(scenario, { databases, reporter, seed });
+    
+    reporter.generateCompleteReport();
+    
+    writeOutputs(reporter, options);
+}
+
+function compareResultFiles(baselineFile, candidateFile, options) {
+    let comparison;
+    try {
+        const tolerances = parseTolerances(options.tolerance);
+        comparison = compareResults(loadResultsFile(baselineFile), loadResultsFile(candidateFile), tolerances);
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exitCode = 2;
+        return;
+    }
+    
+    if (comparison.pairs.length === 0) {
+        console.error(chalk.red('❌ No matching database and test entries between the two files'));
+        process.exitCode = 2;
+        return;
+    }
+    
+    printComparison(comparison, { baselineFile, candidateFile });
+    
+    if (comparison.regressions > 0 && options.fail) {
+        process.exitCode = 1;
+    }
 }
 
 async function runBenchmark(options) {
-    const databases = options.database === 'both' ? ['postgres', 'mysql'] : [options.database];
-    const reporter = new PerformanceReporter();
+    const databases = resolveDatabaseTypes(options.database);
+    const reporter = createReporter(options);
     
     console.log(chalk.bold.magenta('🚀 Starting comprehensive database benchmark...'));
     
     // Setup if requested
     if (options.setup) {
-        await setupDatabases({ database: options.database, drop: true });
+        await setupDatabases({ ...options, drop: true });
     }
     
+    // One seed for both tests, so every database receives the same rows and queries
+    const seed = resolveSeed(options);
+    const dataset = await loadDatasetOption(options);
+    
     // Write test configuration
     const writeConfig = {
-        totalRecords: parseInt(options.records),
+        totalRecords: parseRecordCount(options, dataset),
         batchSize: parseInt(options.batchSize),
         concurrency: parseInt(options.concurrency),
         userCount: parseInt(options.users),
-        useBatchInsert: options.batchInsert
+        insertMode: resolveInsertMode(options),
+        data: dataset ? dataset.data : parseDataOptions(options),
+        seed,
+        dataset,
+        ...parseRunOptions(options)
     };
     
     // Read test configuration
@@ -212,28 +823,43 @@ async function runBenchmark(options) {
         totalQueries: parseInt(options.queries),
         concurrency: parseInt(options.concurrency),
         userCount: parseInt(options.users),
-        readLimit: parseInt(options.limit)
+        readLimit: parseInt(options.limit),
+        // Reads follow the dataset's user distribution when its header records one
+        data: dataset && dataset.data ? dataset.data : parseDataOptions(options),
+        seed,
+        ...parseReadOptions(options),
+        ...parseRunOptions(options)
     };
     
+    const repeatOptions = parseRepeatOptions(options);
+    const schema = parseSchemaOptions(options);
+    const idGeneration = resolveIdGeneration(schema, options.idGeneration);
+    const partitionLayout = parsePartitionLayout(options);
+    
+    reporter.setConfig({ command: 'benchmark', databases, write: writeConfig, read: readConfig, ...repeatOptions, schema, idGeneration, partitionLayout });
+    console.log(chalk.gray(`Ids: ${schema.id}, generated ${idGeneration}-side`));
+    
     // Run tests for each database
     for (const dbType of databases) {
         try {
             console.log(chalk.bold.yellow(`\n🎯 Benchmarking ${dbType.toUpperCase()}...`));
             
-            const db = await createDatabaseConnection(dbType);
+            const db = createAdapter(dbType, { schema, idGeneration, partitionLayout });
             await db.connect();
+            await reporter.recordServerInfo(dbType, db);
             
-            // Write test
-            console.log(chalk.blue(`\n📝 Running write test for ${dbType}...`));
-            const writeTest = new WriteTest(db, writeConfig);
-            const writeResults = await writeTest.run();
-            reporter.addResults(dbType, 'write', writeResults);
-            
-            // Read test
-            console.log(chalk.blue(`\n📖 Running read test for ${dbType}...`));
-            const readTest = new ReadTest(db, readConfig);
-            const readResults = await readTest.run();
-            reporter.addResults(dbType, 'read', readResults);
+            // Each run is a write test followed by a read test over the data it wrote
+            const runs = await runRepeated(db, repeatOptions, async () => {
+                console.log(chalk.blue(`\n📝 Running write test for ${dbType}...`));
+                const write = await new WriteTest(db, writeConfig).run();
+                
+                console.log(chalk.blue(`\n📖 Running read test for ${dbType}...`));
+                const read = await new ReadTest(db, readConfig).run();
+                
+                return { write, read };
+            });
+            reporter.addRepeatedResults(dbType, 'write', runs.map(run => run.write), repeatOptions.confidence);
+            reporter.addRepeatedResults(dbType, 'read', runs.map(run => run.read), repeatOptions.confidence);
             
             await db.close();
             
@@ -247,10 +873,7 @@ async function runBenchmark(options) {
     // Generate comprehensive report
     reporter.generateCompleteReport();
     
-    // Export results if requested
-    if (options.export) {
-        reporter.exportToJSON(options.export);
-    }
+    writeOutputs(reporter, options);
 }
 
 // Handle uncaught errors
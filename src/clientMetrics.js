@@ -0,0 +1,204 @@
+/**
+ * Load generator self-monitoring: while a test runs, the benchmark process samples
+ * its own CPU time, heap, garbage collection pauses and event-loop lag. All workers
+ * share one Node event loop that also generates the message payloads, so a busy
+ * loop delays every operation and the test measures the client instead of the
+ * database. Such runs are flagged as saturated.
+ */
+
+const v8 = require('v8');
+const { performance, monitorEventLoopDelay, PerformanceObserver } = require('perf_hooks');
+const { formatBytes } = require('./schema');
+
+// Interval of the CPU, heap and event-loop samples kept with the summary
+const SAMPLE_INTERVAL_MS = 1000;
+
+// Event-loop delay histogram resolution; reported lag excludes it
+const LOOP_RESOLUTION_MS = 10;
+
+/**
+ * Limits beyond which the load generator counts as saturated
+ */
+const SATURATION_LIMITS = {
+    cpuPercent: 90, // Process CPU time as a share of one core
+    eventLoopUtilization: 90, // Share of time the event loop was busy
+    eventLoopP99Ms: 20, // Delay added to at least 1% of timers and I/O callbacks
+    gcPercent: 10, // Share of time paused for garbage collection
+    heapPercent: 90 // Peak heap use against the V8 heap size limit
+};
+
+/**
+ * Columns of a client monitor summary in the console, HTML and CSV reports
+ */
+const CLIENT_REPORT_COLUMNS = [
+    { label: 'CPU (%)', csv: 'client_cpu_pct', value: client => client.cpu.percent, format: value => value.toFixed(1) },
+    { label: 'Peak CPU (%)', csv: null, value: client => client.cpu.maxPercent, format: value => value.toFixed(1) },
+    { label: 'Loop Busy (%)', csv: 'client_loop_busy_pct', value: client => client.eventLoop.utilization, format: value => value.toFixed(1) },
+    { label: 'Loop Lag P99 (ms)', csv: 'client_loop_lag_p99_ms', value: client => client.eventLoop.p99LagMs, format: value => value.toFixed(2) },
+    { label: 'GC (%)', csv: 'client_gc_pct', value: client => client.gc.percent, format: value => value.toFixed(1) },
+    { label: 'Max GC Pause (ms)', csv: null, value: client => client.gc.maxPauseMs, format: value => value.toFixed(2) },
+    { label: 'Peak Heap', csv: 'client_heap_max_bytes', value: client => client.heap.maxUsedBytes, format: formatBytes }
+];
+
+function lagMs(delayNs) {
+    return Math.max(0, delayNs / 1e6 - LOOP_RESOLUTION_MS);
+}
+
+function cpuMs(usage) {
+    return (usage.user + usage.system) / 1000;
+}
+
+/**
+ * Samples the current process from start() until stop(), which returns the summary
+ */
+class ClientMonitor {
+    constructor(sampleIntervalMs = SAMPLE_INTERVAL_MS) {
+        this.sampleIntervalMs = sampleIntervalMs;
+        this.timer = null;
+    }
+
+    start() {
+        this.startedAt = performance.now();
+        this.startCpu = process.cpuUsage();
+        this.startLoop = performance.eventLoopUtilization();
+        this.startHeap = process.memoryUsage().heapUsed;
+        this.maxHeap = this.startHeap;
+        this.maxCpuPercent = 0;
+        this.samples = [];
+        this.gc = { count: 0, totalMs: 0, maxMs: 0 };
+
+        this.loopDelay = monitorEventLoopDelay({ resolution: LOOP_RESOLUTION_MS });
+        this.loopDelay.enable();
+
+        this.gcObserver = new PerformanceObserver(list => this.recordGc(list.getEntries()));
+        this.gcObserver.observe({ entryTypes: ['gc'] });
+
+        this.last = { at: this.startedAt, cpu: this.startCpu, loop: this.startLoop };
+        this.timer = setInterval(() => this.sample(), this.sampleIntervalMs);
+        this.timer.unref();
+    }
+
+    recordGc(entries) {
+        entries.forEach(entry => {
+            this.gc.count++;
+            this.gc.totalMs += entry.duration;
+            this.gc.maxMs = Math.max(this.gc.maxMs, entry.duration);
+        });
+    }
+
+    sample() {
+        const now = performance.now();
+        const cpu = process.cpuUsage();
+        const loop = performance.eventLoopUtilization();
+        const heapUsed = process.memoryUsage().heapUsed;
+
+        const cpuPercent = now > this.last.at ? ((cpuMs(cpu) - cpuMs(this.last.cpu)) / (now - this.last.at)) * 100 : 0;
+        this.maxCpuPercent = Math.max(this.maxCpuPercent, cpuPercent);
+        this.maxHeap = Math.max(this.maxHeap, heapUsed);
+        this.samples.push({
+            offsetMs: Math.round(now - this.startedAt),
+            cpuPercent,
+            eventLoopUtilization: performance.eventLoopUtilization(loop, this.last.loop).utilization * 100,
+            heapUsedBytes: heapUsed
+        });
+        this.last = { at: now, cpu, loop };
+    }
+
+    /**
+     * Stop sampling and summarize the whole run, with the saturation limits it crossed
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.sample();
+        this.loopDelay.disable();
+        this.recordGc(this.gcObserver.takeRecords());
+        this.gcObserver.disconnect();
+
+        const elapsedMs = performance.now() - this.startedAt;
+        const cpuTime = process.cpuUsage(this.startCpu);
+        const heapLimit = v8.getHeapStatistics().heap_size_limit;
+        const cpuPercent = elapsedMs > 0 ? (cpuMs(cpuTime) / elapsedMs) * 100 : 0;
+
+        const summary = {
+            elapsedMs: Math.round(elapsedMs),
+            cpu: {
+                userMs: cpuTime.user / 1000,
+                systemMs: cpuTime.system / 1000,
+                percent: cpuPercent,
+                maxPercent: Math.max(this.maxCpuPercent, cpuPercent)
+            },
+            heap: {
+                startBytes: this.startHeap,
+                endBytes: process.memoryUsage().heapUsed,
+                maxUsedBytes: this.maxHeap,
+                limitBytes: heapLimit
+            },
+            gc: {
+                count: this.gc.count,
+                totalMs: this.gc.totalMs,
+                maxPauseMs: this.gc.maxMs,
+                percent: elapsedMs > 0 ? (this.gc.totalMs / elapsedMs) * 100 : 0
+            },
+            eventLoop: {
+                utilization: performance.eventLoopUtilization(this.startLoop).utilization * 100,
+                meanLagMs: this.loopDelay.count > 0 ? lagMs(this.loopDelay.mean) : 0,
+                p99LagMs: this.loopDelay.count > 0 ? lagMs(this.loopDelay.percentile(99)) : 0,
+                maxLagMs: this.loopDelay.count > 0 ? lagMs(this.loopDelay.max) : 0
+            },
+            samples: this.samples
+        };
+
+        summary.saturation = saturationReasons(summary);
+        summary.saturated = summary.saturation.length > 0;
+        return summary;
+    }
+}
+
+/**
+ * The SATURATION_LIMITS a client monitor summary crossed, as readable reasons
+ */
+function saturationReasons(client) {
+    const reasons = [];
+    if (client.cpu.percent >= SATURATION_LIMITS.cpuPercent) {
+        reasons.push(`CPU at ${client.cpu.percent.toFixed(0)}% of a core`);
+    }
+    if (client.eventLoop.utilization >= SATURATION_LIMITS.eventLoopUtilization) {
+        reasons.push(`event loop busy ${client.eventLoop.utilization.toFixed(0)}% of the time`);
+    }
+    if (client.eventLoop.p99LagMs >= SATURATION_LIMITS.eventLoopP99Ms) {
+        reasons.push(`p99 event-loop lag ${client.eventLoop.p99LagMs.toFixed(1)}ms`);
+    }
+    if (client.gc.percent >= SATURATION_LIMITS.gcPercent) {
+        reasons.push(`${client.gc.percent.toFixed(0)}% of the time in GC pauses`);
+    }
+    if (client.heap.limitBytes > 0 && (client.heap.maxUsedBytes / client.heap.limitBytes) * 100 >= SATURATION_LIMITS.heapPercent) {
+        reasons.push(`heap at ${((client.heap.maxUsedBytes / client.heap.limitBytes) * 100).toFixed(0)}% of its limit`);
+    }
+    return reasons;
+}
+
+/**
+ * Formatted CLIENT_REPORT_COLUMNS cells of a summary, '-' for results without one
+ */
+function clientMetricCells(client) {
+    return CLIENT_REPORT_COLUMNS.map(({ value, format }) => (client ? format(value(client)) : '-'));
+}
+
+/**
+ * One-line summary of a client monitor summary for logs
+ */
+function formatClientMetrics(client) {
+    return `CPU ${client.cpu.percent.toFixed(1)}% (peak ${client.cpu.maxPercent.toFixed(1)}%), ` +
+        `event loop busy ${client.eventLoop.utilization.toFixed(1)}%, lag p99 ${client.eventLoop.p99LagMs.toFixed(2)}ms / max ${client.eventLoop.maxLagMs.toFixed(2)}ms, ` +
+        `GC ${client.gc.percent.toFixed(1)}% (${client.gc.count} pauses, max ${client.gc.maxPauseMs.toFixed(2)}ms), ` +
+        `peak heap ${formatBytes(client.heap.maxUsedBytes)}`;
+}
+
+module.exports = {
+    SATURATION_LIMITS,
+    CLIENT_REPORT_COLUMNS,
+    ClientMonitor,
+    saturationReasons,
+    clientMetricCells,
+    formatClientMetrics
+};
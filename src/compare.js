@@ -0,0 +1,225 @@
+/**
+ * Compare two JSON result exports (baseline vs candidate) and flag regressions
+ *
+ * Entries are matched by database and scenario phase (or test type). Throughput
+ * regresses when it drops, latency when it rises, by more than the metric's
+ * tolerance in percent.
+ */
+
+const fs = require('fs');
+const Table = require('cli-table3');
+const chalk = require('chalk');
+
+const { percentileKey, REPORTED_PERCENTILES } = require('./utils/histogram');
+const { THROUGHPUT_UNITS, metricValue, entriesFromExport, entryLabel } = require('./utils/results');
+
+const DEFAULT_TOLERANCE = 5;
+
+/**
+ * Metrics compared for every matched entry; higherIsBetter decides the direction of a regression
+ */
+const COMPARED_METRICS = [
+    { metric: 'throughput', higherIsBetter: true },
+    { metric: 'avg', higherIsBetter: false },
+    ...REPORTED_PERCENTILES.map(p => ({ metric: percentileKey(p), higherIsBetter: false })),
+    { metric: 'max', higherIsBetter: false }
+];
+
+const THROUGHPUT_ALIASES = ['tps', 'qps', 'ops'];
+
+/**
+ * Parse tolerances such as ["5", "p99=10", "tps=2"] into { default, metrics: { metric: percent } }.
+ * A bare number sets the tolerance of every metric without its own.
+ */
+function parseTolerances(specs = []) {
+    const tolerances = { default: DEFAULT_TOLERANCE, metrics: {} };
+    const known = COMPARED_METRICS.map(({ metric }) => metric);
+
+    specs.flatMap(spec => String(spec).split(',')).map(spec => spec.trim()).filter(Boolean).forEach(spec => {
+        const [name, rawValue] = spec.includes('=') ? spec.split('=').map(part => part.trim()) : [null, spec];
+        const value = Number(rawValue);
+        if (rawValue === '' || !(value >= 0)) {
+            throw new Error(`Invalid tolerance "${spec}" (expected a percentage, e.g. 5 or p99=10)`);
+        }
+
+        if (name === null) {
+            tolerances.default = value;
+            return;
+        }
+
+        const metric = THROUGHPUT_ALIASES.includes(name) ? 'throughput' : name;
+        if (!known.includes(metric)) {
+            throw new Error(`Unknown tolerance metric "${name}" (expected ${[...known, ...THROUGHPUT_ALIASES].join(', ')})`);
+        }
+        tolerances.metrics[metric] = value;
+    });
+
+    return tolerances;
+}
+
+/**
+ * Read a JSON export written by --export / exportToJSON
+ */
+function loadResultsFile(filename) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filename, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read results ${filename}: ${error.message}`);
+    }
+
+    try {
+        return { timestamp: data.timestamp || null, entries: entriesFromExport(data) };
+    } catch (error) {
+        throw new Error(`${filename}: ${error.message}`);
+    }
+}
+
+function entryKey(entry) {
+    return `${entry.database}\u0000${entry.phase || entry.testType}`;
+}
+
+/**
+ * Compare one metric, classifying the change as a regression, improvement or within tolerance
+ */
+function compareMetric({ metric, higherIsBetter }, baseline, candidate, tolerance) {
+    const comparison = { metric, baseline, candidate, tolerance, delta: null, deltaPercent: null, status: 'n/a' };
+    if (baseline === null || baseline === undefined || candidate === null || candidate === undefined) {
+        return comparison;
+    }
+
+    comparison.delta = candidate - baseline;
+    if (baseline === 0) {
+        comparison.status = candidate === 0 ? 'ok' : 'n/a';
+        return comparison;
+    }
+
+    comparison.deltaPercent = (comparison.delta / baseline) * 100;
+    const worsening = higherIsBetter ? -comparison.deltaPercent : comparison.deltaPercent;
+    if (worsening > tolerance) {
+        comparison.status = 'regression';
+    } else if (worsening < -tolerance) {
+        comparison.status = 'improvement';
+    } else {
+        comparison.status = 'ok';
+    }
+    return comparison;
+}
+
+/**
+ * Match the entries of two exports and compare every metric of each pair
+ */
+function compareResults(baseline, candidate, tolerances = parseTolerances()) {
+    const candidates = new Map(candidate.entries.map(entry => [entryKey(entry), entry]));
+    const baselineKeys = new Set(baseline.entries.map(entryKey));
+
+    const pairs = baseline.entries
+        .filter(entry => candidates.has(entryKey(entry)))
+        .map(entry => {
+            const match = candidates.get(entryKey(entry));
+            return {
+                database: entry.database,
+                label: entryLabel(entry),
+                testType: entry.testType,
+                candidateTestType: match.testType,
+                metrics: COMPARED_METRICS.map(definition => compareMetric(
+                    definition,
+                    metricValue(entry.testType, entry.results, definition.metric),
+                    metricValue(match.testType, match.results, definition.metric),
+                    definition.metric in tolerances.metrics ? tolerances.metrics[definition.metric] : tolerances.default
+                ))
+            };
+        });
+
+    const describe = entry => `${entry.database} ${entryLabel(entry)}`;
+    const comparisons = pairs.flatMap(pair => pair.metrics);
+
+    return {
+        pairs,
+        onlyInBaseline: baseline.entries.filter(entry => !candidates.has(entryKey(entry))).map(describe),
+        onlyInCandidate: candidate.entries.filter(entry => !baselineKeys.has(entryKey(entry))).map(describe),
+        regressions: comparisons.filter(comparison => comparison.status === 'regression').length,
+        improvements: comparisons.filter(comparison => comparison.status === 'improvement').length
+    };
+}
+
+function formatValue(value) {
+    return value === null || value === undefined ? 'n/a' : value.toFixed(3);
+}
+
+function formatDelta(comparison) {
+    if (comparison.delta === null) {
+        return 'n/a';
+    }
+    const sign = comparison.delta >= 0 ? '+' : '';
+    const percent = comparison.deltaPercent === null ? '' : ` (${sign}${comparison.deltaPercent.toFixed(2)}%)`;
+    return `${sign}${comparison.delta.toFixed(3)}${percent}`;
+}
+
+const STATUS_LABELS = {
+    regression: chalk.red.bold('❌ regression'),
+    improvement: chalk.green('⬆ improvement'),
+    ok: chalk.gray('ok'),
+    'n/a': chalk.gray('n/a')
+};
+
+/**
+ * Print a comparison table per matched entry and a regression summary
+ */
+function printComparison(comparison, { baselineFile, candidateFile }) {
+    console.log(chalk.bold.magenta('\n🔍 RESULTS COMPARISON'));
+    console.log('='.repeat(80));
+    console.log(chalk.gray(`Baseline:  ${baselineFile}`));
+    console.log(chalk.gray(`Candidate: ${candidateFile}`));
+
+    comparison.pairs.forEach(pair => {
+        const unit = THROUGHPUT_UNITS[pair.testType] || 'ops/s';
+        console.log(chalk.bold.blue(`\n${pair.database.toUpperCase()} – ${pair.label}`));
+        if (pair.candidateTestType !== pair.testType) {
+            console.log(chalk.yellow(`⚠️  Test type differs: ${pair.testType} vs ${pair.candidateTestType}`));
+        }
+
+        const table = new Table({
+            head: [
+                chalk.cyan('Metric'),
+                chalk.cyan('Baseline'),
+                chalk.cyan('Candidate'),
+                chalk.cyan('Delta'),
+                chalk.cyan('Tolerance'),
+                chalk.cyan('Status')
+            ]
+        });
+
+        pair.metrics.forEach(metric => {
+            table.push([
+                metric.metric === 'throughput' ? `Throughput (${unit})` : `${metric.metric} (ms)`,
+                formatValue(metric.baseline),
+                formatValue(metric.candidate),
+                formatDelta(metric),
+                `±${metric.tolerance}%`,
+                STATUS_LABELS[metric.status]
+            ]);
+        });
+
+        console.log(table.toString());
+    });
+
+    comparison.onlyInBaseline.forEach(label => console.log(chalk.yellow(`⚠️  Only in baseline: ${label}`)));
+    comparison.onlyInCandidate.forEach(label => console.log(chalk.yellow(`⚠️  Only in candidate: ${label}`)));
+
+    console.log('');
+    if (comparison.regressions > 0) {
+        console.log(chalk.red.bold(`❌ ${comparison.regressions} regression(s) beyond tolerance, ${comparison.improvements} improvement(s)`));
+    } else {
+        console.log(chalk.green.bold(`✅ No regressions beyond tolerance (${comparison.improvements} improvement(s))`));
+    }
+}
+
+module.exports = {
+    DEFAULT_TOLERANCE,
+    COMPARED_METRICS,
+    parseTolerances,
+    loadResultsFile,
+    compareResults,
+    printComparison
+};
@@ -0,0 +1,296 @@
+/**
+ * Database adapter contract shared by all benchmark targets
+ */
+
+/**
+ * Methods every adapter must provide
+ */
+const ADAPTER_METHODS = [
+    'connect',
+    'createTable',
+    'dropTable',
+    'insertMessage',
+    'insertBatch',
+    'getMessagesByUser',
+    'getTableStats',
+    'close'
+];
+
+/**
+ * Ways a batch of records can be fed to the database
+ */
+const INSERT_MODES = {
+    single: 'One autocommit INSERT per row',
+    transaction: 'Per-row INSERTs inside one transaction',
+    'multi-values': 'One multi-row INSERT ... VALUES statement inside one transaction',
+    copy: 'PostgreSQL COPY FROM STDIN streaming',
+    'load-data': 'MySQL LOAD DATA LOCAL INFILE streaming'
+};
+
+/**
+ * Read query shapes, keyed by the name used in --query-mix, with the adapter method running each
+ */
+const READ_QUERIES = {
+    latest: { method: 'getMessagesByUser', description: "A user's latest messages (ORDER BY timestamp DESC LIMIT n)" },
+    'time-range': { method: 'getMessagesInTimeRange', description: 'Messages in a timestamp range' },
+    'role-counts': { method: 'countMessagesByRole', description: 'Per-role message counts for a user (GROUP BY role)' },
+    'by-id': { method: 'getMessageById', description: 'Lookup by primary key' },
+    keyset: { method: 'getMessagesByUserAfter', description: "Keyset pagination through a user's history" },
+    offset: { method: 'getMessagesByUserOffset', description: "Deep OFFSET pagination through a user's history" }
+};
+
+/**
+ * Capability flags reported by adapters that do not declare their own
+ */
+const DEFAULT_CAPABILITIES = {
+    batchInsert: false, // insertBatch is natively implemented (not a loop over insertMessage)
+    transactions: false, // insertBatch is atomic
+    returningInsert: false, // insertMessage returns the generated id and timestamp
+    insertModes: null, // Supported INSERT_MODES keys, derived from batchInsert when null
+    readQueries: ['latest'], // Supported READ_QUERIES keys
+    explain: false // recordQueries and explainQuery are implemented (see explain.js)
+};
+
+/**
+ * Base class for database adapters.
+ *
+ * Subclasses must implement every method in ADAPTER_METHODS except
+ * insertBatch, which falls back to one insertMessage call per record.
+ */
+class DatabaseAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Capability flags used by the test runners to pick code paths
+     */
+    get capabilities() {
+        return { ...DEFAULT_CAPABILITIES };
+    }
+
+    async connect() {
+        throw new Error(`${this.name} adapter does not implement connect()`);
+    }
+
+    /**
+     * Create the table for a schema variant and partition layout (see schema.js),
+     * by default options.schema and options.partitionLayout
+     */
+    async createTable(schema, layout) {
+        throw new Error(`${this.name} adapter does not implement createTable()`);
+    }
+
+    async dropTable() {
+        throw new Error(`${this.name} adapter does not implement dropTable()`);
+    }
+
+    async insertMessage(data) {
+        throw new Error(`${this.name} adapter does not implement insertMessage()`);
+    }
+
+    async insertBatch(dataArray, mode = 'transaction') {
+        for (const data of dataArray) {
+            await this.insertMessage(data);
+        }
+        return dataArray.length;
+    }
+
+    async getMessagesByUser(userId, limit = 100) {
+        throw new Error(`${this.name} adapter does not implement getMessagesByUser()`);
+    }
+
+    /**
+     * Messages with lower <= timestamp < upper, oldest first
+     */
+    async getMessagesInTimeRange(lower, upper, limit = 100) {
+        throw new Error(`${this.name} adapter does not implement getMessagesInTimeRange()`);
+    }
+
+    /**
+     * A user's message count per role, as [{ role, count }]
+     */
+    async countMessagesByRole(userId) {
+        throw new Error(`${this.name} adapter does not implement countMessagesByRole()`);
+    }
+
+    /**
+     * A single message by id, or null
+     */
+    async getMessageById(id) {
+        throw new Error(`${this.name} adapter does not implement getMessageById()`);
+    }
+
+    /**
+     * The next page of a user's messages, newest first, after the message with
+     * id `afterId` (the first page when afterId is null)
+     */
+    async getMessagesByUserAfter(userId, afterId, limit = 100) {
+        throw new Error(`${this.name} adapter does not implement getMessagesByUserAfter()`);
+    }
+
+    /**
+     * A page of a user's messages, newest first, skipping `offset` rows
+     */
+    async getMessagesByUserOffset(userId, offset, limit = 100) {
+        throw new Error(`${this.name} adapter does not implement getMessagesByUserOffset()`);
+    }
+
+    /**
+     * Ids of up to `limit` existing messages, used as by-id lookup targets
+     */
+    async sampleMessageIds(limit) {
+        throw new Error(`${this.name} adapter does not implement sampleMessageIds()`);
+    }
+
+    /**
+     * User ids of up to `limit` recent messages, one per message, used as read targets
+     * by `--user-source table` (busy users appear more often)
+     */
+    async sampleUserIds(limit) {
+        throw new Error(`${this.name} adapter does not implement sampleUserIds()`);
+    }
+
+    async getTableStats() {
+        throw new Error(`${this.name} adapter does not implement getTableStats()`);
+    }
+
+    /**
+     * { start, end } the test runners spread generated message timestamps across (optional);
+     * null leaves timestamps to the table's column default
+     */
+    messageTimeSpan() {
+        return null;
+    }
+
+    /**
+     * Server version and settings recorded with each run (optional)
+     */
+    async getServerInfo() {
+        return {};
+    }
+
+    /**
+     * Schema variant, column types, row count and size of the table (optional, see tableDescription)
+     */
+    async describeTable() {
+        return null;
+    }
+
+    /**
+     * Pass every statement sent to the database to recorder.record(sql, params) until
+     * the returned function is called (optional, with the explain capability)
+     */
+    recordQueries(recorder) {
+        throw new Error(`${this.name} adapter does not implement recordQueries()`);
+    }
+
+    /**
+     * Plan of one statement as { analyzed, plan, summary }, summary from planSummary() in
+     * explain.js (optional, with the explain capability)
+     */
+    async explainQuery(sql, params) {
+        throw new Error(`${this.name} adapter does not implement explainQuery()`);
+    }
+
+    /**
+     * Snapshot of the server's cumulative counters and statement statistics (optional,
+     * see serverMetrics.js); null when the server exposes none
+     */
+    async getServerMetrics() {
+        return null;
+    }
+
+    async close() {
+        throw new Error(`${this.name} adapter does not implement close()`);
+    }
+}
+
+/**
+ * Check that an object satisfies the adapter contract
+ */
+function validateAdapter(adapter, name) {
+    if (!adapter || typeof adapter !== 'object') {
+        throw new Error(`Adapter "${name}" did not return an adapter instance`);
+    }
+
+    const missing = ADAPTER_METHODS.filter(method => typeof adapter[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Adapter "${name}" is missing required methods: ${missing.join(', ')}`);
+    }
+
+    return adapter;
+}
+
+/**
+ * Get the capability flags of an adapter, filling in defaults
+ */
+function getCapabilities(adapter) {
+    const capabilities = { ...DEFAULT_CAPABILITIES, ...(adapter.capabilities || {}) };
+    if (!capabilities.insertModes) {
+        capabilities.insertModes = capabilities.batchInsert ? ['single', 'transaction'] : ['single'];
+    }
+    return capabilities;
+}
+
+/**
+ * Describe an adapter's table for the results, or null when the adapter cannot
+ */
+async function describeTable(adapter) {
+    if (typeof adapter.describeTable !== 'function') {
+        return null;
+    }
+
+    try {
+        return await adapter.describeTable();
+    } catch (error) {
+        console.warn(`Could not describe the ${adapter.name} table: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Snapshot an adapter's server metrics, or null when the adapter cannot
+ */
+async function captureServerMetrics(adapter) {
+    if (typeof adapter.getServerMetrics !== 'function') {
+        return null;
+    }
+
+    try {
+        return await adapter.getServerMetrics();
+    } catch (error) {
+        console.warn(`Could not capture ${adapter.name} server metrics: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Encode values as one line of tab-separated text in the escaping understood
+ * by both PostgreSQL COPY (text format) and MySQL LOAD DATA (ESCAPED BY '\\')
+ */
+function encodeTextRow(values) {
+    return values.map(value => {
+        if (value === null || value === undefined) {
+            return '\\N';
+        }
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/\t/g, '\\t')
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '\\r');
+    }).join('\t') + '\n';
+}
+
+module.exports = {
+    DatabaseAdapter,
+    ADAPTER_METHODS,
+    INSERT_MODES,
+    READ_QUERIES,
+    DEFAULT_CAPABILITIES,
+    validateAdapter,
+    getCapabilities,
+    describeTable,
+    captureServerMetrics,
+    encodeTextRow
+};
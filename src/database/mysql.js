@@ -1,8 +1,48 @@
 const mysql = require('mysql2/promise');
-const { MYSQL_SCHEMA, DROP_TABLE_SQL } = require('../schema');
+const { Readable } = require('stream');
+const { SCHEMA_VARIANTS, mysqlSchema, tableDescription, resolveSchemaVariant, clientIdVersion, partitionTimeSpan, insertColumns, DROP_TABLE_SQL, USER_HASH_COLUMN } = require('../schema');
+const { DatabaseAdapter, READ_QUERIES, encodeTextRow } = require('./adapter');
+const { counterValues } = require('../serverMetrics');
+const { recordPoolQueries, isReadQuery, planSummary } = require('../explain');
+const { generateId } = require('../utils/dataGenerator');
+
+/**
+ * SHOW GLOBAL STATUS variables behind each server counter (see serverMetrics.js);
+ * buffer pool hits are read requests minus the reads that went to disk
+ */
+const STATUS_COUNTERS = {
+    Innodb_buffer_pool_read_requests: 'readRequests',
+    Innodb_buffer_pool_reads: 'blocksRead',
+    Innodb_rows_read: 'rowsFetched',
+    Innodb_rows_inserted: 'rowsInserted',
+    Innodb_rows_updated: 'rowsUpdated',
+    Innodb_rows_deleted: 'rowsDeleted',
+    Handler_commit: 'commits',
+    Handler_rollback: 'rollbacks',
+    Innodb_row_lock_waits: 'lockWaits',
+    Innodb_row_lock_time: 'lockWaitMs',
+    Innodb_os_log_written: 'walBytes'
+};
+
+class MySQLDB extends DatabaseAdapter {
+    constructor(connectionString, options = {}) {
+        super('mysql');
+        this.options = options;
+        
+        // UUID version supplied on insert, or null when the id column default generates it;
+        // BINARY(16) ids are sent as their 16 raw bytes
+        this.clientIds = clientIdVersion('mysql', options.schema, options.idGeneration);
+        this.binaryIds = resolveSchemaVariant(options.schema).id === 'binary16';
+        this.insertColumns = insertColumns(this.clientIds, options.schema);
+        
+        // Partitioning of the existing table, looked up on first use, and the partition keys of
+        // sampled ids so that by-id lookups can be pruned to one partition
+        this.tablePartitioning = null;
+        this.sampledPartitionKeys = new Map();
+        
+        // Whether performance_schema statement digests can be queried, checked on the first metrics snapshot
+        this.statementStatsAvailable = null;
 
-class MySQLDB {
-    constructor(connectionString) {
         // Parse MySQL connection string
         const url = new URL(connectionString);
         
@@ -15,10 +55,25 @@ class MySQLDB {
             ssl: url.searchParams.get('ssl-mode') === 'REQUIRED' ? {
                 rejectUnauthorized: false // Accept self-signed certificates
             } : false,
-            connectionLimit: 20
+            connectionLimit: 20,
+            timezone: 'Z' // Dates in UTC, like the session time zone set below
         };
         
         this.pool = mysql.createPool(this.config);
+        
+        // RANGE partition bounds and generated timestamps are UTC, so every session works in UTC
+        this.pool.on('connection', connection => connection.query("SET time_zone = '+00:00'"));
+    }
+
+    get capabilities() {
+        return {
+            batchInsert: true,
+            transactions: true,
+            returningInsert: false,
+            insertModes: ['single', 'transaction', 'multi-values', 'load-data'],
+            readQueries: Object.keys(READ_QUERIES),
+            explain: true
+        };
     }
 
     async connect() {
@@ -33,9 +88,10 @@ class MySQLDB {
         }
     }
 
-    async createTable() {
+    async createTable(schema = this.options.schema, layout = this.options.partitionLayout) {
+        this.tablePartitioning = null;
         try {
-            await this.pool.execute(MYSQL_SCHEMA);
+            await this.pool.execute(mysqlSchema(schema, layout));
             console.log('MySQL table created successfully');
         } catch (error) {
             console.error('Failed to create MySQL table:', error.message);
@@ -44,6 +100,7 @@ class MySQLDB {
     }
 
     async dropTable() {
+        this.tablePartitioning = null;
         try {
             await this.pool.execute(DROP_TABLE_SQL);
             console.log('MySQL table dropped successfully');
@@ -53,25 +110,40 @@ class MySQLDB {
         }
     }
 
+    /**
+     * Bind values of a record in insertColumns order, with a new id when ids are generated client-side.
+     * Timestamps are sent as UTC 'YYYY-MM-DD HH:MM:SS.fff' strings, valid for TIMESTAMP and DATETIME.
+     */
+    rowValues(data) {
+        return this.insertColumns.map(column => {
+            if (column === 'timestamp') {
+                return (data.timestamp || new Date()).toISOString().slice(0, 23).replace('T', ' ');
+            }
+            if (column !== 'id') {
+                return data[column];
+            }
+            const id = generateId(this.clientIds);
+            return this.binaryIds ? Buffer.from(id.replace(/-/g, ''), 'hex') : id;
+        });
+    }
+
+    messageTimeSpan() {
+        return partitionTimeSpan(this.options.schema, this.options.partitionLayout);
+    }
+
+    insertStatement() {
+        return `INSERT INTO llm_chat_message (${this.insertColumns.join(', ')}) VALUES (${this.insertColumns.map(() => '?').join(', ')})`;
+    }
+
     async insertMessage(data) {
-        const query = `
-            INSERT INTO llm_chat_message (user_id, role, title, message, config)
-            VALUES (?, ?, ?, ?, ?)
-        `;
-        
         try {
-            const [result] = await this.pool.execute(query, [
-                data.user_id,
-                data.role,
-                data.title,
-                data.message,
-                data.config
-            ]);
+            const values = this.rowValues(data);
+            const [result] = await this.pool.execute(this.insertStatement(), values);
             
-            // Get the inserted record
-            const [rows] = await this.pool.execute(
-                'SELECT id, timestamp FROM llm_chat_message WHERE id = LAST_INSERT_ID()'
-            );
+            // Get the inserted record (LAST_INSERT_ID() only covers auto-increment ids)
+            const [rows] = this.clientIds
+                ? await this.pool.execute('SELECT id, timestamp FROM llm_chat_message WHERE id = ?', [values[0]])
+                : await this.pool.execute('SELECT id, timestamp FROM llm_chat_message WHERE id = LAST_INSERT_ID()');
             return rows[0];
         } catch (error) {
             console.error('Failed to insert message into MySQL:', error.message);
@@ -79,24 +151,31 @@ class MySQLDB {
         }
     }
 
-    async insertBatch(dataArray) {
+    async insertBatch(dataArray, mode = 'transaction') {
+        switch (mode) {
+            case 'transaction':
+                return this.insertBatchTransaction(dataArray);
+            case 'multi-values':
+                return this.insertBatchMultiValues(dataArray);
+            case 'load-data':
+                return this.insertBatchLoadData(dataArray);
+            default:
+                throw new Error(`MySQL does not support insert mode: ${mode}`);
+        }
+    }
+
+    /**
+     * One INSERT per row inside a single transaction
+     */
+    async insertBatchTransaction(dataArray) {
         const connection = await this.pool.getConnection();
         try {
             await connection.beginTransaction();
             
-            const query = `
-                INSERT INTO llm_chat_message (user_id, role, title, message, config)
-                VALUES (?, ?, ?, ?, ?)
-            `;
+            const query = this.insertStatement();
             
             for (const data of dataArray) {
-                await connection.execute(query, [
-                    data.user_id,
-                    data.role,
-                    data.title,
-                    data.message,
-                    data.config
-                ]);
+                await connection.execute(query, this.rowValues(data));
             }
             
             await connection.commit();
@@ -110,18 +189,84 @@ class MySQLDB {
         }
     }
 
+    /**
+     * One multi-row INSERT ... VALUES statement (client-side escaped, bounded by max_allowed_packet)
+     * inside an explicit transaction, as on PostgreSQL
+     */
+    async insertBatchMultiValues(dataArray) {
+        const query = `INSERT INTO llm_chat_message (${this.insertColumns.join(', ')}) VALUES ?`;
+        const rows = dataArray.map(data => this.rowValues(data));
+        const connection = await this.pool.getConnection();
+        
+        try {
+            await connection.beginTransaction();
+            await connection.query(query, [rows]);
+            await connection.commit();
+            return dataArray.length;
+        } catch (error) {
+            await connection.rollback();
+            console.error('Failed to insert multi-row batch into MySQL:', error.message);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Stream rows through LOAD DATA LOCAL INFILE (requires local_infile=ON on the server)
+     */
+    async insertBatchLoadData(dataArray) {
+        // Binary ids travel as hex text and are decoded on load
+        const binaryIds = this.clientIds && this.binaryIds;
+        const columns = this.insertColumns.map(column => (column === 'id' && binaryIds ? '@id' : column));
+        const query = `
+            LOAD DATA LOCAL INFILE 'batch.tsv'
+            INTO TABLE llm_chat_message
+            CHARACTER SET utf8mb4
+            FIELDS TERMINATED BY '\\t' ESCAPED BY '\\\\'
+            LINES TERMINATED BY '\\n'
+            (${columns.join(', ')})${binaryIds ? ' SET id = UNHEX(@id)' : ''}
+        `;
+        const lines = dataArray.map(data => encodeTextRow(
+            this.rowValues(data).map(value => (Buffer.isBuffer(value) ? value.toString('hex') : value))
+        ));
+        
+        try {
+            await this.pool.query({
+                sql: query,
+                infileStreamFactory: () => Readable.from(lines)
+            });
+            return dataArray.length;
+        } catch (error) {
+            console.error('Failed to LOAD DATA batch into MySQL:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * WHERE condition selecting one user's rows. HASH tables partition on the generated
+     * user hash, so the condition repeats it for MySQL to prune on.
+     */
+    async userCondition(userId) {
+        if (await this.partitioning() === 'hash') {
+            return { condition: `user_id = ? AND ${USER_HASH_COLUMN} = CRC32(?)`, params: [userId, userId] };
+        }
+        return { condition: 'user_id = ?', params: [userId] };
+    }
+
     async getMessagesByUser(userId, limit = 100) {
+        const user = await this.userCondition(userId);
         // MySQL doesn't allow binding LIMIT parameter, so we need to construct the query
         const query = `
             SELECT id, timestamp, user_id, role, title, message, config
             FROM llm_chat_message
-            WHERE user_id = ?
+            WHERE ${user.condition}
             ORDER BY timestamp DESC
             LIMIT ${parseInt(limit)}
         `;
 
         try {
-            const [rows] = await this.pool.execute(query, [userId]);
+            const [rows] = await this.pool.execute(query, user.params);
             return rows;
         } catch (error) {
             console.error('Failed to get messages from MySQL:', error.message);
@@ -129,6 +274,137 @@ class MySQLDB {
         }
     }
 
+    async getMessagesInTimeRange(lower, upper, limit = 100) {
+        const query = `
+            SELECT id, timestamp, user_id, role, title, message, config
+            FROM llm_chat_message
+            WHERE timestamp >= ? AND timestamp < ?
+            ORDER BY timestamp
+            LIMIT ${parseInt(limit)}
+        `;
+
+        try {
+            const [rows] = await this.pool.execute(query, [lower, upper]);
+            return rows;
+        } catch (error) {
+            console.error('Failed to get messages in time range from MySQL:', error.message);
+            throw error;
+        }
+    }
+
+    async countMessagesByRole(userId) {
+        const user = await this.userCondition(userId);
+        const query = `
+            SELECT role, COUNT(*) AS count
+            FROM llm_chat_message
+            WHERE ${user.condition}
+            GROUP BY role
+        `;
+
+        try {
+            const [rows] = await this.pool.execute(query, user.params);
+            return rows.map(row => ({ role: row.role, count: Number(row.count) }));
+        } catch (error) {
+            console.error('Failed to count messages by role in MySQL:', error.message);
+            throw error;
+        }
+    }
+
+    async getMessageById(id) {
+        const partitionKey = this.sampledPartitionKeys.get(id);
+        let key = null;
+        if (partitionKey) {
+            key = partitionKey.column === 'user_id'
+                ? await this.userCondition(partitionKey.value)
+                : { condition: `${partitionKey.column} = ?`, params: [partitionKey.value] };
+        }
+        const query = `
+            SELECT id, timestamp, user_id, role, title, message, config
+            FROM llm_chat_message
+            WHERE id = ?${key ? ` AND ${key.condition}` : ''}
+        `;
+
+        try {
+            const [rows] = await this.pool.execute(query, key ? [id, ...key.params] : [id]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Failed to get message by id from MySQL:', error.message);
+            throw error;
+        }
+    }
+
+    async getMessagesByUserAfter(userId, afterId, limit = 100) {
+        const user = await this.userCondition(userId);
+        const query = afterId === null ? `
+            SELECT id, timestamp, user_id, role, title, message, config
+            FROM llm_chat_message
+            WHERE ${user.condition}
+            ORDER BY timestamp DESC, id DESC
+            LIMIT ${parseInt(limit)}
+        ` : `
+            SELECT id, timestamp, user_id, role, title, message, config
+            FROM llm_chat_message
+            WHERE ${user.condition}
+              AND (timestamp, id) < (SELECT timestamp, id FROM llm_chat_message WHERE id = ? AND ${user.condition})
+            ORDER BY timestamp DESC, id DESC
+            LIMIT ${parseInt(limit)}
+        `;
+
+        try {
+            // The cursor row's user_id lets a table partitioned by user prune the lookup
+            const params = afterId === null ? user.params : [...user.params, afterId, ...user.params];
+            const [rows] = await this.pool.execute(query, params);
+            return rows;
+        } catch (error) {
+            console.error('Failed to get keyset page from MySQL:', error.message);
+            throw error;
+        }
+    }
+
+    async getMessagesByUserOffset(userId, offset, limit = 100) {
+        const user = await this.userCondition(userId);
+        const query = `
+            SELECT id, timestamp, user_id, role, title, message, config
+            FROM llm_chat_message
+            WHERE ${user.condition}
+            ORDER BY timestamp DESC
+            LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}
+        `;
+
+        try {
+            const [rows] = await this.pool.execute(query, user.params);
+            return rows;
+        } catch (error) {
+            console.error('Failed to get offset page from MySQL:', error.message);
+            throw error;
+        }
+    }
+
+    async sampleMessageIds(limit) {
+        try {
+            // Partition keys are read back as text so that timestamps keep their fractional seconds
+            const { column } = SCHEMA_VARIANTS.partitioning[await this.partitioning()];
+            const [rows] = await this.pool.query(
+                `SELECT id${column ? `, CAST(${column} AS CHAR) as partition_key` : ''} FROM llm_chat_message ORDER BY timestamp DESC LIMIT ${parseInt(limit)}`
+            );
+            this.sampledPartitionKeys = new Map(column ? rows.map(row => [row.id, { column, value: row.partition_key }]) : []);
+            return rows.map(row => row.id);
+        } catch (error) {
+            console.error('Failed to sample message ids from MySQL:', error.message);
+            throw error;
+        }
+    }
+
+    async sampleUserIds(limit) {
+        try {
+            const [rows] = await this.pool.query(`SELECT user_id FROM llm_chat_message ORDER BY timestamp DESC LIMIT ${parseInt(limit)}`);
+            return rows.map(row => row.user_id);
+        } catch (error) {
+            console.error('Failed to sample user ids from MySQL:', error.message);
+            throw error;
+        }
+    }
+
     async getTableStats() {
         const query = `
             SELECT 
@@ -148,10 +424,247 @@ class MySQLDB {
         }
     }
 
+    /**
+     * Partitioning choice of the existing table (see schema.js), cached until the table is recreated
+     */
+    async partitioning() {
+        if (this.tablePartitioning === null) {
+            const [rows] = await this.pool.execute(`
+                SELECT PARTITION_METHOD as method
+                FROM information_schema.PARTITIONS
+                WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'llm_chat_message' AND PARTITION_NAME IS NOT NULL
+                LIMIT 1
+            `);
+            const methods = { RANGE: 'range', 'RANGE COLUMNS': 'range', HASH: 'hash', KEY: 'key' };
+            this.tablePartitioning = rows.length > 0 ? methods[rows[0].method] || 'none' : 'none';
+        }
+        return this.tablePartitioning;
+    }
+
+    async describeTable() {
+        // The id column's default tells the UUID strategies apart
+        const columnsQuery = `
+            SELECT COLUMN_NAME as column_name,
+                IF(COLUMN_NAME = 'id' AND COLUMN_DEFAULT IS NOT NULL,
+                    CONCAT(DATA_TYPE, ' default ', COLUMN_DEFAULT), DATA_TYPE) as data_type
+            FROM information_schema.COLUMNS
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'llm_chat_message'
+        `;
+        const indexesQuery = `
+            SELECT DISTINCT INDEX_NAME as index_name
+            FROM information_schema.STATISTICS
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'llm_chat_message' AND INDEX_NAME <> 'PRIMARY'
+        `;
+        const sizeQuery = `
+            SELECT 
+                (SELECT COUNT(*) FROM llm_chat_message) as \`rows\`,
+                DATA_LENGTH as table_bytes,
+                INDEX_LENGTH as index_bytes,
+                (SELECT COUNT(*) FROM information_schema.PARTITIONS
+                    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'llm_chat_message' AND PARTITION_NAME IS NOT NULL) as partitions
+            FROM information_schema.TABLES
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'llm_chat_message'
+        `;
+        
+        try {
+            // Refresh the cached InnoDB size statistics first
+            await this.pool.query('ANALYZE TABLE llm_chat_message');
+            const [columns] = await this.pool.execute(columnsQuery);
+            const [indexes] = await this.pool.execute(indexesQuery);
+            const [size] = await this.pool.execute(sizeQuery);
+            const dataTypes = Object.fromEntries(columns.map(row => [row.column_name, row.data_type]));
+            dataTypes.indexes = indexes.map(row => row.index_name);
+            dataTypes.partitioning = await this.partitioning();
+            const { rows, table_bytes: tableBytes, index_bytes: indexBytes, partitions } = size[0];
+            return tableDescription('mysql', dataTypes, { rows, tableBytes, indexBytes, partitions });
+        } catch (error) {
+            console.error('Failed to describe MySQL table:', error.message);
+            throw error;
+        }
+    }
+
+    async getServerInfo() {
+        const query = `
+            SELECT 
+                VERSION() as version,
+                @@version_comment as version_comment,
+                @@max_connections as max_connections,
+                @@innodb_buffer_pool_size as innodb_buffer_pool_size,
+                @@innodb_flush_log_at_trx_commit as innodb_flush_log_at_trx_commit,
+                @@sync_binlog as sync_binlog
+        `;
+        
+        try {
+            const [rows] = await this.pool.execute(query);
+            return rows[0];
+        } catch (error) {
+            console.error('Failed to get server info from MySQL:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Cumulative server-wide counters from SHOW GLOBAL STATUS and INNODB_METRICS
+     */
+    async getServerMetrics() {
+        const statusQuery = `SHOW GLOBAL STATUS WHERE Variable_name IN (${Object.keys(STATUS_COUNTERS).map(name => `'${name}'`).join(', ')})`;
+        const metricsQuery = `
+            SELECT NAME as name, COUNT as count
+            FROM information_schema.INNODB_METRICS
+            WHERE NAME = 'lock_deadlocks' AND STATUS = 'enabled'
+        `;
+        
+        try {
+            const [status] = await this.pool.query(statusQuery);
+            const [metrics] = await this.pool.query(metricsQuery);
+            
+            const values = {};
+            status.forEach(row => {
+                values[STATUS_COUNTERS[row.Variable_name]] = Number(row.Value);
+            });
+            if (values.readRequests !== undefined && values.blocksRead !== undefined) {
+                values.blocksHit = values.readRequests - values.blocksRead;
+            }
+            if (metrics.length > 0) {
+                values.deadlocks = Number(metrics[0].count);
+            }
+            
+            return {
+                takenAt: Date.now(),
+                counters: counterValues(values),
+                statements: await this.statementStats()
+            };
+        } catch (error) {
+            console.error('Failed to get server metrics from MySQL:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * performance_schema digest totals of the statements touching the message table,
+     * or null when performance_schema is off or not readable
+     */
+    async statementStats() {
+        if (this.statementStatsAvailable === false) {
+            return null;
+        }
+        
+        // Timer columns are in picoseconds
+        const query = `
+            SELECT DIGEST as id, DIGEST_TEXT as query, COUNT_STAR as calls,
+                SUM_TIMER_WAIT / 1000000000 as total_time_ms, SUM_ROWS_SENT + SUM_ROWS_AFFECTED as row_count
+            FROM performance_schema.events_statements_summary_by_digest
+            WHERE SCHEMA_NAME = DATABASE() AND DIGEST IS NOT NULL AND DIGEST_TEXT LIKE '%llm_chat_message%'
+        `;
+        
+        try {
+            const [rows] = await this.pool.query(query);
+            this.statementStatsAvailable = true;
+            return rows.map(row => ({
+                id: row.id,
+                query: row.query,
+                calls: Number(row.calls),
+                totalTimeMs: Number(row.total_time_ms),
+                rows: Number(row.row_count)
+            }));
+        } catch (error) {
+            if (this.statementStatsAvailable === null) {
+                console.warn(`performance_schema statement digests are not available, statement statistics are skipped: ${error.message}`);
+            }
+            this.statementStatsAvailable = false;
+            return null;
+        }
+    }
+
+    /**
+     * Record statements sent through pool.query and pool.execute; transaction batches on a
+     * checked-out connection are not seen
+     */
+    recordQueries(recorder) {
+        return recordPoolQueries(this.pool, ['query', 'execute'], recorder);
+    }
+
+    /**
+     * EXPLAIN FORMAT=JSON of a statement, plus the EXPLAIN ANALYZE tree of read statements
+     * on MySQL 8.0.18+ (ANALYZE executes the statement)
+     */
+    async explainQuery(sql, params = []) {
+        const [[{ EXPLAIN: json }]] = await this.pool.query(`EXPLAIN FORMAT=JSON ${sql}`, params);
+        const plan = { json: JSON.parse(json), analyze: null };
+        
+        if (isReadQuery(sql)) {
+            try {
+                const [[{ EXPLAIN: tree }]] = await this.pool.query(`EXPLAIN ANALYZE ${sql}`, params);
+                plan.analyze = tree;
+            } catch (error) {
+                // Older servers only have the estimated plan
+            }
+        }
+        
+        return { analyzed: plan.analyze !== null, plan, summary: summarizeMysqlPlan(plan) };
+    }
+
     async close() {
         await this.pool.end();
         console.log('MySQL connection pool closed');
     }
 }
 
+/**
+ * planSummary() of an EXPLAIN FORMAT=JSON document and, when available, the EXPLAIN ANALYZE
+ * tree, whose lines read "-> Node  (cost=... rows=<estimated>) (actual time=a..b rows=<actual> loops=n)"
+ */
+function summarizeMysqlPlan({ json, analyze }) {
+    const indexes = [];
+    const fullScans = [];
+    const accessTypes = [];
+    
+    // Index use comes from the JSON plan, whose table entries carry the chosen key and access type
+    const visit = value => {
+        if (Array.isArray(value)) {
+            value.forEach(visit);
+        } else if (value && typeof value === 'object') {
+            if (value.table_name && value.access_type) {
+                accessTypes.push(`${value.access_type} on ${value.table_name}`);
+                if (value.key) {
+                    indexes.push(value.key);
+                }
+                if (value.access_type === 'ALL') {
+                    fullScans.push(value.table_name);
+                }
+            }
+            Object.values(value).forEach(visit);
+        }
+    };
+    visit(json);
+    
+    if (!analyze) {
+        return planSummary({ nodes: accessTypes, indexes, fullScans });
+    }
+    
+    const lines = analyze.split('\n').filter(line => line.includes('->')).map(line => {
+        const name = line.replace(/^\s*->\s*/, '').split(/\s+\((?:cost|actual)/)[0];
+        const estimated = line.match(/\(cost=[^)]*rows=([\d.e+]+)\)/);
+        const actual = line.match(/\(actual time=[\d.e+]+\.\.([\d.e+]+) rows=([\d.e+]+) loops=(\d+)\)/);
+        return {
+            node: name.split(/:| on /)[0].trim(),
+            estimated: estimated ? Number(estimated[1]) : null,
+            actual: actual ? { timeMs: Number(actual[1]), rows: Number(actual[2]), loops: Number(actual[3]) } : null
+        };
+    });
+    const root = lines[0] || { estimated: null, actual: null };
+    
+    return planSummary({
+        nodes: lines.map(line => line.node),
+        indexes,
+        fullScans,
+        estimatedRows: root.estimated,
+        actualRows: root.actual ? root.actual.rows * root.actual.loops : null,
+        executionTimeMs: root.actual ? root.actual.timeMs * root.actual.loops : null,
+        estimates: lines
+            .filter(line => line.estimated !== null && line.actual && line.actual.loops > 0)
+            .map(line => ({ node: line.node, estimated: line.estimated, actual: line.actual.rows }))
+    });
+}
+
 module.exports = MySQLDB;
@@ -1,10 +1,35 @@
 const { Pool } = require('pg');
+const { from: copyFrom } = require('pg-copy-streams');
 const fs = require('fs');
 const path = require('path');
-const { POSTGRES_SCHEMA, DROP_TABLE_SQL } = require('../schema');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { SCHEMA_VARIANTS, postgresSchema, tableDescription, resolveSchemaVariant, clientIdVersion, partitionTimeSpan, insertColumns, DROP_TABLE_SQL } = require('../schema');
+const { DatabaseAdapter, READ_QUERIES, encodeTextRow } = require('./adapter');
+const { counterValues } = require('../serverMetrics');
+const { recordPoolQueries, isReadQuery, planSummary } = require('../explain');
+const { generateId } = require('../utils/dataGenerator');
+
+// Bind parameter limit per statement in the PostgreSQL wire protocol
+const MAX_BIND_PARAMETERS = 65535;
+
+class PostgresDB extends DatabaseAdapter {
+    constructor(connectionString, options = {}) {
+        super('postgres');
+        this.options = options;
+        
+        // UUID version supplied on insert, or null when the id column default generates it
+        this.clientIds = clientIdVersion('postgres', options.schema, options.idGeneration);
+        this.insertColumns = insertColumns(this.clientIds, options.schema);
+        
+        // Partitioning of the existing table, looked up on first use, and the partition keys of
+        // sampled ids so that by-id lookups can be pruned to one partition
+        this.tablePartitioning = null;
+        this.sampledPartitionKeys = new Map();
+        
+        // Whether pg_stat_statements can be queried, checked on the first metrics snapshot
+        this.statementStatsAvailable = null;
 
-class PostgresDB {
-    constructor(connectionString) {
         // Modify connection string to handle SSL issues
         let modifiedConnectionString = connectionString;
 
@@ -36,6 +61,17 @@ class PostgresDB {
         });
     }
 
+    get capabilities() {
+        return {
+            batchInsert: true,
+            transactions: true,
+            returningInsert: true,
+            insertModes: ['single', 'transaction', 'multi-values', 'copy'],
+            readQueries: Object.keys(READ_QUERIES),
+            explain: true
+        };
+    }
+
     async connect() {
         try {
             const client = await this.pool.connect();
@@ -48,9 +84,11 @@ class PostgresDB {
         }
     }
 
-    async createTable() {
+    async createTable(schema = this.options.schema, layout = this.options.partitionLayout) {
+        this.tablePartitioning = null;
         try {
-            await this.pool.query(POSTGRES_SCHEMA);
+            await this.checkIdStrategySupport(schema);
+            await this.pool.query(postgresSchema(schema, layout));
             console.log('PostgreSQL table created successfully');
         } catch (error) {
             console.error('Failed to create PostgreSQL table:', error.message);
@@ -58,7 +96,26 @@ class PostgresDB {
         }
     }
 
+    /**
+     * Fail before CREATE TABLE when the id column default needs a newer server (uuidv7() is PostgreSQL 18+)
+     */
+    async checkIdStrategySupport(schema) {
+        const { id } = resolveSchemaVariant(schema);
+        const required = SCHEMA_VARIANTS.id[id].postgresVersion;
+        if (!required) {
+            return;
+        }
+        
+        const result = await this.pool.query('SHOW server_version_num');
+        const version = Number(result.rows[0].server_version_num);
+        if (version < required) {
+            throw new Error(`The ${id} id strategy needs PostgreSQL ${required / 10000} or later for uuidv7(), ` +
+                `but the server is version ${Math.floor(version / 10000)}; use --id-strategy uuidv4 or bigint`);
+        }
+    }
+
     async dropTable() {
+        this.tablePartitioning = null;
         try {
             await this.pool.query(DROP_TABLE_SQL);
             console.log('PostgreSQL table dropped successfully');
@@ -68,21 +125,36 @@ class PostgresDB {
         }
     }
 
+    /**
+     * Bind values of a record in insertColumns order, with a new id when ids are generated client-side.
+     * Timestamps are sent as UTC ISO strings, which TIMESTAMP WITHOUT TIME ZONE columns store as written.
+     */
+    rowValues(data) {
+        return this.insertColumns.map(column => {
+            if (column === 'id') {
+                return generateId(this.clientIds);
+            }
+            if (column === 'timestamp') {
+                return (data.timestamp || new Date()).toISOString();
+            }
+            return data[column];
+        });
+    }
+
+    messageTimeSpan() {
+        return partitionTimeSpan(this.options.schema, this.options.partitionLayout);
+    }
+
+    insertStatement() {
+        const placeholders = this.insertColumns.map((column, index) => `$${index + 1}`);
+        return `INSERT INTO llm_chat_message (${this.insertColumns.join(', ')}) VALUES (${placeholders.join(', ')})`;
+    }
+
     async insertMessage(data) {
-        const query = `
-            INSERT INTO llm_chat_message (user_id, role, title, message, config)
-            VALUES ($1, $2, $3, $4, $5)
-            RETURNING id, timestamp
-        `;
+        const query = `${this.insertStatement()} RETURNING id, timestamp`;
         
         try {
-            const result = await this.pool.query(query, [
-                data.user_id,
-                data.role,
-                data.title,
-                data.message,
-                data.config
-            ]);
+            const result = await this.pool.query(query, this.rowValues(data));
             return result.rows[0];
         } catch (error) {
             console.error('Failed to insert message into PostgreSQL:', error.message);
@@ -90,24 +162,31 @@ class PostgresDB {
         }
     }
 
-    async insertBatch(dataArray) {
+    async insertBatch(dataArray, mode = 'transaction') {
+        switch (mode) {
+            case 'transaction':
+                return this.insertBatchTransaction(dataArray);
+            case 'multi-values':
+                return this.insertBatchMultiValues(dataArray);
+            case 'copy':
+                return this.insertBatchCopy(dataArray);
+            default:
+                throw new Error(`PostgreSQL does not support insert mode: ${mode}`);
+        }
+    }
+
+    /**
+     * One INSERT per row inside a single transaction
+     */
+    async insertBatchTransaction(dataArray) {
         const client = await this.pool.connect();
         try {
             await client.query('BEGIN');
             
-            const query = `
-                INSERT INTO llm_chat_message (user_id, role, title, message, config)
-                VALUES ($1, $2, $3, $4, $5)
-            `;
+            const query = this.insertStatement();
             
             for (const data of dataArray) {
-                await client.query(query, [
-                    data.user_id,
-                    data.role,
-                    data.title,
-                    data.message,
-                    data.config
-                ]);
+                await client.query(query, this.rowValues(data));
             }
             
             await client.query('COMMIT');
@@ -121,6 +200,68 @@ class PostgresDB {
         }
     }
 
+    /**
+     * Multi-row INSERT ... VALUES statements, split only when the bind parameter limit is reached,
+     * inside one explicit transaction (as on MySQL) so a split batch stays atomic
+     */
+    async insertBatchMultiValues(dataArray) {
+        const rowsPerStatement = Math.floor(MAX_BIND_PARAMETERS / this.insertColumns.length);
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            
+            for (let offset = 0; offset < dataArray.length; offset += rowsPerStatement) {
+                const chunk = dataArray.slice(offset, offset + rowsPerStatement);
+                const params = [];
+                const tuples = chunk.map(data => {
+                    const placeholders = this.rowValues(data).map(value => {
+                        params.push(value);
+                        return `$${params.length}`;
+                    });
+                    return `(${placeholders.join(', ')})`;
+                });
+                
+                await client.query(
+                    `INSERT INTO llm_chat_message (${this.insertColumns.join(', ')}) VALUES ${tuples.join(', ')}`,
+                    params
+                );
+            }
+            
+            await client.query('COMMIT');
+            return dataArray.length;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Failed to insert multi-row batch into PostgreSQL:', error.message);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Stream rows through COPY FROM STDIN in text format
+     */
+    async insertBatchCopy(dataArray) {
+        const client = await this.pool.connect();
+        let copyError;
+        try {
+            const copyStream = client.query(copyFrom(
+                `COPY llm_chat_message (${this.insertColumns.join(', ')}) FROM STDIN`
+            ));
+            const rows = Readable.from(dataArray.map(data => encodeTextRow(this.rowValues(data))));
+            
+            await pipeline(rows, copyStream);
+            return dataArray.length;
+        } catch (error) {
+            copyError = error;
+            console.error('Failed to COPY batch into PostgreSQL:', error.message);
+            throw error;
+        } finally {
+            // Releasing with the error destroys a client that may still be in COPY state
+            client.release(copyError);
+        }
+    }
+
     async getMessagesByUser(userId, limit = 100) {
         const query = `
             SELECT id, timestamp, user_id, role, title, message, config
@@ -139,6 +280,132 @@ class PostgresDB {
         }
     }
 
+    async getMessagesInTimeRange(lower, upper, limit = 100) {
+        const query = `
+            SELECT id, timestamp, user_id, role, title, message, config
+            FROM llm_chat_message
+            WHERE timestamp >= $1 AND timestamp < $2
+            ORDER BY timestamp
+            LIMIT $3
+        `;
+        
+        try {
+            const result = await this.pool.query(query, [lower, upper, limit]);
+            return result.rows;
+        } catch (error) {
+            console.error('Failed to get messages in time range from PostgreSQL:', error.message);
+            throw error;
+        }
+    }
+
+    async countMessagesByRole(userId) {
+        const query = `
+            SELECT role, COUNT(*) AS count
+            FROM llm_chat_message
+            WHERE user_id = $1
+            GROUP BY role
+        `;
+        
+        try {
+            const result = await this.pool.query(query, [userId]);
+            // COUNT(*) is a bigint, which pg returns as a string
+            return result.rows.map(row => ({ role: row.role, count: parseInt(row.count) }));
+        } catch (error) {
+            console.error('Failed to count messages by role in PostgreSQL:', error.message);
+            throw error;
+        }
+    }
+
+    async getMessageById(id) {
+        const partitionKey = this.sampledPartitionKeys.get(id);
+        const query = `
+            SELECT id, timestamp, user_id, role, title, message, config
+            FROM llm_chat_message
+            WHERE id = $1${partitionKey ? ` AND ${partitionKey.column} = $2` : ''}
+        `;
+        
+        try {
+            const result = await this.pool.query(query, partitionKey ? [id, partitionKey.value] : [id]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Failed to get message by id from PostgreSQL:', error.message);
+            throw error;
+        }
+    }
+
+    async getMessagesByUserAfter(userId, afterId, limit = 100) {
+        // The cursor row is looked up by id so the comparison uses the stored
+        // microsecond timestamp rather than a millisecond JavaScript Date; its
+        // user_id lets a table partitioned by user prune the lookup
+        const query = afterId === null ? `
+            SELECT id, timestamp, user_id, role, title, message, config
+            FROM llm_chat_message
+            WHERE user_id = $1
+            ORDER BY timestamp DESC, id DESC
+            LIMIT $2
+        ` : `
+            SELECT id, timestamp, user_id, role, title, message, config
+            FROM llm_chat_message
+            WHERE user_id = $1
+              AND (timestamp, id) < (SELECT timestamp, id FROM llm_chat_message WHERE id = $3 AND user_id = $1)
+            ORDER BY timestamp DESC, id DESC
+            LIMIT $2
+        `;
+        
+        try {
+            const params = afterId === null ? [userId, limit] : [userId, limit, afterId];
+            const result = await this.pool.query(query, params);
+            return result.rows;
+        } catch (error) {
+            console.error('Failed to get keyset page from PostgreSQL:', error.message);
+            throw error;
+        }
+    }
+
+    async getMessagesByUserOffset(userId, offset, limit = 100) {
+        const query = `
+            SELECT id, timestamp, user_id, role, title, message, config
+            FROM llm_chat_message
+            WHERE user_id = $1
+            ORDER BY timestamp DESC
+            LIMIT $2 OFFSET $3
+        `;
+        
+        try {
+            const result = await this.pool.query(query, [userId, limit, offset]);
+            return result.rows;
+        } catch (error) {
+            console.error('Failed to get offset page from PostgreSQL:', error.message);
+            throw error;
+        }
+    }
+
+    async sampleMessageIds(limit) {
+        try {
+            // Partition keys are read back as text so that timestamps keep their microseconds
+            const { column } = SCHEMA_VARIANTS.partitioning[await this.partitioning()];
+            const result = await this.pool.query(
+                `SELECT id${column ? `, ${column}::text as partition_key` : ''} FROM llm_chat_message ORDER BY timestamp DESC LIMIT $1`,
+                [limit]
+            );
+            this.sampledPartitionKeys = new Map(column ? result.rows.map(row => [row.id, { column, value: row.partition_key }]) : []);
+            return result.rows.map(row => row.id);
+        } catch (error) {
+            console.error('Failed to sample message ids from PostgreSQL:', error.message);
+            throw error;
+        }
+    }
+
+    async sampleUserIds(limit) {
+        try {
+            const result = await this.pool.query('SELECT user_id FROM llm_chat_message ORDER BY timestamp DESC LIMIT $1', [limit]);
+            return result.rows.map(row => row.user_id);
+        } catch (error) {
+            console.error('Failed to sample user ids from PostgreSQL:', error.message);
+            throw error;
+        }
+    }
+
     async getTableStats() {
         const query = `
             SELECT 
@@ -158,10 +425,229 @@ class PostgresDB {
         }
     }
 
+    /**
+     * Partitioning choice of the existing table (see schema.js), cached until the table is recreated
+     */
+    async partitioning() {
+        if (this.tablePartitioning === null) {
+            const result = await this.pool.query(`
+                SELECT partstrat FROM pg_partitioned_table WHERE partrelid = 'llm_chat_message'::regclass
+            `);
+            const strategies = { r: 'range', h: 'hash' };
+            this.tablePartitioning = result.rows.length > 0 ? strategies[result.rows[0].partstrat] || 'none' : 'none';
+        }
+        return this.tablePartitioning;
+    }
+
+    async describeTable() {
+        // The id column's default tells the UUID strategies apart
+        const columnsQuery = `
+            SELECT column_name,
+                CASE WHEN column_name = 'id' AND column_default IS NOT NULL
+                    THEN data_type || ' default ' || column_default ELSE data_type END as data_type
+            FROM information_schema.columns
+            WHERE table_schema = current_schema() AND table_name = 'llm_chat_message'
+        `;
+        const indexesQuery = `
+            SELECT index_class.relname as index_name
+            FROM pg_index
+            JOIN pg_class index_class ON index_class.oid = pg_index.indexrelid
+            WHERE pg_index.indrelid = 'llm_chat_message'::regclass AND NOT pg_index.indisprimary
+        `;
+        // Sizes are summed over the partition tree, which is just the table when unpartitioned
+        const sizeQuery = `
+            SELECT 
+                (SELECT COUNT(*) FROM llm_chat_message) as rows,
+                SUM(pg_table_size(relid)) as table_bytes,
+                SUM(pg_indexes_size(relid)) as index_bytes,
+                COUNT(*) FILTER (WHERE isleaf AND parentrelid IS NOT NULL) as partitions
+            FROM pg_partition_tree('llm_chat_message')
+        `;
+        
+        try {
+            const columns = await this.pool.query(columnsQuery);
+            const indexes = await this.pool.query(indexesQuery);
+            const size = await this.pool.query(sizeQuery);
+            const dataTypes = Object.fromEntries(columns.rows.map(row => [row.column_name, row.data_type]));
+            dataTypes.indexes = indexes.rows.map(row => row.index_name);
+            dataTypes.partitioning = await this.partitioning();
+            const { rows, table_bytes: tableBytes, index_bytes: indexBytes, partitions } = size.rows[0];
+            return tableDescription('postgres', dataTypes, { rows, tableBytes, indexBytes, partitions });
+        } catch (error) {
+            console.error('Failed to describe PostgreSQL table:', error.message);
+            throw error;
+        }
+    }
+
+    async getServerInfo() {
+        const query = `
+            SELECT 
+                version() as version,
+                current_setting('server_version') as server_version,
+                current_setting('max_connections') as max_connections,
+                current_setting('shared_buffers') as shared_buffers,
+                current_setting('work_mem') as work_mem,
+                current_setting('synchronous_commit') as synchronous_commit
+        `;
+        
+        try {
+            const result = await this.pool.query(query);
+            return result.rows[0];
+        } catch (error) {
+            console.error('Failed to get server info from PostgreSQL:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Cumulative counters from pg_stat_database, pg_stat_user_tables and pg_statio_user_tables
+     * (summed over the message table's partitions) and the current WAL position.
+     * PostgreSQL keeps no lock wait counter; other sessions' counters can lag by up to a second.
+     */
+    async getServerMetrics() {
+        const query = `
+            SELECT
+                statio.blocks_hit as "blocksHit",
+                statio.blocks_read as "blocksRead",
+                tables.rows_fetched as "rowsFetched",
+                tables.rows_inserted as "rowsInserted",
+                tables.rows_updated as "rowsUpdated",
+                tables.rows_deleted as "rowsDeleted",
+                tables.seq_scans as "seqScans",
+                tables.index_scans as "indexScans",
+                db.xact_commit as "commits",
+                db.xact_rollback as "rollbacks",
+                db.deadlocks as "deadlocks",
+                db.temp_bytes as "tempBytes",
+                pg_wal_lsn_diff(pg_current_wal_lsn(), '0/0') as "walBytes"
+            FROM pg_stat_database db,
+                (SELECT SUM(heap_blks_hit + COALESCE(idx_blks_hit, 0)) as blocks_hit,
+                        SUM(heap_blks_read + COALESCE(idx_blks_read, 0)) as blocks_read
+                    FROM pg_statio_user_tables
+                    WHERE relid IN (SELECT relid FROM pg_partition_tree('llm_chat_message'))) statio,
+                (SELECT SUM(seq_tup_read + COALESCE(idx_tup_fetch, 0)) as rows_fetched,
+                        SUM(n_tup_ins) as rows_inserted,
+                        SUM(n_tup_upd) as rows_updated,
+                        SUM(n_tup_del) as rows_deleted,
+                        SUM(seq_scan) as seq_scans,
+                        SUM(COALESCE(idx_scan, 0)) as index_scans
+                    FROM pg_stat_user_tables
+                    WHERE relid IN (SELECT relid FROM pg_partition_tree('llm_chat_message'))) tables
+            WHERE db.datname = current_database()
+        `;
+        
+        try {
+            const result = await this.pool.query(query);
+            return {
+                takenAt: Date.now(),
+                counters: counterValues(result.rows[0]),
+                statements: await this.statementStats()
+            };
+        } catch (error) {
+            console.error('Failed to get server metrics from PostgreSQL:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * pg_stat_statements totals of the statements touching the message table, or null
+     * when the extension is not installed (or not in shared_preload_libraries)
+     */
+    async statementStats() {
+        if (this.statementStatsAvailable === false) {
+            return null;
+        }
+        
+        // total_exec_time is PostgreSQL 13+; one queryid can have a row per user and nesting level
+        const query = `
+            SELECT queryid::text as id, MIN(query) as query, SUM(calls) as calls,
+                SUM(total_exec_time) as total_time_ms, SUM(rows) as rows
+            FROM pg_stat_statements
+            WHERE dbid = (SELECT oid FROM pg_database WHERE datname = current_database())
+                AND query ILIKE '%llm_chat_message%'
+            GROUP BY queryid
+        `;
+        
+        try {
+            const result = await this.pool.query(query);
+            this.statementStatsAvailable = true;
+            return result.rows.map(row => ({
+                id: row.id,
+                query: row.query,
+                calls: Number(row.calls),
+                totalTimeMs: Number(row.total_time_ms),
+                rows: Number(row.rows)
+            }));
+        } catch (error) {
+            if (this.statementStatsAvailable === null) {
+                console.warn(`pg_stat_statements is not available, statement statistics are skipped: ${error.message}`);
+            }
+            this.statementStatsAvailable = false;
+            return null;
+        }
+    }
+
+    /**
+     * Record statements sent through pool.query; batch inserts on a checked-out client are not seen
+     */
+    recordQueries(recorder) {
+        return recordPoolQueries(this.pool, ['query'], recorder);
+    }
+
+    /**
+     * EXPLAIN (ANALYZE, BUFFERS, FORMAT JSON) of a read statement; other statements are
+     * only planned, since ANALYZE executes them
+     */
+    async explainQuery(sql, params = []) {
+        const analyzed = isReadQuery(sql);
+        const options = analyzed ? 'ANALYZE, BUFFERS, FORMAT JSON' : 'FORMAT JSON';
+        
+        const result = await this.pool.query(`EXPLAIN (${options}) ${sql}`, params);
+        const [plan] = result.rows[0]['QUERY PLAN'];
+        return { analyzed, plan, summary: summarizePostgresPlan(plan) };
+    }
+
     async close() {
         await this.pool.end();
         console.log('PostgreSQL connection pool closed');
     }
 }
 
+/**
+ * planSummary() of an EXPLAIN (FORMAT JSON) result
+ */
+function summarizePostgresPlan(explained) {
+    const root = explained.Plan;
+    const nodes = [];
+    const indexes = [];
+    const fullScans = [];
+    const estimates = [];
+    
+    const visit = node => {
+        nodes.push(node['Node Type']);
+        if (node['Index Name']) {
+            indexes.push(node['Index Name']);
+        }
+        if (node['Node Type'] === 'Seq Scan') {
+            fullScans.push(node['Relation Name']);
+        }
+        // Nodes that never ran have no actual rows to compare
+        if (node['Actual Loops'] > 0) {
+            estimates.push({ node: node['Node Type'], estimated: node['Plan Rows'], actual: node['Actual Rows'] });
+        }
+        (node.Plans || []).forEach(visit);
+    };
+    visit(root);
+    
+    return planSummary({
+        nodes,
+        indexes,
+        fullScans,
+        estimatedRows: root['Plan Rows'],
+        actualRows: root['Actual Rows'] === undefined ? null : root['Actual Rows'] * root['Actual Loops'],
+        executionTimeMs: explained['Execution Time'] === undefined ? null : explained['Execution Time'],
+        estimates
+    });
+}
+
 module.exports = PostgresDB;
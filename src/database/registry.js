@@ -0,0 +1,179 @@
+const path = require('path');
+const { validateAdapter } = require('./adapter');
+
+/**
+ * Registry of database adapters available to the CLI and scripts.
+ *
+ * An adapter definition has the shape:
+ *   {
+ *     name: 'postgres',
+ *     description: 'PostgreSQL (node-postgres)',
+ *     connectionEnv: 'POSTGRES_CONN_STRING', // optional
+ *     defaultConnectionString: '...', // optional, used when connectionEnv is unset
+ *     create: (connectionString, options) => adapterInstance
+ *   }
+ */
+
+const adapters = new Map();
+
+/**
+ * Database sets accepted by --database in addition to adapter names
+ */
+const DATABASE_ALIASES = {
+    both: ['postgres', 'mysql']
+};
+
+/**
+ * Register an adapter definition
+ */
+function registerAdapter(definition) {
+    if (!definition || typeof definition.name !== 'string' || !definition.name) {
+        throw new Error('Adapter definition must have a name');
+    }
+    if (typeof definition.create !== 'function') {
+        throw new Error(`Adapter "${definition.name}" must provide a create() function`);
+    }
+    if (definition.name === 'all' || DATABASE_ALIASES[definition.name]) {
+        throw new Error(`Adapter name "${definition.name}" is reserved`);
+    }
+
+    adapters.set(definition.name, definition);
+    return definition;
+}
+
+/**
+ * Turn a module export into a list of adapter definitions.
+ * Accepts a definition, an array of definitions, or an adapter class
+ * with a static adapterName (and optional static connectionEnv).
+ */
+function toDefinitions(exported, modulePath) {
+    if (Array.isArray(exported)) {
+        return exported.flatMap(item => toDefinitions(item, modulePath));
+    }
+
+    if (typeof exported === 'function' && exported.adapterName) {
+        const AdapterClass = exported;
+        return [{
+            name: AdapterClass.adapterName,
+            description: AdapterClass.description || `External adapter from ${modulePath}`,
+            connectionEnv: AdapterClass.connectionEnv,
+            create: (connectionString, options) => new AdapterClass(connectionString, options)
+        }];
+    }
+
+    if (exported && typeof exported === 'object' && typeof exported.create === 'function') {
+        return [{ description: `External adapter from ${modulePath}`, ...exported }];
+    }
+
+    throw new Error(`Module ${modulePath} does not export an adapter definition or adapter class`);
+}
+
+/**
+ * Load and register adapters from an external module path
+ */
+function loadAdapterModule(modulePath) {
+    const resolvedPath = path.resolve(process.cwd(), modulePath);
+
+    let exported;
+    try {
+        exported = require(resolvedPath);
+    } catch (error) {
+        throw new Error(`Failed to load adapter module ${modulePath}: ${error.message}`);
+    }
+
+    return toDefinitions(exported, modulePath).map(registerAdapter);
+}
+
+/**
+ * Get the names of all registered adapters
+ */
+function getAdapterNames() {
+    return Array.from(adapters.keys());
+}
+
+/**
+ * Get a registered adapter definition
+ */
+function getAdapterDefinition(name) {
+    const definition = adapters.get(name);
+    if (!definition) {
+        throw new Error(`Unsupported database type: ${name} (available: ${getAdapterNames().join(', ')})`);
+    }
+    return definition;
+}
+
+/**
+ * Create an adapter instance, reading its connection string from the environment
+ */
+function createAdapter(name, options = {}) {
+    const definition = getAdapterDefinition(name);
+
+    let connectionString;
+    if (definition.connectionEnv) {
+        connectionString = process.env[definition.connectionEnv] || definition.defaultConnectionString;
+        if (!connectionString) {
+            throw new Error(`${definition.connectionEnv} environment variable is required`);
+        }
+    }
+
+    return validateAdapter(definition.create(connectionString, options), name);
+}
+
+/**
+ * Expand a --database value ("both", "all", or a comma-separated list) into adapter names
+ */
+function resolveDatabaseTypes(spec = 'both') {
+    const names = String(spec)
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean)
+        .flatMap(name => {
+            if (name === 'all') return getAdapterNames();
+            return DATABASE_ALIASES[name] || [name];
+        });
+
+    const unique = [...new Set(names)];
+    unique.forEach(getAdapterDefinition);
+    return unique;
+}
+
+// Built-in adapters are required lazily so their drivers load only when used
+registerAdapter({
+    name: 'postgres',
+    description: 'PostgreSQL (node-postgres)',
+    connectionEnv: 'POSTGRES_CONN_STRING',
+    create: (connectionString, options) => {
+        const PostgresDB = require('./postgres');
+        return new PostgresDB(connectionString, options);
+    }
+});
+
+registerAdapter({
+    name: 'mysql',
+    description: 'MySQL (mysql2)',
+    connectionEnv: 'MYSQL_CONN_STRING',
+    create: (connectionString, options) => {
+        const MySQLDB = require('./mysql');
+        return new MySQLDB(connectionString, options);
+    }
+});
+
+registerAdapter({
+    name: 'simulated',
+    description: 'In-memory simulated database with latency and fault injection',
+    connectionEnv: 'SIMULATED_CONN_STRING',
+    defaultConnectionString: 'simulated://local',
+    create: (connectionString, options) => {
+        const SimulatedDB = require('./simulated');
+        return new SimulatedDB(connectionString, options);
+    }
+});
+
+module.exports = {
+    registerAdapter,
+    loadAdapterModule,
+    getAdapterNames,
+    getAdapterDefinition,
+    createAdapter,
+    resolveDatabaseTypes
+};
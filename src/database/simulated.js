@@ -0,0 +1,421 @@
+const crypto = require('crypto');
+const { DatabaseAdapter, READ_QUERIES } = require('./adapter');
+const { SeededRandom, parseDistribution, sampleDistribution } = require('../utils/random');
+const { SCHEMA_VARIANTS, resolveSchemaVariant, resolvePartitionLayout } = require('../schema');
+const { generateUuidV7 } = require('../utils/dataGenerator');
+
+/**
+ * Default behaviour, overridable through the connection string query parameters
+ */
+const DEFAULT_OPTIONS = {
+    seed: null,
+    readLatency: 'lognormal:1:0.5',
+    writeLatency: 'lognormal:2:0.5',
+    batchRowLatency: 'fixed:0.1', // Added per row on insertBatch
+    scanRowLatency: 'fixed:0.002', // Added per row scanned or skipped by reads
+    errorRate: 0,
+    stallRate: 0, // Probability per operation that the whole database stalls
+    stallMs: 500,
+    retainPayload: false // Keep message/config bodies in memory
+};
+
+/**
+ * Relative per-row cost of each batch insert mode
+ */
+const INSERT_MODE_ROW_COST = {
+    transaction: 1,
+    'multi-values': 0.5,
+    copy: 0.25,
+    'load-data': 0.25
+};
+
+/**
+ * In-memory "servers", keyed by connection string host and path so that
+ * separate adapter instances in one process (setup, write, read) share data.
+ * The table exists until dropTable() is called.
+ */
+const stores = new Map();
+
+function getStore(key) {
+    if (!stores.has(key)) {
+        stores.set(key, {
+            tableExists: true,
+            schema: resolveSchemaVariant(),
+            partitionLayout: resolvePartitionLayout(),
+            bytes: 0,
+            lastId: 0,
+            rows: [],
+            rowsByUser: new Map(),
+            rowsById: new Map(),
+            stalledUntil: 0,
+            // Server-wide counters (see serverMetrics.js) and per-operation statement totals, kept across drops
+            counters: { rowsFetched: 0, rowsInserted: 0, commits: 0, rollbacks: 0, walBytes: 0 },
+            statements: new Map()
+        });
+    }
+    return stores.get(key);
+}
+
+/**
+ * In-memory database adapter with configurable latency and fault injection.
+ *
+ * Configured through SIMULATED_CONN_STRING, for example:
+ *   simulated://local?seed=42&readLatency=lognormal:1:0.5&errorRate=0.001&stallRate=0.0001&stallMs=250
+ */
+class SimulatedDB extends DatabaseAdapter {
+    constructor(connectionString = 'simulated://local', options = {}) {
+        super('simulated');
+        this.options = options;
+        this.config = SimulatedDB.parseConnectionString(connectionString);
+        this.store = getStore(this.config.storeKey);
+
+        this.random = new SeededRandom(this.config.seed);
+        this.latency = {
+            read: parseDistribution(this.config.readLatency),
+            write: parseDistribution(this.config.writeLatency),
+            batchRow: parseDistribution(this.config.batchRowLatency),
+            scanRow: parseDistribution(this.config.scanRowLatency)
+        };
+
+        this.operationCount = 0;
+    }
+
+    /**
+     * Parse a simulated:// connection string into adapter options
+     */
+    static parseConnectionString(connectionString) {
+        const url = new URL(connectionString);
+        const config = { ...DEFAULT_OPTIONS, storeKey: `${url.host}${url.pathname}` };
+
+        for (const [key, value] of url.searchParams) {
+            if (!(key in DEFAULT_OPTIONS)) {
+                throw new Error(`Unknown simulated database option: ${key}`);
+            }
+            if (['errorRate', 'stallRate', 'stallMs'].includes(key)) {
+                config[key] = parseFloat(value);
+                if (isNaN(config[key]) || config[key] < 0) {
+                    throw new Error(`Simulated database option ${key} must be a non-negative number`);
+                }
+            } else if (key === 'retainPayload') {
+                config[key] = value === 'true' || value === '1';
+            } else {
+                config[key] = value;
+            }
+        }
+
+        return config;
+    }
+
+    get capabilities() {
+        return {
+            batchInsert: true,
+            transactions: true,
+            returningInsert: true,
+            insertModes: ['single', ...Object.keys(INSERT_MODE_ROW_COST)],
+            readQueries: Object.keys(READ_QUERIES)
+        };
+    }
+
+    /**
+     * Wait out any active stall, the sampled latency, and maybe fail
+     */
+    async simulate(operation, latencyMs) {
+        this.operationCount++;
+
+        const now = Date.now();
+        if (this.config.stallRate > 0 && this.random.next() < this.config.stallRate) {
+            this.store.stalledUntil = Math.max(this.store.stalledUntil, now) + this.config.stallMs;
+        }
+
+        const stallDelay = Math.max(0, this.store.stalledUntil - now);
+        await sleep(stallDelay + latencyMs);
+
+        const statement = this.store.statements.get(operation) || { calls: 0, totalTimeMs: 0 };
+        statement.calls++;
+        statement.totalTimeMs += stallDelay + latencyMs;
+        this.store.statements.set(operation, statement);
+
+        if (this.config.errorRate > 0 && this.random.next() < this.config.errorRate) {
+            this.store.counters.rollbacks++;
+            throw new Error(`Simulated failure in ${operation}`);
+        }
+        this.store.counters.commits++;
+    }
+
+    /**
+     * Copies of rows returned by a read, counted as fetched
+     */
+    fetched(rows) {
+        this.store.counters.rowsFetched += rows.length;
+        return rows.map(row => ({ ...row }));
+    }
+
+    requireTable() {
+        if (!this.store.tableExists) {
+            throw new Error('relation "llm_chat_message" does not exist');
+        }
+    }
+
+    /**
+     * Reject config values that a JSON column would refuse
+     */
+    checkRow(data) {
+        if (this.store.schema.config !== 'text') {
+            try {
+                JSON.parse(data.config);
+            } catch (error) {
+                throw new Error(`invalid input syntax for type json: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Next id for the table's id strategy
+     */
+    nextId() {
+        switch (this.store.schema.id) {
+            case 'bigint':
+                return String(++this.store.lastId);
+            case 'uuidv7':
+            case 'binary16':
+                return generateUuidV7();
+            default:
+                // Not from the seeded generator: rows of a rerun with the same seed must not collide
+                return crypto.randomUUID();
+        }
+    }
+
+    storeRow(data) {
+        const row = {
+            id: this.nextId(),
+            timestamp: new Date(),
+            user_id: data.user_id,
+            role: data.role,
+            title: data.title,
+            message: this.config.retainPayload ? data.message : `<${data.message.length} chars>`,
+            config: this.config.retainPayload ? data.config : `<${data.config.length} chars>`
+        };
+
+        // Approximate on-disk size: payload bytes plus a fixed id/timestamp/row overhead
+        const bytes = 40 + ['user_id', 'role', 'title', 'message', 'config']
+            .reduce((sum, column) => sum + Buffer.byteLength(data[column]), 0);
+        this.store.bytes += bytes;
+        this.store.counters.rowsInserted++;
+        this.store.counters.walBytes += bytes;
+        this.store.rows.push(row);
+        if (!this.store.rowsByUser.has(row.user_id)) {
+            this.store.rowsByUser.set(row.user_id, []);
+        }
+        this.store.rowsByUser.get(row.user_id).push(row);
+        this.store.rowsById.set(row.id, row);
+        return row;
+    }
+
+    /**
+     * Read latency plus a per-row cost for rows scanned or skipped
+     */
+    readLatency(scannedRows = 0) {
+        return sampleDistribution(this.random, this.latency.read) +
+            scannedRows * sampleDistribution(this.random, this.latency.scanRow);
+    }
+
+    async connect() {
+        await this.simulate('connect', 0);
+        console.log('Connected to simulated database successfully');
+        return true;
+    }
+
+    async createTable(schema = this.options.schema, layout = this.options.partitionLayout) {
+        if (!this.store.tableExists) {
+            this.store.schema = resolveSchemaVariant(schema);
+            this.store.partitionLayout = resolvePartitionLayout(layout);
+        }
+        this.store.tableExists = true;
+        console.log('Simulated table created successfully');
+    }
+
+    async dropTable() {
+        this.store.tableExists = false;
+        this.store.bytes = 0;
+        this.store.lastId = 0;
+        this.store.rows = [];
+        this.store.rowsByUser = new Map();
+        this.store.rowsById = new Map();
+        console.log('Simulated table dropped successfully');
+    }
+
+    async insertMessage(data) {
+        await this.simulate('insertMessage', sampleDistribution(this.random, this.latency.write));
+        this.requireTable();
+
+        this.checkRow(data);
+        const row = this.storeRow(data);
+        return { id: row.id, timestamp: row.timestamp };
+    }
+
+    async insertBatch(dataArray, mode = 'transaction') {
+        if (!(mode in INSERT_MODE_ROW_COST)) {
+            throw new Error(`Simulated database does not support insert mode: ${mode}`);
+        }
+
+        let latency = sampleDistribution(this.random, this.latency.write);
+        for (let i = 0; i < dataArray.length; i++) {
+            latency += sampleDistribution(this.random, this.latency.batchRow) * INSERT_MODE_ROW_COST[mode];
+        }
+
+        // Rows are stored only after the simulated commit succeeds
+        await this.simulate('insertBatch', latency);
+        this.requireTable();
+
+        dataArray.forEach(data => this.checkRow(data));
+        dataArray.forEach(data => this.storeRow(data));
+        return dataArray.length;
+    }
+
+    async getMessagesByUser(userId, limit = 100) {
+        await this.simulate('getMessagesByUser', this.readLatency());
+        this.requireTable();
+
+        const userRows = this.store.rowsByUser.get(userId) || [];
+        return this.fetched(userRows.slice(-limit).reverse());
+    }
+
+    async getMessagesInTimeRange(lower, upper, limit = 100) {
+        const { rows } = this.store;
+        const start = lowerBound(rows, new Date(lower).getTime());
+        const matches = rows.slice(start, Math.min(lowerBound(rows, new Date(upper).getTime()), start + limit));
+
+        await this.simulate('getMessagesInTimeRange', this.readLatency(matches.length));
+        this.requireTable();
+
+        return this.fetched(matches);
+    }
+
+    async countMessagesByRole(userId) {
+        const userRows = this.store.rowsByUser.get(userId) || [];
+
+        await this.simulate('countMessagesByRole', this.readLatency(userRows.length));
+        this.requireTable();
+
+        const counts = new Map();
+        this.store.counters.rowsFetched += userRows.length;
+        userRows.forEach(row => counts.set(row.role, (counts.get(row.role) || 0) + 1));
+        return Array.from(counts, ([role, count]) => ({ role, count }));
+    }
+
+    async getMessageById(id) {
+        await this.simulate('getMessageById', this.readLatency());
+        this.requireTable();
+
+        const row = this.store.rowsById.get(id);
+        return row ? this.fetched([row])[0] : null;
+    }
+
+    async getMessagesByUserAfter(userId, afterId, limit = 100) {
+        await this.simulate('getMessagesByUserAfter', this.readLatency());
+        this.requireTable();
+
+        // Rows per user are stored oldest first, so the page ends just before the cursor row
+        const userRows = this.store.rowsByUser.get(userId) || [];
+        const end = afterId === null ? userRows.length : userRows.findIndex(row => row.id === afterId);
+        return this.fetched(userRows.slice(Math.max(0, end - limit), Math.max(0, end)).reverse());
+    }
+
+    async getMessagesByUserOffset(userId, offset, limit = 100) {
+        const userRows = this.store.rowsByUser.get(userId) || [];
+        const end = Math.max(0, userRows.length - offset);
+
+        await this.simulate('getMessagesByUserOffset', this.readLatency(Math.min(offset, userRows.length)));
+        this.requireTable();
+
+        return this.fetched(userRows.slice(Math.max(0, end - limit), end).reverse());
+    }
+
+    async sampleMessageIds(limit) {
+        this.requireTable();
+        return this.store.rows.slice(-limit).reverse().map(row => row.id);
+    }
+
+    async sampleUserIds(limit) {
+        this.requireTable();
+        return this.store.rows.slice(-limit).reverse().map(row => row.user_id);
+    }
+
+    async getTableStats() {
+        this.requireTable();
+
+        const { rows, rowsByUser } = this.store;
+        return {
+            total_records: rows.length,
+            unique_users: rowsByUser.size,
+            earliest_message: rows.length > 0 ? rows[0].timestamp : null,
+            latest_message: rows.length > 0 ? rows[rows.length - 1].timestamp : null
+        };
+    }
+
+    async describeTable() {
+        this.requireTable();
+
+        // Roughly 40 bytes per entry in each B-tree index; BRIN summaries are negligible
+        const { schema, partitionLayout, rows, bytes } = this.store;
+        const btrees = SCHEMA_VARIANTS.indexes[schema.indexes].postgres.filter(([, definition]) => !definition.includes('USING brin'));
+        const indexBytes = rows.length * btrees.length * 40;
+        // RANGE tables have a catch-all partition besides the interval ones
+        const partitions = schema.partitioning === 'none' ? 0 : partitionLayout.partitions + (schema.partitioning === 'range' ? 1 : 0);
+        return {
+            schema: { ...schema },
+            dataTypes: null,
+            partitions,
+            rows: rows.length,
+            tableBytes: bytes,
+            indexBytes,
+            totalBytes: bytes + indexBytes
+        };
+    }
+
+    async getServerInfo() {
+        const { storeKey, ...options } = this.config;
+        return { version: 'simulated', store: storeKey, ...options };
+    }
+
+    /**
+     * The store's counters and per-operation totals; there is no buffer cache, so no hit ratio
+     */
+    async getServerMetrics() {
+        return {
+            takenAt: Date.now(),
+            counters: { ...this.store.counters },
+            statements: Array.from(this.store.statements, ([operation, { calls, totalTimeMs }]) =>
+                ({ id: operation, query: operation, calls, totalTimeMs, rows: null }))
+        };
+    }
+
+    async close() {
+        console.log('Simulated database closed');
+    }
+}
+
+/**
+ * Index of the first row with timestamp >= time (rows are in insertion order)
+ */
+function lowerBound(rows, time) {
+    let low = 0;
+    let high = rows.length;
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        if (rows[middle].timestamp.getTime() < time) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+SimulatedDB.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = SimulatedDB;
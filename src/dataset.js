@@ -0,0 +1,206 @@
+/**
+ * Pre-generated datasets: the message corpus written to an NDJSON file (gzip when
+ * the name ends in .gz) and streamed back by write tests, so every database
+ * ingests byte-identical rows.
+ *
+ * The first line of a file written by `dataset generate` is a header,
+ * {"dataset": {"rows", "seed", "userCount", "data", "created"}}; every other line is
+ * one message row ({ user_id, role, title, message, config }). Files without a
+ * header are accepted and counted before use.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const { MESSAGE_COLUMNS } = require('./schema');
+
+// Rows serialized per chunk when writing
+const WRITE_CHUNK_ROWS = 500;
+
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+
+function isGzipFile(filename) {
+    const fd = fs.openSync(filename, 'r');
+    try {
+        const magic = Buffer.alloc(2);
+        return fs.readSync(fd, magic, 0, 2, 0) === 2 && magic.equals(GZIP_MAGIC);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Lines of a plain or gzip-compressed text file
+ */
+async function* readLines(filename) {
+    const file = fs.createReadStream(filename);
+    const input = isGzipFile(filename) ? file.pipe(zlib.createGunzip()) : file;
+    file.on('error', error => input.destroy(error));
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+        for await (const line of lines) {
+            yield line;
+        }
+    } finally {
+        lines.close();
+        file.destroy();
+    }
+}
+
+function parseHeader(line) {
+    try {
+        const value = JSON.parse(line);
+        return value && typeof value.dataset === 'object' && !('user_id' in value) ? value.dataset : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Write `rows` messages from a DataGenerator to an NDJSON file, gzip-compressed when
+ * the file name ends in .gz or `gzip` is set. Returns the header written.
+ */
+async function writeDataset(filename, generator, { rows, seed, gzip = filename.endsWith('.gz') }) {
+    const header = {
+        rows,
+        seed,
+        userCount: generator.userCount,
+        data: generator.profile,
+        created: new Date().toISOString()
+    };
+
+    async function* chunks() {
+        yield `${JSON.stringify({ dataset: header })}\n`;
+        for (let written = 0; written < rows; written += WRITE_CHUNK_ROWS) {
+            const count = Math.min(WRITE_CHUNK_ROWS, rows - written);
+            yield generator.batch(count).map(row => `${JSON.stringify(row)}\n`).join('');
+        }
+    }
+
+    const stages = [Readable.from(chunks())];
+    if (gzip) {
+        stages.push(zlib.createGzip());
+    }
+    await pipeline(...stages, fs.createWriteStream(filename));
+    return header;
+}
+
+/**
+ * Header of a dataset file with the file name and row count; files without a header are counted
+ */
+async function describeDataset(filename) {
+    if (!fs.existsSync(filename)) {
+        throw new Error(`Dataset ${filename} does not exist`);
+    }
+
+    let header = null;
+    let rows = 0;
+    let lineNumber = 0;
+    for await (const line of readLines(filename)) {
+        lineNumber++;
+        if (lineNumber === 1 && (header = parseHeader(line))) {
+            break;
+        }
+        if (line.trim()) {
+            rows++;
+        }
+    }
+
+    return {
+        file: filename,
+        rows: header ? header.rows : rows,
+        seed: header ? header.seed : null,
+        userCount: header ? header.userCount : null,
+        data: header ? header.data : null
+    };
+}
+
+/**
+ * Streams message rows from a dataset file in batches, starting over from the
+ * first row when the file runs out. Concurrent batch requests are served in order.
+ */
+class DatasetReader {
+    constructor(filename) {
+        this.filename = filename;
+        this.lines = null;
+        this.lineNumber = 0;
+        this.passRows = 0;
+        this.rowsRead = 0;
+        this.replays = 0;
+        this.pending = Promise.resolve();
+    }
+
+    async nextRow() {
+        for (;;) {
+            if (!this.lines) {
+                this.lines = readLines(this.filename);
+                this.lineNumber = 0;
+                this.passRows = 0;
+            }
+
+            const { value: line, done } = await this.lines.next();
+            if (done) {
+                if (this.passRows === 0) {
+                    throw new Error(`Dataset ${this.filename} has no rows`);
+                }
+                this.lines = null;
+                this.replays++;
+                continue;
+            }
+
+            this.lineNumber++;
+            if (!line.trim() || (this.lineNumber === 1 && parseHeader(line))) {
+                continue;
+            }
+
+            let row;
+            try {
+                row = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`${this.filename}:${this.lineNumber}: ${error.message}`);
+            }
+            const missing = MESSAGE_COLUMNS.filter(column => typeof row[column] !== 'string');
+            if (missing.length > 0) {
+                throw new Error(`${this.filename}:${this.lineNumber}: row is missing ${missing.join(', ')}`);
+            }
+
+            this.passRows++;
+            this.rowsRead++;
+            return row;
+        }
+    }
+
+    async readBatch(count) {
+        const rows = [];
+        for (let i = 0; i < count; i++) {
+            rows.push(await this.nextRow());
+        }
+        return rows;
+    }
+
+    /**
+     * Next `count` rows
+     */
+    nextBatch(count) {
+        const batch = this.pending.then(() => this.readBatch(count));
+        this.pending = batch.catch(() => {});
+        return batch;
+    }
+
+    async close() {
+        if (this.lines) {
+            await this.lines.return();
+            this.lines = null;
+        }
+    }
+}
+
+module.exports = {
+    writeDataset,
+    describeDataset,
+    DatasetReader
+};
@@ -0,0 +1,226 @@
+/**
+ * Query plan capture: while a test runs, the read statements an adapter sends
+ * through its connection pool are recorded with a few sets of parameters each;
+ * afterwards every recorded sample is explained (EXPLAIN ANALYZE on PostgreSQL
+ * and MySQL) and summarized as index usage and estimated vs actual rows.
+ *
+ * INSERTs are not recorded: their plans are a single insert node and
+ * EXPLAIN ANALYZE would write the row again.
+ */
+
+const { getCapabilities } = require('./database/adapter');
+
+// Parameter sets explained per distinct statement by default
+const DEFAULT_EXPLAIN_SAMPLES = 3;
+
+// Longest parameter value kept in the exported samples
+const MAX_PARAM_LENGTH = 200;
+
+/**
+ * Whether a statement only reads, so that EXPLAIN ANALYZE can safely execute it
+ */
+function isReadQuery(sql) {
+    return /^\s*(SELECT|WITH)\b/i.test(sql);
+}
+
+function normalizeSql(sql) {
+    return sql.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * A parameter as stored with the plans: binary ids as hex, long strings cut short
+ */
+function exportParam(value) {
+    if (Buffer.isBuffer(value)) {
+        return `\\x${value.toString('hex')}`;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === 'string' && value.length > MAX_PARAM_LENGTH) {
+        return `${value.slice(0, MAX_PARAM_LENGTH)}...`;
+    }
+    return value;
+}
+
+/**
+ * Parameter sets to explain per statement from an --explain option or scenario
+ * value: true for the default, a count, or 0 (no capture) when unset or false
+ */
+function resolveExplainSamples(value) {
+    if (value === undefined || value === null || value === false) {
+        return 0;
+    }
+    const samples = value === true ? DEFAULT_EXPLAIN_SAMPLES : Number(value);
+    if (!Number.isInteger(samples) || samples < 0) {
+        throw new Error(`Invalid explain sample count "${value}" (expected true or a non-negative integer)`);
+    }
+    return samples;
+}
+
+/**
+ * Distinct read statements with their call counts and the first `samples` distinct parameter sets
+ */
+class QueryRecorder {
+    constructor(samples = DEFAULT_EXPLAIN_SAMPLES) {
+        this.samples = samples;
+        this.queries = new Map();
+    }
+
+    record(sql, params = []) {
+        if (!isReadQuery(sql)) {
+            return;
+        }
+
+        const key = normalizeSql(sql);
+        if (!this.queries.has(key)) {
+            this.queries.set(key, { sql, calls: 0, samples: [], seen: new Set() });
+        }
+
+        const query = this.queries.get(key);
+        query.calls++;
+        if (query.samples.length < this.samples) {
+            const signature = JSON.stringify(params.map(exportParam));
+            if (!query.seen.has(signature)) {
+                query.seen.add(signature);
+                query.samples.push(params);
+            }
+        }
+    }
+}
+
+/**
+ * Route a pool's query methods through a recorder until the returned function is called
+ */
+function recordPoolQueries(pool, methods, recorder) {
+    const originals = methods.map(method => [method, pool[method]]);
+    originals.forEach(([method, original]) => {
+        pool[method] = (sql, params, ...rest) => {
+            if (typeof sql === 'string') {
+                recorder.record(sql, Array.isArray(params) ? params : []);
+            }
+            return original.call(pool, sql, params, ...rest);
+        };
+    });
+
+    return () => originals.forEach(([method, original]) => {
+        pool[method] = original;
+    });
+}
+
+/**
+ * Plan summary shared by the adapters: plan node types, indexes used, tables read in full,
+ * the root node's estimated and actual rows, execution time and the node whose row
+ * estimate was furthest off
+ */
+function planSummary({ nodes, indexes, fullScans, estimatedRows = null, actualRows = null, executionTimeMs = null, estimates = [] }) {
+    let worstEstimate = null;
+    estimates.forEach(({ node, estimated, actual }) => {
+        // Rows are per loop on both servers; +1 keeps an estimate of 1 for 0 actual rows finite
+        const factor = (Math.max(estimated, actual) + 1) / (Math.min(estimated, actual) + 1);
+        if (!worstEstimate || factor > worstEstimate.factor) {
+            worstEstimate = { node, estimated, actual, factor };
+        }
+    });
+
+    return {
+        nodes,
+        indexes: [...new Set(indexes)],
+        fullScans: [...new Set(fullScans)],
+        estimatedRows,
+        actualRows,
+        executionTimeMs,
+        worstEstimate
+    };
+}
+
+/**
+ * Start recording an adapter's read statements, returning { recorder, stop }, or null
+ * with a warning when the adapter cannot explain queries
+ */
+function startPlanCapture(adapter, samples = DEFAULT_EXPLAIN_SAMPLES) {
+    if (!getCapabilities(adapter).explain) {
+        console.warn(`${adapter.name} does not support EXPLAIN capture, no plans will be recorded`);
+        return null;
+    }
+
+    const recorder = new QueryRecorder(samples);
+    return { recorder, stop: adapter.recordQueries(recorder) };
+}
+
+/**
+ * Explain every recorded sample, most called statement first. Failing samples keep
+ * their error instead of a plan.
+ */
+async function explainRecordedQueries(adapter, recorder) {
+    const queries = [...recorder.queries.values()].sort((a, b) => b.calls - a.calls);
+    const plans = [];
+
+    for (const query of queries) {
+        const samples = [];
+        for (const params of query.samples) {
+            try {
+                const { analyzed, plan, summary } = await adapter.explainQuery(query.sql, params);
+                samples.push({ params: params.map(exportParam), analyzed, summary, plan });
+            } catch (error) {
+                samples.push({ params: params.map(exportParam), error: error.message });
+            }
+        }
+        plans.push({ query: normalizeSql(query.sql), calls: query.calls, samples });
+    }
+
+    return plans;
+}
+
+/**
+ * The explained samples of one captured query combined: indexes and full scans of any
+ * sample, "estimated/actual" root rows per sample, mean execution time and the worst
+ * row estimate. Null when no sample could be explained.
+ */
+function combinePlanSamples(samples) {
+    const summaries = samples.filter(sample => sample.summary).map(sample => sample.summary);
+    if (summaries.length === 0) {
+        return null;
+    }
+
+    const times = summaries.map(summary => summary.executionTimeMs).filter(time => time !== null && time !== undefined);
+    const worstEstimates = summaries.map(summary => summary.worstEstimate).filter(Boolean);
+
+    return {
+        explained: summaries.length,
+        indexes: [...new Set(summaries.flatMap(summary => summary.indexes))],
+        fullScans: [...new Set(summaries.flatMap(summary => summary.fullScans))],
+        rows: summaries.map(summary => `${summary.estimatedRows === null ? '?' : summary.estimatedRows}/${summary.actualRows === null ? '?' : summary.actualRows}`),
+        executionTimeMs: times.length > 0 ? times.reduce((sum, time) => sum + time, 0) / times.length : null,
+        worstEstimate: worstEstimates.reduce((worst, estimate) => (!worst || estimate.factor > worst.factor ? estimate : worst), null)
+    };
+}
+
+/**
+ * One-line summary of a captured query's samples for logs
+ */
+function formatPlanSamples(samples) {
+    const combined = combinePlanSamples(samples);
+    if (!combined) {
+        return samples.length > 0 ? `explain failed: ${samples[0].error}` : 'no samples';
+    }
+
+    return [
+        combined.indexes.length > 0 ? `index ${combined.indexes.join(', ')}` : 'no index',
+        combined.fullScans.length > 0 ? `full scan of ${combined.fullScans.join(', ')}` : null,
+        `est/actual rows ${combined.rows.join(', ')}`
+    ].filter(Boolean).join('; ');
+}
+
+module.exports = {
+    DEFAULT_EXPLAIN_SAMPLES,
+    QueryRecorder,
+    isReadQuery,
+    resolveExplainSamples,
+    recordPoolQueries,
+    planSummary,
+    startPlanCapture,
+    explainRecordedQueries,
+    combinePlanSamples,
+    formatPlanSamples
+};
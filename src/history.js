@@ -0,0 +1,284 @@
+/**
+ * Local run history: every benchmark, write, read, mixed and scenario run is
+ * kept as one JSON file (the export layout plus an id) in a history directory,
+ * so results can be looked up and trended across runs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Table = require('cli-table3');
+const chalk = require('chalk');
+
+const { THROUGHPUT_UNITS, metricValue, parseMetric, entriesFromExport, entryLabel } = require('./utils/results');
+
+const DEFAULT_HISTORY_DIR = '.loadtest-history';
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Directory-backed store of recorded runs, ordered by id (ids start with the UTC record time)
+ */
+class RunHistory {
+    constructor(directory = process.env.LOADTEST_HISTORY_DIR || DEFAULT_HISTORY_DIR) {
+        this.directory = directory;
+    }
+
+    static createId(date = new Date()) {
+        const stamp = date.toISOString().replace(/[-:.Z]/g, '');
+        return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+    }
+
+    /**
+     * Store a run in the export layout (reporter.toExportData()), returning its id
+     */
+    record(exportData) {
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        const id = RunHistory.createId(new Date(exportData.timestamp || Date.now()));
+        const run = { id, command: exportData.config ? exportData.config.command : null, ...exportData };
+        fs.writeFileSync(path.join(this.directory, `${id}.json`), JSON.stringify(run, null, 2));
+        return id;
+    }
+
+    /**
+     * Ids of every recorded run, oldest first
+     */
+    ids() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+        return fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length))
+            .sort();
+    }
+
+    /**
+     * Load a run by id, unique id prefix or "latest"
+     */
+    load(reference) {
+        const ids = this.ids();
+        const matches = reference === 'latest' ? ids.slice(-1) : ids.filter(id => id.startsWith(reference));
+
+        if (matches.length === 0) {
+            throw new Error(`No run "${reference}" in history ${this.directory}`);
+        }
+        if (matches.length > 1 && !matches.includes(reference)) {
+            throw new Error(`Run id "${reference}" is ambiguous (${matches.slice(0, 5).join(', ')}${matches.length > 5 ? ', ...' : ''})`);
+        }
+
+        const id = matches.includes(reference) ? reference : matches[0];
+        return JSON.parse(fs.readFileSync(path.join(this.directory, `${id}.json`), 'utf8'));
+    }
+
+    /**
+     * Every recorded run, oldest first
+     */
+    loadAll() {
+        return this.ids().map(id => this.load(id));
+    }
+}
+
+/**
+ * Record a finished run's results in the history, warning instead of failing the run
+ */
+function recordRun(reporter, history = new RunHistory()) {
+    try {
+        const id = history.record(reporter.toExportData());
+        console.log(chalk.gray(`🗂  Recorded run ${id} in ${history.directory}`));
+        return id;
+    } catch (error) {
+        console.warn(chalk.yellow(`⚠️  Could not record run history: ${error.message}`));
+        return null;
+    }
+}
+
+function runDatabases(run) {
+    return [...new Set(entriesFromExport(run).map(entry => entry.database))];
+}
+
+function formatNumber(value) {
+    return value === null || value === undefined ? 'n/a' : value.toFixed(2);
+}
+
+/**
+ * One-line sparkline of a series; missing values are blank
+ */
+function sparkline(values) {
+    const present = values.filter(value => value !== null);
+    const min = Math.min(...present);
+    const max = Math.max(...present);
+
+    return values.map(value => {
+        if (value === null) {
+            return ' ';
+        }
+        const level = max > min ? Math.round(((value - min) / (max - min)) * (SPARK_CHARS.length - 1)) : SPARK_CHARS.length - 1;
+        return SPARK_CHARS[level];
+    }).join('');
+}
+
+/**
+ * Table of recorded runs, most recent last
+ */
+function printHistoryList(history, { limit = 20 } = {}) {
+    const runs = history.loadAll().slice(-limit);
+    if (runs.length === 0) {
+        console.log(chalk.yellow(`No runs recorded in ${history.directory}`));
+        return;
+    }
+
+    console.log(chalk.bold.blue(`\n🗂  RUN HISTORY (${history.directory})`));
+
+    const table = new Table({
+        head: [
+            chalk.cyan('ID'),
+            chalk.cyan('Recorded'),
+            chalk.cyan('Command'),
+            chalk.cyan('Databases'),
+            chalk.cyan('Tests')
+        ]
+    });
+
+    runs.forEach(run => {
+        const entries = entriesFromExport(run);
+        table.push([
+            run.id,
+            run.timestamp,
+            run.command || '-',
+            runDatabases(run).join(', '),
+            [...new Set(entries.map(entryLabel))].join(', ')
+        ]);
+    });
+
+    console.log(table.toString());
+}
+
+/**
+ * Configuration, server metadata and headline results of one run
+ */
+function printHistoryRun(run) {
+    console.log(chalk.bold.blue(`\n🗂  RUN ${run.id}`));
+    console.log('='.repeat(60));
+    console.log(`Recorded: ${run.timestamp}`);
+    console.log(`Command:  ${run.command || '-'}`);
+
+    if (run.config) {
+        console.log(chalk.bold('\nConfiguration:'));
+        console.log(chalk.gray(JSON.stringify(run.config, null, 2)));
+    }
+
+    Object.entries(run.servers || {}).forEach(([database, info]) => {
+        console.log(chalk.bold(`\n${database} server:`));
+        Object.entries(info).forEach(([key, value]) => console.log(chalk.gray(`  ${key}: ${value}`)));
+    });
+
+    const table = new Table({
+        head: [
+            chalk.cyan('Database'),
+            chalk.cyan('Test'),
+            chalk.cyan('Throughput'),
+            chalk.cyan('Avg (ms)'),
+            chalk.cyan('P50 (ms)'),
+            chalk.cyan('P99 (ms)'),
+            chalk.cyan('Errors'),
+            chalk.cyan('Success Rate (%)')
+        ]
+    });
+
+    entriesFromExport(run).forEach(({ database, phase, testType, results }) => {
+        table.push([
+            database,
+            entryLabel({ phase, testType }),
+            `${formatNumber(metricValue(testType, results, 'throughput'))} ${THROUGHPUT_UNITS[testType] || 'ops/s'}`,
+            formatNumber(metricValue(testType, results, 'avg')),
+            formatNumber(metricValue(testType, results, 'p50')),
+            formatNumber(metricValue(testType, results, 'p99')),
+            results.errors,
+            formatNumber(results.successRate)
+        ]);
+    });
+
+    console.log('');
+    console.log(table.toString());
+}
+
+/**
+ * Value of a metric per database in every run, for runs that recorded it
+ */
+function collectTrend(runs, metricSpec, databaseFilter = null) {
+    const { scope, metric } = parseMetric(metricSpec);
+    const databases = new Set();
+
+    const points = runs.map(run => {
+        const values = {};
+        entriesFromExport(run)
+            .filter(entry => !scope || scope === entry.testType || scope === entry.phase)
+            .filter(entry => !databaseFilter || databaseFilter.includes(entry.database))
+            .forEach(entry => {
+                // The last matching entry wins when a scenario runs one test type several times
+                values[entry.database] = metricValue(entry.testType, entry.results, metric);
+                databases.add(entry.database);
+            });
+        return { id: run.id, timestamp: run.timestamp, command: run.command, values };
+    }).filter(point => Object.keys(point.values).length > 0);
+
+    return { metric: metricSpec, databases: [...databases], points };
+}
+
+/**
+ * Table of a metric across runs with the change from the previous run, plus a sparkline per database
+ */
+function printHistoryTrend(trend) {
+    if (trend.points.length === 0) {
+        console.log(chalk.yellow(`No recorded runs have ${trend.metric}`));
+        return;
+    }
+
+    console.log(chalk.bold.blue(`\n📈 TREND: ${trend.metric}`));
+
+    const table = new Table({
+        head: [chalk.cyan('Run'), chalk.cyan('Recorded'), chalk.cyan('Command'), ...trend.databases.map(database => chalk.cyan(database))]
+    });
+
+    const previous = {};
+    trend.points.forEach(point => {
+        table.push([
+            point.id,
+            point.timestamp,
+            point.command || '-',
+            ...trend.databases.map(database => {
+                const value = point.values[database];
+                if (value === undefined || value === null) {
+                    return '-';
+                }
+
+                const before = previous[database];
+                previous[database] = value;
+                if (before === undefined || before === 0) {
+                    return value.toFixed(2);
+                }
+                const change = ((value - before) / before) * 100;
+                return `${value.toFixed(2)} (${change >= 0 ? '+' : ''}${change.toFixed(1)}%)`;
+            })
+        ]);
+    });
+
+    console.log(table.toString());
+
+    trend.databases.forEach(database => {
+        const series = trend.points.map(point => point.values[database] === undefined ? null : point.values[database]);
+        console.log(`${database.padEnd(12)} ${sparkline(series)}`);
+    });
+}
+
+module.exports = {
+    DEFAULT_HISTORY_DIR,
+    RunHistory,
+    recordRun,
+    collectTrend,
+    printHistoryList,
+    printHistoryRun,
+    printHistoryTrend
+};
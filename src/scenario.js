@@ -0,0 +1,463 @@
+/**
+ * Declarative multi-phase benchmark scenarios (JSON or YAML)
+ *
+ * Example:
+ *
+ *   name: nightly
+ *   databases: [postgres, mysql]
+ *   defaults:
+ *     concurrency: 10
+ *     users: 1000
+ *     userDistribution: zipf:1.1
+ *   phases:
+ *     - { name: setup, type: setup, drop: true, idStrategy: uuidv7, configType: jsonb, indexProfile: composite }
+ *     - { name: load, type: write, records: 100000, batchSize: 100, insertMode: multi-values, messageLength: lognormal:1500:0.8 }
+ *     - { name: warmup, type: warmup, workload: read, duration: 10 }
+ *     - { name: measured-read, type: read, queries: 10000, limit: 100, queryMix: { latest: 60, keyset: 30, by-id: 10 }, userSource: table, explain: 3 }
+ *     - { name: mixed, type: mixed, duration: 60, mix: { getMessagesByUser: 70, insertMessage: 30 } }
+ *     - { name: teardown, type: teardown }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const chalk = require('chalk');
+
+const WriteTest = require('./tests/writeTest');
+const ReadTest = require('./tests/readTest');
+const MixedTest = require('./tests/mixedTest');
+const { parseMix } = require('./tests/mixedTest');
+const { parseQueryMix, resolveUserSource, resolveMissRatio } = require('./tests/readTest');
+const { INSERT_MODES } = require('./database/adapter');
+const { resolveExplainSamples } = require('./explain');
+const { resolveDataProfile } = require('./utils/dataGenerator');
+const { parseSeed } = require('./utils/random');
+const { DEFAULT_SIGNIFICANT_DIGITS, resolveSignificantDigits } = require('./utils/histogram');
+const { createAdapter, resolveDatabaseTypes } = require('./database/registry');
+const { SCHEMA_VARIANTS, resolveSchemaVariant, resolveIdGeneration, resolvePartitionLayout } = require('./schema');
+
+// Parameters accepted by every workload phase (durations in seconds)
+const WORKLOAD_PARAMS = ['concurrency', 'users', 'userDistribution', 'seed', 'duration', 'warmup', 'cooldown', 'rate', 'histogramDigits', 'timelineInterval', 'liveTimeline', 'serverMetrics'];
+
+// Parameters shaping the generated messages of phases that insert (see dataGenerator.js)
+const MESSAGE_PARAMS = ['messageLength', 'roleWeights', 'content'];
+
+// Parameters of phases that run the read test (see readTest.js)
+const READ_PARAMS = ['queries', 'limit', 'queryMix', 'timeRange', 'maxOffset', 'userSource', 'missRatio', 'explain'];
+
+/**
+ * Phase types and the parameters each accepts
+ */
+const PHASE_TYPES = {
+    setup: ['drop', 'idStrategy', 'idGeneration', 'configType', 'titleType', 'timestampType', 'indexProfile', 'partitioning', 'partitions', 'partitionInterval'],
+    teardown: [],
+    write: [...WORKLOAD_PARAMS, ...MESSAGE_PARAMS, 'records', 'batchSize', 'insertMode'],
+    read: [...WORKLOAD_PARAMS, ...READ_PARAMS],
+    mixed: [...WORKLOAD_PARAMS, ...MESSAGE_PARAMS, 'operations', 'limit', 'batchSize', 'mix', 'insertMode', 'explain'],
+    // Runs a write, read or mixed workload whose results are discarded
+    warmup: [...WORKLOAD_PARAMS, ...MESSAGE_PARAMS, ...READ_PARAMS, 'workload', 'records', 'batchSize', 'insertMode', 'operations', 'mix']
+};
+
+const NUMERIC_PARAMS = [...WORKLOAD_PARAMS.filter(key => !['liveTimeline', 'serverMetrics', 'userDistribution', 'seed'].includes(key)), 'records', 'batchSize', 'queries', 'limit', 'timeRange', 'maxOffset', 'operations'];
+// Numeric parameters for which 0 makes no sense (counts and durations may be 0)
+const POSITIVE_PARAMS = ['concurrency', 'users', 'batchSize', 'limit'];
+const WORKLOAD_TYPES = ['write', 'read', 'mixed'];
+
+// Setup phase parameters choosing the schema variant option of the same name (see schema.js)
+const SCHEMA_PARAMS = {
+    idStrategy: 'id',
+    configType: 'config',
+    titleType: 'title',
+    timestampType: 'timestamp',
+    indexProfile: 'indexes',
+    partitioning: 'partitioning'
+};
+const TOP_LEVEL_KEYS = ['name', 'description', 'databases', 'defaults', 'phases'];
+
+/**
+ * Read and parse a scenario file by extension (.json, .yaml or .yml)
+ */
+function loadScenarioFile(filename) {
+    const text = fs.readFileSync(filename, 'utf8');
+    const extension = path.extname(filename).toLowerCase();
+
+    try {
+        if (extension === '.json') {
+            return JSON.parse(text);
+        }
+        if (extension === '.yaml' || extension === '.yml') {
+            return YAML.parse(text);
+        }
+    } catch (error) {
+        throw new Error(`Failed to parse scenario ${filename}: ${error.message}`);
+    }
+
+    throw new Error(`Unsupported scenario file type: ${extension || '(none)'} (expected .json, .yaml or .yml)`);
+}
+
+/**
+ * Check a parsed scenario, returning a list of problems (empty when valid)
+ */
+function validateScenario(scenario) {
+    const errors = [];
+
+    if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+        return ['Scenario must be an object'];
+    }
+
+    Object.keys(scenario)
+        .filter(key => !TOP_LEVEL_KEYS.includes(key))
+        .forEach(key => errors.push(`Unknown top-level key "${key}"`));
+
+    if (scenario.databases !== undefined) {
+        const databases = Array.isArray(scenario.databases) ? scenario.databases.join(',') : scenario.databases;
+        try {
+            resolveDatabaseTypes(databases);
+        } catch (error) {
+            errors.push(`databases: ${error.message}`);
+        }
+    }
+
+    if (scenario.defaults !== undefined) {
+        if (typeof scenario.defaults !== 'object' || Array.isArray(scenario.defaults)) {
+            errors.push('defaults must be an object');
+        } else {
+            validateParams('defaults', scenario.defaults, Object.keys(scenario.defaults), errors);
+        }
+    }
+
+    if (!Array.isArray(scenario.phases) || scenario.phases.length === 0) {
+        errors.push('phases must be a non-empty list');
+        return errors;
+    }
+
+    const names = new Set();
+    scenario.phases.forEach((phase, index) => {
+        const label = phase && phase.name ? `phase "${phase.name}"` : `phase #${index + 1}`;
+
+        if (!phase || typeof phase !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        if (typeof phase.name !== 'string' || !phase.name) {
+            errors.push(`${label} needs a name`);
+        } else if (names.has(phase.name)) {
+            errors.push(`Duplicate phase name "${phase.name}"`);
+        } else {
+            names.add(phase.name);
+        }
+
+        const allowed = PHASE_TYPES[phase.type];
+        if (!allowed) {
+            errors.push(`${label} has unknown type "${phase.type}" (expected ${Object.keys(PHASE_TYPES).join(', ')})`);
+            return;
+        }
+
+        const params = Object.keys(phase).filter(key => key !== 'name' && key !== 'type');
+        params
+            .filter(key => !allowed.includes(key))
+            .forEach(key => errors.push(`${label}: "${key}" is not valid for ${phase.type} phases`));
+
+        if (phase.type === 'warmup' && !WORKLOAD_TYPES.includes(phase.workload)) {
+            errors.push(`${label}: workload must be one of ${WORKLOAD_TYPES.join(', ')}`);
+        }
+
+        validateParams(label, phase, params.filter(key => allowed.includes(key)), errors);
+    });
+
+    return errors;
+}
+
+function validateParams(label, values, keys, errors) {
+    keys.forEach(key => {
+        const value = values[key];
+
+        if (NUMERIC_PARAMS.includes(key)) {
+            if (typeof value !== 'number' || !(value >= 0)) {
+                errors.push(`${label}: ${key} must be a non-negative number`);
+            } else if (POSITIVE_PARAMS.includes(key) && value === 0) {
+                errors.push(`${label}: ${key} must be positive`);
+            } else if (key === 'histogramDigits') {
+                try {
+                    resolveSignificantDigits(value);
+                } catch (error) {
+                    errors.push(`${label}: ${error.message}`);
+                }
+            }
+        } else if (key === 'insertMode') {
+            if (!INSERT_MODES[value]) {
+                errors.push(`${label}: unknown insertMode "${value}"`);
+            }
+        } else if (key === 'mix') {
+            try {
+                parseMix(formatMix(value));
+            } catch (error) {
+                errors.push(`${label}: ${error.message}`);
+            }
+        } else if (key === 'queryMix') {
+            try {
+                parseQueryMix(value);
+            } catch (error) {
+                errors.push(`${label}: ${error.message}`);
+            }
+        } else if (SCHEMA_PARAMS[key]) {
+            try {
+                resolveSchemaVariant({ [SCHEMA_PARAMS[key]]: value });
+            } catch (error) {
+                errors.push(`${label}: ${error.message}`);
+            }
+        } else if (key === 'partitions' || key === 'partitionInterval') {
+            try {
+                resolvePartitionLayout({ [key === 'partitions' ? 'partitions' : 'interval']: value });
+            } catch (error) {
+                errors.push(`${label}: ${error.message}`);
+            }
+        } else if (key === 'idGeneration') {
+            try {
+                resolveIdGeneration({ id: SCHEMA_VARIANTS.id[values.idStrategy] ? values.idStrategy : undefined }, value);
+            } catch (error) {
+                errors.push(`${label}: ${error.message}`);
+            }
+        } else if (key === 'userDistribution' || MESSAGE_PARAMS.includes(key)) {
+            try {
+                phaseDataProfile({ [key]: value });
+            } catch (error) {
+                errors.push(`${label}: ${error.message}`);
+            }
+        } else if (key === 'userSource' || key === 'missRatio') {
+            try {
+                (key === 'userSource' ? resolveUserSource : resolveMissRatio)(value);
+            } catch (error) {
+                errors.push(`${label}: ${error.message}`);
+            }
+        } else if (key === 'explain') {
+            try {
+                resolveExplainSamples(value);
+            } catch (error) {
+                errors.push(`${label}: ${error.message}`);
+            }
+        } else if (key === 'seed') {
+            if (typeof value !== 'number' && typeof value !== 'string') {
+                errors.push(`${label}: seed must be a number or string`);
+            }
+        } else if (key === 'drop' || key === 'liveTimeline' || key === 'serverMetrics') {
+            if (typeof value !== 'boolean') {
+                errors.push(`${label}: ${key} must be true or false`);
+            }
+        } else if (key !== 'workload' && label === 'defaults') {
+            errors.push(`defaults: unknown parameter "${key}"`);
+        }
+    });
+}
+
+/**
+ * Accept a mix as "op=weight,..." or as an { op: weight } mapping
+ */
+function formatMix(mix) {
+    if (mix && typeof mix === 'object') {
+        return Object.entries(mix).map(([operation, weight]) => `${operation}=${weight}`).join(',');
+    }
+    return mix;
+}
+
+/**
+ * Load and validate a scenario file, throwing with every problem found
+ */
+function loadScenario(filename) {
+    const scenario = loadScenarioFile(filename);
+    const errors = validateScenario(scenario);
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid scenario ${filename}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return {
+        name: scenario.name || path.basename(filename, path.extname(filename)),
+        ...scenario
+    };
+}
+
+/**
+ * Data profile of a workload phase from userDistribution, messageLength, roleWeights and content
+ */
+function phaseDataProfile(params) {
+    return resolveDataProfile({
+        users: params.userDistribution,
+        messageLength: params.messageLength,
+        roles: params.roleWeights,
+        content: params.content
+    });
+}
+
+/**
+ * Test configuration for a workload phase, with the CLI's defaults for parameters left out
+ * (an explicit 0 is kept)
+ */
+function buildTestConfig(type, params) {
+    const common = {
+        concurrency: params.concurrency ?? 10,
+        userCount: params.users ?? 1000,
+        duration: params.duration ? params.duration * 1000 : null,
+        warmup: (params.warmup ?? 0) * 1000,
+        cooldown: (params.cooldown ?? 0) * 1000,
+        rate: params.rate ?? null,
+        histogramDigits: params.histogramDigits ?? DEFAULT_SIGNIFICANT_DIGITS,
+        timelineInterval: (params.timelineInterval ?? 1) * 1000,
+        liveTimeline: params.liveTimeline !== false,
+        serverMetrics: params.serverMetrics !== false,
+        data: phaseDataProfile(params),
+        seed: parseSeed(params.seed)
+    };
+
+    if (type === 'write') {
+        return {
+            totalRecords: params.records ?? 1000000,
+            batchSize: params.batchSize ?? 20,
+            insertMode: params.insertMode ?? 'single',
+            ...common
+        };
+    }
+
+    if (type === 'read') {
+        return {
+            totalQueries: params.queries ?? 10000,
+            readLimit: params.limit ?? 100,
+            queryMix: params.queryMix,
+            timeRange: params.timeRange ?? 3600,
+            maxOffset: params.maxOffset ?? 1000,
+            userSource: params.userSource ?? 'range',
+            missRatio: params.missRatio ?? 0,
+            explain: resolveExplainSamples(params.explain),
+            ...common
+        };
+    }
+
+    return {
+        totalOperations: params.operations ?? 10000,
+        readLimit: params.limit ?? 100,
+        batchSize: params.batchSize ?? 20,
+        mix: formatMix(params.mix),
+        insertMode: params.insertMode ?? 'transaction',
+        explain: resolveExplainSamples(params.explain),
+        ...common
+    };
+}
+
+/**
+ * Schema variant created by a setup phase
+ */
+function phaseSchemaVariant(phase) {
+    return resolveSchemaVariant(Object.fromEntries(
+        Object.entries(SCHEMA_PARAMS).map(([param, option]) => [option, phase[param]])
+    ));
+}
+
+function phasePartitionLayout(phase) {
+    return resolvePartitionLayout({ partitions: phase.partitions, interval: phase.partitionInterval });
+}
+
+/**
+ * Adapter options from the first setup phase, so that later phases insert ids the way its table expects
+ */
+function scenarioAdapterOptions(scenario) {
+    const setup = scenario.phases.find(phase => phase.type === 'setup');
+    return setup ? { schema: phaseSchemaVariant(setup), idGeneration: setup.idGeneration } : {};
+}
+
+/**
+ * Execute one phase against a connected database
+ */
+async function runPhase(db, dbType, phase, defaults, reporter) {
+    if (phase.type === 'setup') {
+        if (phase.drop) {
+            await db.dropTable();
+        }
+        await db.createTable(phaseSchemaVariant(phase), phasePartitionLayout(phase));
+        return;
+    }
+
+    if (phase.type === 'teardown') {
+        await db.dropTable();
+        return;
+    }
+
+    const testType = phase.type === 'warmup' ? phase.workload : phase.type;
+    const config = buildTestConfig(testType, { ...defaults, ...phase });
+
+    let test;
+    if (testType === 'write') {
+        test = new WriteTest(db, config);
+    } else if (testType === 'read') {
+        test = new ReadTest(db, config);
+    } else {
+        test = new MixedTest(db, config);
+    }
+
+    const results = await test.run();
+
+    // Warmup phase results are discarded
+    if (phase.type !== 'warmup') {
+        reporter.addResults(dbType, testType, results, phase.name);
+    }
+}
+
+/**
+ * Run every phase of a scenario against each database
+ */
+async function runScenario(scenario, { databases, reporter, seed = null }) {
+    const defaults = seed === null ? scenario.defaults || {} : { ...scenario.defaults, seed };
+
+    console.log(chalk.bold.magenta(`🧭 Running scenario "${scenario.name}" (${scenario.phases.length} phases)`));
+    if (scenario.description) {
+        console.log(chalk.gray(scenario.description));
+    }
+    if (seed !== null) {
+        console.log(chalk.gray(`Seed: ${seed}`));
+    }
+
+    for (const dbType of databases) {
+        let db;
+        try {
+            console.log(chalk.bold.yellow(`\n🎯 ${dbType.toUpperCase()}`));
+            db = createAdapter(dbType, scenarioAdapterOptions(scenario));
+            await db.connect();
+            await reporter.recordServerInfo(dbType, db);
+
+            for (const phase of scenario.phases) {
+                console.log(chalk.blue(`\n▶ Phase "${phase.name}" (${phase.type}${phase.workload ? `: ${phase.workload}` : ''})`));
+                await runPhase(db, dbType, phase, defaults, reporter);
+            }
+
+            console.log(chalk.green(`✅ ${dbType.toUpperCase()} scenario complete`));
+        } catch (error) {
+            console.error(chalk.red(`❌ Scenario failed for ${dbType}: ${error.message}`));
+        } finally {
+            if (db) {
+                await db.close().catch(() => {});
+            }
+        }
+    }
+
+    return reporter;
+}
+
+/**
+ * Database list from the scenario file, unless overridden on the command line
+ */
+function resolveScenarioDatabases(scenario, override) {
+    if (override) {
+        return resolveDatabaseTypes(override);
+    }
+    const databases = scenario.databases || 'both';
+    return resolveDatabaseTypes(Array.isArray(databases) ? databases.join(',') : databases);
+}
+
+module.exports = {
+    PHASE_TYPES,
+    loadScenario,
+    loadScenarioFile,
+    validateScenario,
+    buildTestConfig,
+    runScenario,
+    resolveScenarioDatabases
+};
@@ -2,41 +2,487 @@
  * Database schema definitions for PostgreSQL and MySQL
  */
 
-const POSTGRES_SCHEMA = `
+/**
+ * Column type choices for the llm_chat_message table, by variant option.
+ * Each choice maps to the type used by each engine; the first is the default.
+ */
+const SCHEMA_VARIANTS = {
+    // Primary key strategies: clientId is the UUID version inserts supply with --id-generation client,
+    // serverGenerated the engines whose column default generates the id itself, and postgresVersion
+    // the server_version_num the PostgreSQL column default needs
+    id: {
+        uuidv4: {
+            postgres: 'UUID DEFAULT gen_random_uuid()',
+            mysql: 'CHAR(36) DEFAULT (UUID())',
+            clientId: 'uuidv4',
+            serverGenerated: ['postgres', 'mysql'],
+            description: 'Random UUIDs (PostgreSQL native UUID, MySQL CHAR(36) with UUID())'
+        },
+        uuidv7: {
+            postgres: 'UUID DEFAULT uuidv7()',
+            postgresVersion: 180000,
+            mysql: 'CHAR(36)',
+            clientId: 'uuidv7',
+            serverGenerated: ['postgres'],
+            description: 'Time-ordered UUIDv7 (PostgreSQL 18 uuidv7(); always client-side on MySQL)'
+        },
+        binary16: {
+            postgres: 'UUID DEFAULT uuidv7()',
+            postgresVersion: 180000,
+            mysql: 'BINARY(16) DEFAULT (UUID_TO_BIN(UUID(), 1))',
+            clientId: 'uuidv7',
+            serverGenerated: ['postgres', 'mysql'],
+            description: 'Time-ordered UUIDs in 16 bytes (MySQL BINARY(16) with UUID_TO_BIN, PostgreSQL native UUID)'
+        },
+        bigint: {
+            postgres: 'BIGINT GENERATED BY DEFAULT AS IDENTITY',
+            mysql: 'BIGINT AUTO_INCREMENT',
+            clientId: null,
+            serverGenerated: ['postgres', 'mysql'],
+            description: 'BIGINT identity / auto-increment (server-side only)'
+        }
+    },
+    config: {
+        text: { postgres: 'TEXT', mysql: 'TEXT', description: 'Plain text' },
+        json: { postgres: 'JSON', mysql: 'JSON', description: 'Validated JSON (PostgreSQL keeps the text, MySQL stores binary JSON)' },
+        jsonb: { postgres: 'JSONB', mysql: 'JSON', description: 'Binary JSON (PostgreSQL JSONB, MySQL JSON)' }
+    },
+    title: {
+        varchar: { postgres: 'VARCHAR(500)', mysql: 'VARCHAR(500)', description: 'VARCHAR(500)' },
+        text: { postgres: 'TEXT', mysql: 'TEXT', description: 'TEXT' }
+    },
+    timestamp: {
+        timestamptz: {
+            postgres: 'TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP',
+            mysql: 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+            description: 'Time zone aware (PostgreSQL TIMESTAMPTZ, MySQL TIMESTAMP)'
+        },
+        datetime: {
+            postgres: 'TIMESTAMP(6) WITHOUT TIME ZONE DEFAULT CURRENT_TIMESTAMP',
+            mysql: 'DATETIME(6) DEFAULT CURRENT_TIMESTAMP(6)',
+            description: 'Zone-less with microseconds (PostgreSQL TIMESTAMP(6), MySQL DATETIME(6))'
+        }
+    },
+    // Secondary index profiles as [name, definition] pairs. Names are unique to a profile's
+    // index set so the profile can be read back from the table's indexes.
+    indexes: {
+        current: {
+            postgres: [['idx_user_id', '(user_id)'], ['idx_timestamp', '(timestamp)'], ['idx_role', '(role)']],
+            mysql: [['idx_user_id', '(user_id)'], ['idx_timestamp', '(timestamp)'], ['idx_role', '(role)']],
+            description: 'Single-column indexes on user_id, timestamp and role'
+        },
+        none: {
+            postgres: [],
+            mysql: [],
+            description: 'Primary key only'
+        },
+        composite: {
+            postgres: [['idx_user_timestamp', '(user_id, timestamp DESC)'], ['idx_timestamp', '(timestamp)']],
+            mysql: [['idx_user_timestamp', '(user_id, timestamp DESC)'], ['idx_timestamp', '(timestamp)']],
+            description: '(user_id, timestamp DESC) for per-user reads, plus timestamp for range scans'
+        },
+        'composite-covering': {
+            postgres: [['idx_user_timestamp_covering', '(user_id, timestamp DESC) INCLUDE (role)'], ['idx_timestamp', '(timestamp)']],
+            mysql: [['idx_user_timestamp_covering', '(user_id, timestamp DESC, role)'], ['idx_timestamp', '(timestamp)']],
+            description: 'composite, with role covered for index-only role counts (PostgreSQL INCLUDE, MySQL trailing column)'
+        },
+        brin: {
+            postgres: [['idx_user_timestamp', '(user_id, timestamp DESC)'], ['idx_timestamp_brin', 'USING brin (timestamp)']],
+            mysql: [['idx_user_timestamp', '(user_id, timestamp DESC)'], ['idx_timestamp', '(timestamp)']],
+            description: 'composite with a BRIN timestamp index on PostgreSQL (MySQL has no BRIN and keeps a B-tree)'
+        }
+    },
+    // Partitioning method per engine (null where unsupported) and the partition key column,
+    // which partitioned tables add to their primary key
+    partitioning: {
+        none: { postgres: null, mysql: null, column: null, description: 'Single table' },
+        range: {
+            postgres: 'RANGE',
+            mysql: 'RANGE',
+            column: 'timestamp',
+            description: 'RANGE by timestamp, one partition per interval plus a catch-all'
+        },
+        hash: {
+            postgres: 'HASH',
+            mysql: 'HASH',
+            column: 'user_id',
+            description: 'HASH by user_id (MySQL: by a stored CRC32(user_id) column)'
+        },
+        key: {
+            postgres: 'HASH',
+            mysql: 'KEY',
+            column: 'user_id',
+            description: 'KEY by user_id on MySQL, HASH on PostgreSQL'
+        }
+    }
+};
+
+const DEFAULT_SCHEMA_VARIANT = Object.fromEntries(
+    Object.entries(SCHEMA_VARIANTS).map(([option, choices]) => [option, Object.keys(choices)[0]])
+);
+
+/**
+ * Fill in and check a schema variant such as { config: 'jsonb', title: 'text' }
+ */
+function resolveSchemaVariant(variant = {}) {
+    const resolved = { ...DEFAULT_SCHEMA_VARIANT };
+
+    Object.entries(variant || {})
+        .filter(([, choice]) => choice !== undefined && choice !== null)
+        .forEach(([option, choice]) => {
+            const choices = SCHEMA_VARIANTS[option];
+            if (!choices) {
+                throw new Error(`Unknown schema option: ${option} (expected ${Object.keys(SCHEMA_VARIANTS).join(', ')})`);
+            }
+            if (!choices[choice]) {
+                throw new Error(`Unknown ${option} type: ${choice} (expected ${Object.keys(choices).join(', ')})`);
+            }
+            resolved[option] = choice;
+        });
+
+    return resolved;
+}
+
+/**
+ * "id=uuidv4, config=jsonb, title=varchar, timestamp=timestamptz"
+ */
+function describeSchemaVariant(variant) {
+    return Object.entries(resolveSchemaVariant(variant)).map(([option, choice]) => `${option}=${choice}`).join(', ');
+}
+
+function columnTypes(engine, variant) {
+    const resolved = resolveSchemaVariant(variant);
+    return Object.fromEntries(
+        Object.entries(resolved).map(([option, choice]) => [option, SCHEMA_VARIANTS[option][choice][engine]])
+    );
+}
+
+/**
+ * Where ids are generated: by the column default on the server, or by the load generator
+ */
+const ID_GENERATIONS = ['server', 'client'];
+
+/**
+ * Check an --id-generation choice against the id strategy of a schema variant
+ */
+function resolveIdGeneration(variant, generation = 'server') {
+    if (!ID_GENERATIONS.includes(generation)) {
+        throw new Error(`Unknown id generation: ${generation} (expected ${ID_GENERATIONS.join(', ')})`);
+    }
+
+    const { id } = resolveSchemaVariant(variant);
+    if (generation === 'client' && !SCHEMA_VARIANTS.id[id].clientId) {
+        throw new Error(`${id} ids can only be generated by the server`);
+    }
+    return generation;
+}
+
+/**
+ * UUID version the client supplies on insert for an engine, or null when the
+ * column default generates the id. Strategies the engine cannot generate itself
+ * (UUIDv7 on MySQL) are always generated client-side.
+ */
+function clientIdVersion(engine, variant, generation = 'server') {
+    const strategy = SCHEMA_VARIANTS.id[resolveSchemaVariant(variant).id];
+    if (generation === 'client' || !strategy.serverGenerated.includes(engine)) {
+        return strategy.clientId;
+    }
+    return null;
+}
+
+/**
+ * Length of each RANGE partition
+ */
+const PARTITION_INTERVALS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Number of partitions (hash/key buckets, or RANGE intervals before the catch-all) and the RANGE interval
+ */
+const DEFAULT_PARTITION_LAYOUT = { partitions: 8, interval: 'day' };
+
+function resolvePartitionLayout(layout = {}) {
+    const resolved = { ...DEFAULT_PARTITION_LAYOUT };
+    if (layout && layout.partitions !== undefined && layout.partitions !== null) {
+        resolved.partitions = Number(layout.partitions);
+        if (!Number.isInteger(resolved.partitions) || resolved.partitions < 1) {
+            throw new Error(`Partition count must be a positive integer, got ${layout.partitions}`);
+        }
+    }
+    if (layout && layout.interval) {
+        if (!PARTITION_INTERVALS[layout.interval]) {
+            throw new Error(`Unknown partition interval: ${layout.interval} (expected ${Object.keys(PARTITION_INTERVALS).join(', ')})`);
+        }
+        resolved.interval = layout.interval;
+    }
+    return resolved;
+}
+
+// MySQL HASH only takes integer expressions, so HASH tables partition on this stored CRC32(user_id) column
+const USER_HASH_COLUMN = 'user_hash';
+
+/**
+ * RANGE partition boundaries: consecutive intervals (UTC) ending with the current one, so that
+ * messages timestamped across partitionTimeSpan() fill every partition. Later rows go to the catch-all.
+ */
+function rangeBounds(layout, now = Date.now()) {
+    const length = PARTITION_INTERVALS[layout.interval];
+    const start = (Math.floor(now / length) - layout.partitions + 1) * length;
+    return Array.from({ length: layout.partitions + 1 }, (_, i) => new Date(start + i * length));
+}
+
+/**
+ * Time span the messages of a RANGE partitioned table are timestamped across: from the
+ * first partition's lower bound up to now. Null for other tables, which keep the column default.
+ */
+function partitionTimeSpan(variant, layout, now = Date.now()) {
+    if (resolveSchemaVariant(variant).partitioning !== 'range') {
+        return null;
+    }
+    return { start: rangeBounds(resolvePartitionLayout(layout), now)[0], end: new Date(now) };
+}
+
+/**
+ * Partitioning method for an engine, or null for an unpartitioned table
+ */
+function partitionMethod(engine, variant) {
+    const { partitioning } = resolveSchemaVariant(variant);
+    const method = SCHEMA_VARIANTS.partitioning[partitioning][engine];
+    if (partitioning !== 'none' && !method) {
+        throw new Error(`${engine} cannot use ${partitioning} partitioning: ${SCHEMA_VARIANTS.partitioning[partitioning].description}`);
+    }
+    return method;
+}
+
+/**
+ * Primary key clause: partitioned tables must include the partition key
+ */
+function primaryKey(variant, keyColumn = SCHEMA_VARIANTS.partitioning[resolveSchemaVariant(variant).partitioning].column) {
+    return keyColumn ? `,\n    PRIMARY KEY (id, ${keyColumn})` : '';
+}
+
+function postgresPartitions(method, column, layout) {
+    if (method === 'RANGE') {
+        const bounds = rangeBounds(layout);
+        return [
+            ...bounds.slice(0, -1).map((lower, i) =>
+                `CREATE TABLE IF NOT EXISTS llm_chat_message_p${i} PARTITION OF llm_chat_message ` +
+                `FOR VALUES FROM ('${lower.toISOString()}') TO ('${bounds[i + 1].toISOString()}');`),
+            'CREATE TABLE IF NOT EXISTS llm_chat_message_default PARTITION OF llm_chat_message DEFAULT;'
+        ];
+    }
+    return Array.from({ length: layout.partitions }, (_, i) =>
+        `CREATE TABLE IF NOT EXISTS llm_chat_message_p${i} PARTITION OF llm_chat_message ` +
+        `FOR VALUES WITH (MODULUS ${layout.partitions}, REMAINDER ${i});`);
+}
+
+/**
+ * MySQL PARTITION BY clause. TIMESTAMP columns are ranged by UNIX_TIMESTAMP(), DATETIME columns by RANGE COLUMNS.
+ */
+function mysqlPartitions(method, column, layout, variant) {
+    if (method === 'KEY') {
+        return `\nPARTITION BY KEY (${column}) PARTITIONS ${layout.partitions}`;
+    }
+    if (method === 'HASH') {
+        return `\nPARTITION BY HASH (${USER_HASH_COLUMN}) PARTITIONS ${layout.partitions}`;
+    }
+
+    const datetime = resolveSchemaVariant(variant).timestamp === 'datetime';
+    const bound = date => (datetime ? `'${date.toISOString().slice(0, 19).replace('T', ' ')}'` : Math.floor(date.getTime() / 1000));
+    const partitions = rangeBounds(layout).slice(1).map((upper, i) => `    PARTITION p${i} VALUES LESS THAN (${bound(upper)}),`);
+    return `\nPARTITION BY ${datetime ? `RANGE COLUMNS (${column})` : `RANGE (UNIX_TIMESTAMP(${column}))`} (\n` +
+        `${partitions.join('\n')}\n    PARTITION p_max VALUES LESS THAN MAXVALUE\n)`;
+}
+
+/**
+ * CREATE TABLE, partition and index statements for PostgreSQL
+ */
+function postgresSchema(variant, layout) {
+    const types = columnTypes('postgres', variant);
+    const method = partitionMethod('postgres', variant);
+    const { column } = SCHEMA_VARIANTS.partitioning[resolveSchemaVariant(variant).partitioning];
+    const partitions = method ? postgresPartitions(method, column, resolvePartitionLayout(layout)) : [];
+    const indexes = types.indexes.map(([name, definition]) => `CREATE INDEX IF NOT EXISTS ${name} ON llm_chat_message ${definition};`);
+    return `
 CREATE TABLE IF NOT EXISTS llm_chat_message (
-    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-    timestamp TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    id ${types.id}${method ? '' : ' PRIMARY KEY'},
+    timestamp ${types.timestamp},
     user_id VARCHAR(255) NOT NULL,
     role VARCHAR(50) NOT NULL,
-    title VARCHAR(500) NOT NULL,
+    title ${types.title} NOT NULL,
     message TEXT NOT NULL,
-    config TEXT NOT NULL
-);
+    config ${types.config} NOT NULL${primaryKey(variant)}
+)${method ? ` PARTITION BY ${method} (${column})` : ''};
 
-CREATE INDEX IF NOT EXISTS idx_user_id ON llm_chat_message (user_id);
-CREATE INDEX IF NOT EXISTS idx_timestamp ON llm_chat_message (timestamp);
-CREATE INDEX IF NOT EXISTS idx_role ON llm_chat_message (role);
+${[...partitions, ...indexes].join('\n')}
 `;
+}
 
-const MYSQL_SCHEMA = `
+/**
+ * CREATE TABLE statement (with indexes and partitions) for MySQL. HASH tables get the
+ * generated USER_HASH_COLUMN as partition key.
+ */
+function mysqlSchema(variant, layout) {
+    const types = columnTypes('mysql', variant);
+    const method = partitionMethod('mysql', variant);
+    const { column } = SCHEMA_VARIANTS.partitioning[resolveSchemaVariant(variant).partitioning];
+    const partitions = method ? mysqlPartitions(method, column, resolvePartitionLayout(layout), variant) : '';
+    const indexes = types.indexes.map(([name, definition]) => `,\n    INDEX ${name} ${definition}`);
+    const userHash = method === 'HASH' ? `,\n    ${USER_HASH_COLUMN} INT UNSIGNED GENERATED ALWAYS AS (CRC32(user_id)) STORED` : '';
+    return `
 CREATE TABLE IF NOT EXISTS llm_chat_message (
-    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
-    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    id ${types.id}${method ? '' : ' PRIMARY KEY'},
+    timestamp ${types.timestamp},
     user_id VARCHAR(255) NOT NULL,
     role VARCHAR(50) NOT NULL,
-    title VARCHAR(500) NOT NULL,
+    title ${types.title} NOT NULL,
     message TEXT NOT NULL,
-    config TEXT NOT NULL,
-    INDEX idx_user_id (user_id),
-    INDEX idx_timestamp (timestamp),
-    INDEX idx_role (role)
-);
+    config ${types.config} NOT NULL${userHash}${indexes.join('')}${primaryKey(variant, userHash ? USER_HASH_COLUMN : undefined)}
+) DEFAULT CHARSET=utf8mb4${partitions};
 `;
+}
+
+/**
+ * information_schema data types that differ from the variant choice they come from
+ */
+const REPORTED_TYPES = {
+    postgres: {
+        'character varying': 'varchar',
+        'timestamp with time zone': 'timestamptz',
+        'timestamp without time zone': 'datetime'
+    },
+    mysql: {
+        timestamp: 'timestamptz'
+    }
+};
+
+/**
+ * Id strategy from the id column's reported type and default ("uuid default uuidv7()",
+ * "char", ...): a CHAR(36) id without a default is one MySQL cannot generate, i.e. UUIDv7
+ */
+const REPORTED_ID_TYPES = [
+    [/^bigint/, 'bigint'],
+    [/^binary/, 'binary16'],
+    [/uuidv7|^char$/, 'uuidv7'],
+    [/^(uuid|char)/, 'uuidv4']
+];
+
+/**
+ * Index profile whose index names are exactly the given ones, or null
+ */
+function indexProfileFromNames(engine, names) {
+    const reported = [...names].sort().join(',');
+    const match = Object.entries(SCHEMA_VARIANTS.indexes)
+        .find(([, profile]) => profile[engine].map(([name]) => name).sort().join(',') === reported);
+    return match ? match[0] : null;
+}
+
+/**
+ * Map the data types an engine reports for the variant columns back to variant choices.
+ * MySQL reports JSON for both the json and jsonb choices, and PostgreSQL stores binary16
+ * ids as its native UUID, so they report as uuidv7, and has only HASH partitioning, so key
+ * tables report as hash. dataTypes.indexes lists the table's secondary index names and
+ * dataTypes.partitioning its partitioning method.
+ */
+function variantFromDataTypes(engine, dataTypes) {
+    const variant = {};
+    Object.keys(SCHEMA_VARIANTS).forEach(option => {
+        if (option === 'indexes') {
+            variant.indexes = dataTypes.indexes ? indexProfileFromNames(engine, dataTypes.indexes) : null;
+            return;
+        }
+        const reported = String(dataTypes[option] || '').toLowerCase();
+        const idMatch = option === 'id' && REPORTED_ID_TYPES.find(([pattern]) => pattern.test(reported));
+        const choice = idMatch ? idMatch[1] : (REPORTED_TYPES[engine] || {})[reported] || reported;
+        variant[option] = SCHEMA_VARIANTS[option][choice] ? choice : null;
+    });
+    return variant;
+}
+
+/**
+ * Table description recorded with results: the schema variant in effect, the column
+ * data types it was derived from, the number of partitions, and the row count and size in bytes
+ */
+function tableDescription(engine, dataTypes, { rows, tableBytes, indexBytes, partitions = 0 }) {
+    const sizes = [rows, tableBytes, indexBytes].map(value => value === null || value === undefined ? null : Number(value));
+    return {
+        schema: variantFromDataTypes(engine, dataTypes),
+        dataTypes,
+        partitions: Number(partitions),
+        rows: sizes[0],
+        tableBytes: sizes[1],
+        indexBytes: sizes[2],
+        totalBytes: sizes[1] !== null && sizes[2] !== null ? sizes[1] + sizes[2] : null
+    };
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * One-line summary of a tableDescription() for logs and reports
+ */
+function formatTableDescription(table) {
+    const variant = Object.entries(table.schema).map(([option, choice]) => `${option}=${choice || '?'}`).join(', ');
+    if (table.totalBytes === null) {
+        return `${variant}; ${table.rows} rows`;
+    }
+    const perRow = table.rows > 0 ? `, ${Math.round(table.totalBytes / table.rows)} bytes/row` : '';
+    return `${variant}; ${table.rows} rows, ${formatBytes(table.totalBytes)} ` +
+        `(${formatBytes(table.tableBytes)} table + ${formatBytes(table.indexBytes)} indexes${perRow})`;
+}
+
+const POSTGRES_SCHEMA = postgresSchema();
+
+const MYSQL_SCHEMA = mysqlSchema();
 
 const DROP_TABLE_SQL = `DROP TABLE IF EXISTS llm_chat_message;`;
 
+// Columns supplied by the client on insert, in bind order
+const MESSAGE_COLUMNS = ['user_id', 'role', 'title', 'message', 'config'];
+
+/**
+ * Insert columns in bind order: the id first when clientIds is set, and the timestamp last
+ * on RANGE partitioned tables, whose messages are timestamped across the partitions
+ */
+function insertColumns(clientIds, variant) {
+    const timestamped = resolveSchemaVariant(variant).partitioning === 'range';
+    return [...(clientIds ? ['id'] : []), ...MESSAGE_COLUMNS, ...(timestamped ? ['timestamp'] : [])];
+}
+
 module.exports = {
+    SCHEMA_VARIANTS,
+    DEFAULT_SCHEMA_VARIANT,
+    resolveSchemaVariant,
+    describeSchemaVariant,
+    ID_GENERATIONS,
+    resolveIdGeneration,
+    clientIdVersion,
+    PARTITION_INTERVALS,
+    DEFAULT_PARTITION_LAYOUT,
+    resolvePartitionLayout,
+    partitionTimeSpan,
+    postgresSchema,
+    mysqlSchema,
+    variantFromDataTypes,
+    tableDescription,
+    formatTableDescription,
+    formatBytes,
     POSTGRES_SCHEMA,
     MYSQL_SCHEMA,
-    DROP_TABLE_SQL
+    DROP_TABLE_SQL,
+    MESSAGE_COLUMNS,
+    insertColumns,
+    USER_HASH_COLUMN
 };
@@ -0,0 +1,189 @@
+/**
+ * Server-side statistics: adapters snapshot their server's cumulative counters
+ * before and after each test (getServerMetrics()), and the difference is reported
+ * next to the client-side throughput. The snapshots enclose warmup and cooldown, so
+ * the deltas are labelled as whole-run figures.
+ *
+ * A snapshot is { takenAt, counters, statements }. `counters` holds whichever
+ * SERVER_COUNTERS the server keeps, as numbers; `statements` lists per-statement
+ * totals ({ id, query, calls, totalTimeMs, rows }) from pg_stat_statements or
+ * performance_schema digests, or is null when neither is available.
+ */
+
+const { formatBytes } = require('./schema');
+
+/**
+ * Counters an adapter may report, named the same for every server
+ */
+const SERVER_COUNTERS = {
+    blocksHit: 'Page reads served from shared buffers or the InnoDB buffer pool',
+    blocksRead: 'Page reads that missed the buffer cache',
+    rowsFetched: 'Rows read by queries',
+    rowsInserted: 'Rows inserted',
+    rowsUpdated: 'Rows updated',
+    rowsDeleted: 'Rows deleted',
+    commits: 'Committed transactions',
+    rollbacks: 'Rolled back transactions',
+    deadlocks: 'Deadlocks detected',
+    lockWaits: 'Row lock waits',
+    lockWaitMs: 'Time spent waiting for row locks (ms)',
+    walBytes: 'WAL (PostgreSQL) or redo log (MySQL) bytes written',
+    tempBytes: 'Bytes written to temporary files',
+    seqScans: 'Sequential scans of the message table',
+    indexScans: 'Index scans of the message table'
+};
+
+// Statements with the most execution time kept per test
+const STATEMENT_LIMIT = 10;
+
+/**
+ * Columns of a serverMetricsDelta() in the console, HTML and CSV reports. The deltas span
+ * the whole test, warmup and cooldown included, which the first column states.
+ */
+const SERVER_REPORT_COLUMNS = [
+    { label: 'Whole Run (s)', csv: 'server_whole_run_ms', value: delta => delta.elapsedMs, format: value => (value / 1000).toFixed(2) },
+    { label: 'Buffer Hit (%)', csv: 'server_buffer_hit_pct', value: delta => delta.bufferHitRatio, format: value => value.toFixed(2) },
+    { label: 'Rows Written', csv: 'server_rows_written', value: delta => delta.rowsWritten },
+    { label: 'Rows Read', csv: 'server_rows_read', value: delta => delta.counters.rowsFetched },
+    { label: 'WAL/Redo', csv: 'server_wal_bytes', value: delta => delta.counters.walBytes, format: formatBytes },
+    { label: 'WAL/Redo per s', csv: null, value: delta => delta.walBytesPerSecond, format: value => `${formatBytes(value)}/s` },
+    { label: 'Lock Waits', csv: 'server_lock_waits', value: delta => delta.counters.lockWaits },
+    { label: 'Deadlocks', csv: 'server_deadlocks', value: delta => delta.counters.deadlocks },
+    { label: 'Commits/s', csv: 'server_commits_per_s', value: delta => delta.commitsPerSecond, format: value => value.toFixed(2) }
+];
+
+/**
+ * SERVER_COUNTERS values of a row as numbers, skipping NULLs (drivers return BIGINT as strings)
+ */
+function counterValues(row) {
+    const counters = {};
+    Object.keys(SERVER_COUNTERS).forEach(name => {
+        if (row[name] !== null && row[name] !== undefined && !isNaN(Number(row[name]))) {
+            counters[name] = Number(row[name]);
+        }
+    });
+    return counters;
+}
+
+/**
+ * Share of page reads served from memory in percent, or null without page reads
+ */
+function hitRatio(hits, reads) {
+    if (hits === undefined || reads === undefined || hits + reads === 0) {
+        return null;
+    }
+    return (hits / (hits + reads)) * 100;
+}
+
+/**
+ * Calls and time per statement between two snapshots, most total time first
+ */
+function statementDeltas(before, after) {
+    if (!after) {
+        return null;
+    }
+
+    const previous = new Map((before || []).map(statement => [statement.id, statement]));
+    return after
+        .map(statement => {
+            const earlier = previous.get(statement.id) || { calls: 0, totalTimeMs: 0, rows: 0 };
+            const calls = statement.calls - earlier.calls;
+            const totalTimeMs = statement.totalTimeMs - earlier.totalTimeMs;
+            return {
+                id: statement.id,
+                query: statement.query,
+                calls,
+                totalTimeMs,
+                meanTimeMs: calls > 0 ? totalTimeMs / calls : 0,
+                rows: statement.rows === null || statement.rows === undefined ? null : statement.rows - (earlier.rows || 0)
+            };
+        })
+        .filter(statement => statement.calls > 0)
+        .sort((a, b) => b.totalTimeMs - a.totalTimeMs)
+        .slice(0, STATEMENT_LIMIT);
+}
+
+/**
+ * Counter deltas between two snapshots with the derived buffer hit ratio, rows written
+ * and per-second rates, or null when either snapshot is missing. Counters a server
+ * reset in between (the delta went negative) are dropped.
+ */
+function serverMetricsDelta(before, after) {
+    if (!before || !after) {
+        return null;
+    }
+
+    const counters = {};
+    Object.entries(after.counters).forEach(([name, value]) => {
+        if (before.counters[name] !== undefined && value >= before.counters[name]) {
+            counters[name] = value - before.counters[name];
+        }
+    });
+
+    const elapsedMs = after.takenAt - before.takenAt;
+    const written = ['rowsInserted', 'rowsUpdated', 'rowsDeleted'].filter(name => counters[name] !== undefined);
+    const rowsWritten = written.length > 0 ? written.reduce((sum, name) => sum + counters[name], 0) : null;
+
+    return {
+        elapsedMs,
+        counters,
+        bufferHitRatio: hitRatio(counters.blocksHit, counters.blocksRead),
+        rowsWritten,
+        commitsPerSecond: counters.commits !== undefined && elapsedMs > 0 ? (counters.commits / elapsedMs) * 1000 : null,
+        walBytesPerSecond: counters.walBytes !== undefined && elapsedMs > 0 ? (counters.walBytes / elapsedMs) * 1000 : null,
+        statements: statementDeltas(before.statements, after.statements)
+    };
+}
+
+/**
+ * Formatted SERVER_REPORT_COLUMNS cells of a delta, '-' where the server has no such counter
+ */
+function serverMetricCells(delta) {
+    return SERVER_REPORT_COLUMNS.map(({ value, format }) => {
+        const cell = delta ? value(delta) : null;
+        if (cell === null || cell === undefined) {
+            return '-';
+        }
+        return format ? format(cell) : cell.toLocaleString();
+    });
+}
+
+/**
+ * One-line summary of a serverMetricsDelta() for logs
+ */
+function formatServerMetrics(delta) {
+    const { counters } = delta;
+    const parts = [];
+    if (delta.bufferHitRatio !== null) {
+        parts.push(`buffer hit ${delta.bufferHitRatio.toFixed(2)}%`);
+    }
+    if (delta.rowsWritten !== null) {
+        parts.push(`${delta.rowsWritten} rows written`);
+    }
+    if (counters.rowsFetched !== undefined) {
+        parts.push(`${counters.rowsFetched} rows read`);
+    }
+    if (counters.walBytes !== undefined) {
+        parts.push(`${formatBytes(counters.walBytes)} WAL/redo`);
+    }
+    if (counters.lockWaits !== undefined) {
+        parts.push(`${counters.lockWaits} lock waits`);
+    }
+    if (counters.deadlocks !== undefined) {
+        parts.push(`${counters.deadlocks} deadlocks`);
+    }
+    if (delta.statements) {
+        parts.push(`${delta.statements.length} statement(s) tracked`);
+    }
+    return `${parts.length > 0 ? parts.join(', ') : 'no counters'} over the whole ${(delta.elapsedMs / 1000).toFixed(2)}s run (warmup and cooldown included)`;
+}
+
+module.exports = {
+    SERVER_COUNTERS,
+    SERVER_REPORT_COLUMNS,
+    counterValues,
+    hitRatio,
+    serverMetricsDelta,
+    serverMetricCells,
+    formatServerMetrics
+};
@@ -7,28 +7,13 @@
 const chalk = require('chalk');
 require('dotenv').config();
 
-const PostgresDB = require('./database/postgres');
-const MySQLDB = require('./database/mysql');
+const { createAdapter, loadAdapterModule, resolveDatabaseTypes } = require('./database/registry');
 
 async function setupDatabase(dbType, drop = false) {
     console.log(chalk.yellow(`\n🔧 Setting up ${dbType.toUpperCase()}...`));
     
     try {
-        let db;
-        if (dbType === 'postgres') {
-            if (!process.env.POSTGRES_CONN_STRING) {
-                throw new Error('POSTGRES_CONN_STRING environment variable is required');
-            }
-            db = new PostgresDB(process.env.POSTGRES_CONN_STRING);
-        } else if (dbType === 'mysql') {
-            if (!process.env.MYSQL_CONN_STRING) {
-                throw new Error('MYSQL_CONN_STRING environment variable is required');
-            }
-            db = new MySQLDB(process.env.MYSQL_CONN_STRING);
-        } else {
-            throw new Error(`Unsupported database type: ${dbType}`);
-        }
-        
+        const db = createAdapter(dbType);
         await db.connect();
         
         if (drop) {
@@ -53,12 +38,20 @@ async function main() {
     
     const args = process.argv.slice(2);
     const drop = args.includes('--drop');
-    const dbType = args.find(arg => ['postgres', 'mysql'].includes(arg)) || 'both';
+    
+    // --adapter <path> loads an external adapter module
+    args.forEach((arg, index) => {
+        if (arg === '--adapter' && args[index + 1]) {
+            loadAdapterModule(args[index + 1]);
+        }
+    });
+    
+    const dbType = args.find((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--adapter') || 'both';
     
     console.log(chalk.gray(`Drop existing tables: ${drop}`));
     console.log(chalk.gray(`Database type: ${dbType}`));
     
-    const databases = dbType === 'both' ? ['postgres', 'mysql'] : [dbType];
+    const databases = resolveDatabaseTypes(dbType);
     
     let allSuccess = true;
     for (const db of databases) {
@@ -0,0 +1,336 @@
+const { performance } = require('perf_hooks');
+const { setImmediate: yieldToEventLoop, setTimeout: sleep } = require('timers/promises');
+const Timeline = require('../utils/timeline');
+const { formatBucket } = require('../utils/timeline');
+const { ClientMonitor, formatClientMetrics } = require('../clientMetrics');
+const { describeTable, captureServerMetrics } = require('../database/adapter');
+const { serverMetricsDelta, formatServerMetrics } = require('../serverMetrics');
+const { startPlanCapture, explainRecordedQueries, formatPlanSamples } = require('../explain');
+const { formatTableDescription } = require('../schema');
+
+/**
+ * Concurrent worker pool shared by the test runners.
+ *
+ * A run has up to three phases, decided by the time an operation starts:
+ *   warmup   - the first `warmup` ms; executed but not measured
+ *   measured - `totalOperations` operations, or `duration` ms when a duration is set
+ *   cooldown - `cooldown` ms after the measured phase; executed but not measured
+ *
+ * The measured window runs from the end of warmup until the last measured
+ * operation completes.
+ *
+ * By default the pool is closed-loop: each worker starts its next operation as
+ * soon as the previous one finishes. With a `rate` (operations per second) it is
+ * open-loop: operations are scheduled on a fixed arrival timeline, phases are
+ * decided by the intended start time, `concurrency` caps operations in flight,
+ * and latency is measured from the intended start so queueing behind a slow
+ * database is not omitted (coordinated-omission correction).
+ *
+ * Measured operations are also bucketed into a per-interval timeline
+ * (`timelineInterval` ms, 0 to disable), printed live unless `liveTimeline` is false.
+ *
+ * The process monitors its own CPU, heap, GC and event-loop lag over the whole run
+ * (`clientMetrics`), since a saturated load generator slows every worker at once.
+ */
+class LoadDriver {
+    constructor(options) {
+        this.concurrency = Math.max(1, options.concurrency || 1);
+        this.totalOperations = options.totalOperations || 0;
+        this.duration = options.duration || 0;
+        this.warmup = options.warmup || 0;
+        this.cooldown = options.cooldown || 0;
+        this.rate = options.rate || 0;
+        this.progressLabel = options.progressLabel || 'operations';
+        this.timelineInterval = options.timelineInterval === undefined ? Timeline.DEFAULT_INTERVAL_MS : options.timelineInterval;
+        this.liveTimeline = options.liveTimeline !== false;
+        this.histogramDigits = options.histogramDigits;
+        this.timeline = null;
+        this.clientMetrics = null;
+
+        if (!this.duration && !this.totalOperations) {
+            throw new Error('Either a total operation count or a duration is required');
+        }
+    }
+
+    /**
+     * Run operations until the phases are exhausted.
+     *
+     * operation({ index, phase, phaseIndex }) performs one operation and resolves to a
+     * result object; onComplete(result, phase) is called as each operation finishes.
+     */
+    async run(operation, onComplete) {
+        const monitor = new ClientMonitor();
+        monitor.start();
+
+        const startTime = performance.now();
+        const measuredStart = startTime + this.warmup;
+        const issued = { warmup: 0, measured: 0, cooldown: 0 };
+        const completed = { warmup: 0, measured: 0, cooldown: 0 };
+        let measuredEnd = measuredStart;
+        let cooldownEnd = null;
+        let index = 0;
+        let lastProgressStep = 0;
+
+        // Open-loop schedule bookkeeping (measured operations only)
+        const intervalMs = this.rate ? 1000 / this.rate : 0;
+        const schedule = { queueDelaySum: 0, maxQueueDelay: 0, missed: 0 };
+        let nextSlot = 0;
+
+        if (this.warmup > 0) {
+            console.log(`Warming up for ${(this.warmup / 1000).toFixed(1)}s...`);
+        }
+
+        let timelineTimer = null;
+        if (this.timelineInterval > 0) {
+            this.timeline = new Timeline({
+                intervalMs: this.timelineInterval,
+                histogramDigits: this.histogramDigits,
+                onBucket: this.liveTimeline ? bucket => console.log(formatBucket(bucket, this.progressLabel)) : null
+            });
+            this.timeline.start(measuredStart, new Date(performance.timeOrigin + measuredStart));
+
+            // Close idle intervals too, so a stall shows up while it is happening
+            timelineTimer = setInterval(() => {
+                const measuring = this.duration ?
+                    performance.now() <= measuredStart + this.duration :
+                    completed.measured < this.totalOperations;
+                if (measuring) {
+                    this.timeline.flush(performance.now());
+                }
+            }, this.timelineInterval);
+            timelineTimer.unref();
+        }
+
+        const phaseAt = (now) => {
+            if (now < measuredStart) {
+                return 'warmup';
+            }
+            if (this.duration) {
+                if (now < measuredStart + this.duration) {
+                    return 'measured';
+                }
+                return now < measuredStart + this.duration + this.cooldown ? 'cooldown' : null;
+            }
+            if (issued.measured < this.totalOperations) {
+                return 'measured';
+            }
+            if (cooldownEnd === null) {
+                cooldownEnd = now + this.cooldown;
+            }
+            return now < cooldownEnd ? 'cooldown' : null;
+        };
+
+        const reportProgress = (now) => {
+            let step;
+            let detail;
+            if (this.duration) {
+                const elapsed = Math.min(now - measuredStart, this.duration);
+                step = Math.floor((elapsed / this.duration) * 10);
+                detail = `${(elapsed / 1000).toFixed(1)}s/${(this.duration / 1000).toFixed(1)}s, ${completed.measured} ${this.progressLabel}`;
+            } else {
+                step = Math.floor((completed.measured / this.totalOperations) * 10);
+                detail = `${completed.measured}/${this.totalOperations} ${this.progressLabel}`;
+            }
+
+            if (step > lastProgressStep) {
+                lastProgressStep = step;
+                console.log(`Progress: ${step * 10}% (${detail})`);
+            }
+        };
+
+        const worker = async () => {
+            for (;;) {
+                // Closed-loop operations start now; open-loop ones at their scheduled slot
+                const intendedStart = this.rate ? startTime + nextSlot * intervalMs : performance.now();
+                const phase = phaseAt(intendedStart);
+                if (phase === null) {
+                    return;
+                }
+
+                if (this.rate) {
+                    nextSlot++;
+                }
+                const phaseIndex = issued[phase]++;
+                const operationIndex = index++;
+
+                const wait = intendedStart - performance.now();
+                if (wait > 0) {
+                    await sleep(wait);
+                }
+                const queueDelay = Math.max(0, performance.now() - intendedStart);
+
+                if (phase === 'measured' && phaseIndex === 0 && this.warmup > 0) {
+                    console.log('Warmup complete, measuring...');
+                }
+
+                let result;
+                try {
+                    result = await operation({ index: operationIndex, phase, phaseIndex });
+                } catch (error) {
+                    console.error(`Unexpected error in ${phase} operation ${phaseIndex}:`, error);
+                    result = { success: false, error: error.message, latency: 0 };
+                }
+
+                if (this.rate) {
+                    // Latency counts from the intended start, including time spent queued
+                    result.serviceLatency = result.latency;
+                    result.queueDelay = queueDelay;
+                    result.latency = result.latency + queueDelay;
+                }
+
+                const now = performance.now();
+                completed[phase]++;
+                if (phase === 'measured') {
+                    measuredEnd = Math.max(measuredEnd, now);
+                    reportProgress(now);
+                    if (this.timeline) {
+                        this.timeline.record(now, result.latency, result.success);
+                    }
+
+                    if (this.rate) {
+                        schedule.queueDelaySum += queueDelay;
+                        schedule.maxQueueDelay = Math.max(schedule.maxQueueDelay, queueDelay);
+                        if (queueDelay > intervalMs) {
+                            schedule.missed++;
+                        }
+                    }
+                }
+
+                onComplete(result, phase);
+
+                // Let other workers and timers run between operations
+                await yieldToEventLoop();
+            }
+        };
+
+        await Promise.all(Array.from({ length: this.concurrency }, () => worker()));
+        this.clientMetrics = monitor.stop();
+
+        if (this.timeline) {
+            clearInterval(timelineTimer);
+            this.timeline.finish(measuredEnd);
+        }
+
+        const endTime = performance.now();
+        if (this.cooldown > 0) {
+            console.log(`Cooldown complete (${completed.cooldown} ${this.progressLabel})`);
+        }
+
+        const window = {
+            startTime: toISOString(startTime),
+            measuredStart: toISOString(measuredStart),
+            measuredEnd: toISOString(measuredEnd),
+            measuredTime: roundMillis(measuredEnd - measuredStart),
+            wallTime: roundMillis(endTime - startTime),
+            warmupMs: this.warmup,
+            durationMs: this.duration || null,
+            cooldownMs: this.cooldown,
+            operations: completed
+        };
+
+        if (this.rate) {
+            window.schedule = {
+                targetRate: this.rate,
+                achievedRate: window.measuredTime > 0 ? (completed.measured / window.measuredTime) * 1000 : 0,
+                scheduledOperations: issued.measured,
+                missedSchedule: schedule.missed,
+                avgQueueDelay: completed.measured > 0 ? schedule.queueDelaySum / completed.measured : 0,
+                maxQueueDelay: roundMillis(schedule.maxQueueDelay)
+            };
+        }
+
+        return window;
+    }
+}
+
+function toISOString(performanceTime) {
+    return new Date(performance.timeOrigin + performanceTime).toISOString();
+}
+
+// Keep microsecond precision without float noise in exported results
+function roundMillis(ms) {
+    return Math.round(ms * 1000) / 1000;
+}
+
+/**
+ * One-line description of a measured window for logs and reports
+ */
+function describeWindow(window) {
+    if (!window) {
+        return 'full run';
+    }
+
+    const parts = [`${(window.measuredTime / 1000).toFixed(2)}s measured`];
+    if (window.warmupMs > 0) {
+        parts.push(`${(window.warmupMs / 1000).toFixed(1)}s warmup (${window.operations.warmup} ops excluded)`);
+    }
+    if (window.cooldownMs > 0) {
+        parts.push(`${(window.cooldownMs / 1000).toFixed(1)}s cooldown (${window.operations.cooldown} ops excluded)`);
+    }
+    return parts.join(', ');
+}
+
+/**
+ * One-line description of open-loop schedule adherence, or null for closed-loop runs
+ */
+function describeSchedule(window) {
+    if (!window || !window.schedule) {
+        return null;
+    }
+
+    const { targetRate, achievedRate, scheduledOperations, missedSchedule, avgQueueDelay, maxQueueDelay } = window.schedule;
+    return `target ${targetRate} ops/s, achieved ${achievedRate.toFixed(2)} ops/s, ` +
+        `queue delay avg ${avgQueueDelay.toFixed(2)}ms / max ${maxQueueDelay.toFixed(2)}ms, ` +
+        `${missedSchedule}/${scheduledOperations} missed schedule`;
+}
+
+/**
+ * Run a test runner's load with the measurements every runner takes around it: a server
+ * counter delta over the whole run (warmup and cooldown included, unless config.serverMetrics
+ * is false), the plans of the statements sent (with config.explain samples), and the table
+ * description afterwards. Resolves to run()'s results with server, plans and table added.
+ */
+async function measureRun(database, config, run) {
+    const serverBefore = config.serverMetrics !== false ? await captureServerMetrics(database) : null;
+    const planCapture = config.explain ? startPlanCapture(database, config.explain) : null;
+    const results = await run();
+    if (planCapture) {
+        planCapture.stop();
+    }
+    results.server = serverBefore ? serverMetricsDelta(serverBefore, await captureServerMetrics(database)) : null;
+    // Plans are explained after the server snapshot so EXPLAIN ANALYZE does not count as load
+    results.plans = planCapture ? await explainRecordedQueries(database, planCapture.recorder) : null;
+    results.table = await describeTable(database);
+    return results;
+}
+
+/**
+ * Print the table, server, client and plan lines that close each runner's results,
+ * warning when the load generator itself was saturated
+ */
+function printMeasurements(results) {
+    if (results.table) {
+        console.log(`Table: ${formatTableDescription(results.table)}`);
+    }
+    if (results.server) {
+        console.log(`Server: ${formatServerMetrics(results.server)}`);
+    }
+    if (results.client) {
+        console.log(`Client: ${formatClientMetrics(results.client)}`);
+        if (results.client.saturated) {
+            console.warn(`⚠️  Load generator saturated (${results.client.saturation.join(', ')}), so this result may measure the client rather than the database`);
+        }
+    }
+    if (results.plans) {
+        console.log(`Query Plans: ${results.plans.length} distinct statement(s) explained`);
+        results.plans.forEach(({ calls, samples }, index) => {
+            console.log(`  #${index + 1} (${calls} calls): ${formatPlanSamples(samples)}`);
+        });
+    }
+}
+
+module.exports = LoadDriver;
+module.exports.describeWindow = describeWindow;
+module.exports.describeSchedule = describeSchedule;
+module.exports.measureRun = measureRun;
+module.exports.printMeasurements = printMeasurements;
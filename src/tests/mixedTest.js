@@ -0,0 +1,231 @@
+const { DataGenerator, describeDataProfile } = require('../utils/dataGenerator');
+const { getCapabilities } = require('../database/adapter');
+const { SeededRandom, parseWeights } = require('../utils/random');
+const LoadDriver = require('./loadDriver');
+const { describeWindow, describeSchedule, measureRun, printMeasurements } = require('./loadDriver');
+const LatencyHistogram = require('../utils/histogram');
+const { elapsedMillis, formatPercentiles, DEFAULT_SIGNIFICANT_DIGITS } = require('../utils/histogram');
+
+/**
+ * Operations a mixed workload can draw from
+ */
+const MIXED_OPERATIONS = ['getMessagesByUser', 'insertMessage', 'insertBatch'];
+
+const DEFAULT_MIX = 'getMessagesByUser=70,insertMessage=25,insertBatch=5';
+
+/**
+ * Parse "op=weight,op=weight" into { op: weight }
+ */
+function parseMix(spec = DEFAULT_MIX) {
+    return parseWeights(spec, MIXED_OPERATIONS, 'mixed operation');
+}
+
+/**
+ * Mixed read/write performance test: one worker pool draws operations by weight
+ */
+class MixedTest {
+    constructor(database, config) {
+        this.database = database;
+        this.config = config;
+        this.mix = parseMix(config.mix);
+        this.random = new SeededRandom(config.seed).fork('operations');
+        this.generator = new DataGenerator(config.data, { userCount: config.userCount, random: new SeededRandom(config.seed).fork('data'), timeSpan: database.messageTimeSpan() });
+
+        this.results = {
+            totalOperations: 0,
+            totalTime: 0,
+            opsPerSecond: 0,
+            errors: 0,
+            successRate: 0,
+            mix: this.mix,
+            insertMode: config.insertMode,
+            data: this.generator.profile,
+            operations: {}
+        };
+
+        Object.keys(this.mix).filter(operation => this.mix[operation] > 0).forEach(operation => {
+            this.results.operations[operation] = {
+                weight: this.mix[operation],
+                count: 0,
+                errors: 0,
+                records: 0,
+                throughput: 0,
+                latencyHistogram: new LatencyHistogram(config.histogramDigits || DEFAULT_SIGNIFICANT_DIGITS),
+                avgLatency: 0
+            };
+            // Open-loop runs also keep the uncorrected database service time
+            if (config.rate) {
+                this.results.operations[operation].serviceLatencyHistogram = new LatencyHistogram(config.histogramDigits || DEFAULT_SIGNIFICANT_DIGITS);
+            }
+        });
+    }
+
+    /**
+     * Draw the next operation according to the configured weights
+     */
+    pickOperation() {
+        return this.random.pickWeighted(this.mix);
+    }
+
+    /**
+     * Execute a single operation of the given type
+     */
+    async executeOperation(operation, operationIndex) {
+        const { readLimit, batchSize, insertMode } = this.config;
+        const startTime = process.hrtime.bigint();
+
+        try {
+            let records;
+            if (operation === 'getMessagesByUser') {
+                const messages = await this.database.getMessagesByUser(this.generator.userId(), readLimit);
+                records = messages.length;
+            } else if (operation === 'insertMessage') {
+                await this.database.insertMessage(this.generator.message());
+                records = 1;
+            } else {
+                const batchData = this.generator.batch(batchSize);
+                if (insertMode === 'single') {
+                    for (const record of batchData) {
+                        await this.database.insertMessage(record);
+                    }
+                } else {
+                    await this.database.insertBatch(batchData, insertMode);
+                }
+                records = batchData.length;
+            }
+
+            return {
+                operationIndex,
+                operation,
+                records,
+                latency: elapsedMillis(startTime),
+                success: true
+            };
+        } catch (error) {
+            console.error(`${operation} ${operationIndex} failed:`, error.message);
+
+            return {
+                operationIndex,
+                operation,
+                records: 0,
+                latency: elapsedMillis(startTime),
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Execute the weighted operations concurrently
+     */
+    async runConcurrentMix() {
+        const { totalOperations, concurrency, duration, warmup, cooldown, rate } = this.config;
+        const mixDescription = Object.entries(this.mix).map(([operation, weight]) => `${operation}=${weight}`).join(', ');
+
+        if (duration) {
+            console.log(`Starting mixed test: ${(duration / 1000).toFixed(1)}s with ${concurrency} concurrent workers (${mixDescription})`);
+        } else {
+            console.log(`Starting mixed test: ${totalOperations} operations with ${concurrency} concurrent workers (${mixDescription})`);
+        }
+        console.log(`Data: ${describeDataProfile(this.generator.profile, this.config.seed)}`);
+
+        const driver = new LoadDriver({
+            concurrency,
+            totalOperations,
+            duration,
+            warmup,
+            cooldown,
+            rate,
+            progressLabel: 'operations',
+            timelineInterval: this.config.timelineInterval,
+            liveTimeline: this.config.liveTimeline,
+            histogramDigits: this.config.histogramDigits
+        });
+
+        const window = await driver.run(({ index }) => {
+            return this.executeOperation(this.pickOperation(), index);
+        }, (result, phase) => {
+            if (phase !== 'measured') {
+                return;
+            }
+
+            const stats = this.results.operations[result.operation];
+            if (!stats) {
+                this.results.errors++;
+                return;
+            }
+            if (result.success) {
+                stats.count++;
+                stats.records += result.records;
+                stats.latencyHistogram.recordMillis(result.latency);
+                if (stats.serviceLatencyHistogram) {
+                    stats.serviceLatencyHistogram.recordMillis(result.serviceLatency);
+                }
+                this.results.totalOperations++;
+            } else {
+                stats.errors++;
+                this.results.errors++;
+            }
+        });
+
+        this.results.window = window;
+        this.results.timeline = driver.timeline ? driver.timeline.toJSON() : null;
+        this.results.client = driver.clientMetrics;
+        this.results.totalTime = window.measuredTime;
+        this.results.opsPerSecond = window.measuredTime > 0 ? (this.results.totalOperations / window.measuredTime) * 1000 : 0;
+
+        const attempted = this.results.totalOperations + this.results.errors;
+        this.results.successRate = attempted > 0 ? (this.results.totalOperations / attempted) * 100 : 0;
+
+        Object.values(this.results.operations).forEach(stats => {
+            stats.throughput = window.measuredTime > 0 ? (stats.count / window.measuredTime) * 1000 : 0;
+            stats.avgLatency = stats.latencyHistogram.mean / 1000;
+        });
+
+        return this.results;
+    }
+
+    /**
+     * Run the complete mixed test
+     */
+    async run() {
+        console.log('Starting mixed workload performance test...');
+
+        const weights = Object.entries(this.mix).filter(([, weight]) => weight > 0);
+        if (weights.some(([operation]) => operation === 'insertBatch')) {
+            const { insertModes } = getCapabilities(this.database);
+            if (!insertModes.includes(this.config.insertMode)) {
+                throw new Error(`Insert mode "${this.config.insertMode}" is not supported by this database (supported: ${insertModes.join(', ')})`);
+            }
+        }
+
+        try {
+            const results = await measureRun(this.database, this.config, () => this.runConcurrentMix());
+
+            console.log('\n=== Mixed Test Results ===');
+            console.log(`Total Operations: ${results.totalOperations}`);
+            console.log(`Total Time: ${results.totalTime}ms`);
+            console.log(`Measured Window: ${describeWindow(results.window)}`);
+            if (results.window.schedule) {
+                console.log(`Schedule: ${describeSchedule(results.window)}`);
+            }
+            console.log(`Operations Per Second: ${results.opsPerSecond.toFixed(2)}`);
+            Object.entries(results.operations).forEach(([operation, stats]) => {
+                console.log(`  ${operation}: ${stats.count} ops (${stats.throughput.toFixed(2)}/s), ${stats.errors} errors, ${formatPercentiles(stats.latencyHistogram)}`);
+            });
+            console.log(`Errors: ${results.errors}`);
+            console.log(`Success Rate: ${results.successRate.toFixed(2)}%`);
+            printMeasurements(results);
+
+            return results;
+        } catch (error) {
+            console.error('Mixed test failed:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = MixedTest;
+module.exports.MIXED_OPERATIONS = MIXED_OPERATIONS;
+module.exports.DEFAULT_MIX = DEFAULT_MIX;
+module.exports.parseMix = parseMix;
@@ -1,4 +1,79 @@
-const { getRandomUserId } = require('../utils/dataGenerator');
+const { DataGenerator } = require('../utils/dataGenerator');
+const { READ_QUERIES, getCapabilities, describeTable } = require('../database/adapter');
+const { SeededRandom, parseWeights } = require('../utils/random');
+const LoadDriver = require('./loadDriver');
+const LatencyHistogram = require('../utils/histogram');
+const { elapsedMillis, formatPercentiles, DEFAULT_SIGNIFICANT_DIGITS } = require('../utils/histogram');
+const { describeWindow, describeSchedule, measureRun, printMeasurements } = require('./loadDriver');
+
+const DEFAULT_QUERY_MIX = 'latest=100';
+
+// Defaults for the time-range window (seconds) and the deepest OFFSET page
+const DEFAULT_TIME_RANGE = 3600;
+const DEFAULT_MAX_OFFSET = 1000;
+
+// Existing message ids fetched up front as by-id lookup targets
+const ID_SAMPLE_SIZE = 10000;
+
+/**
+ * Where the users queried by user-keyed reads come from
+ */
+const USER_SOURCES = {
+    range: 'user_1 ... user_N of --users, drawn from the user distribution',
+    table: 'Users of the most recent messages in the table',
+    seeded: 'Users inserted by a write with the same seed and data profile'
+};
+
+// Read targets kept for the table and seeded user sources
+const USER_SAMPLE_SIZE = 10000;
+
+// Share of queries expected to find rows that may come back empty before the run is flagged
+const EMPTY_WARNING_PERCENT = 10;
+
+/**
+ * Parse "type=weight,type=weight" into { type: weight } over READ_QUERIES
+ */
+function parseQueryMix(spec = DEFAULT_QUERY_MIX) {
+    return parseWeights(spec, Object.keys(READ_QUERIES), 'read query type');
+}
+
+function resolveUserSource(source = 'range') {
+    if (!USER_SOURCES[source]) {
+        throw new Error(`Unknown user source: ${source} (expected ${Object.keys(USER_SOURCES).join(', ')})`);
+    }
+    return source;
+}
+
+/**
+ * Share of queries (0-1) deliberately aimed at users, ids or time ranges that do not exist
+ */
+function resolveMissRatio(value = 0) {
+    const ratio = Number(value);
+    if (!(ratio >= 0 && ratio <= 1)) {
+        throw new Error(`Miss ratio must be between 0 and 1, got ${value}`);
+    }
+    return ratio;
+}
+
+/**
+ * Percentage of `total` queries that came back empty
+ */
+function emptyRate(empty, total) {
+    return total > 0 ? (empty / total) * 100 : 0;
+}
+
+/**
+ * Id strategy (a SCHEMA_VARIANTS.id key) of a sampled message id, or null when it looks like a UUID
+ */
+function sampledIdStrategy(sample) {
+    if (Buffer.isBuffer(sample)) {
+        return 'binary16';
+    }
+    if (typeof sample === 'number' || /^\d+$/.test(String(sample))) {
+        return 'bigint';
+    }
+    return null;
+}
 
 /**
  * Read performance test implementation
@@ -7,48 +82,234 @@ class ReadTest {
     constructor(database, config) {
         this.database = database;
         this.config = config;
+        this.queryMix = parseQueryMix(config.queryMix);
+        this.random = new SeededRandom(config.seed).fork('queries');
+        this.generator = new DataGenerator(config.data, { userCount: config.userCount, random: new SeededRandom(config.seed).fork('users') });
+        this.userSource = resolveUserSource(config.userSource);
+        this.missRatio = resolveMissRatio(config.missRatio);
+        
+        // Per-run state for query types that need it
+        this.tableStats = null;
+        this.messageIds = [];
+        this.idStrategy = null;
+        this.userIds = [];
+        this.keysetCursors = new Map();
+        
         this.results = {
             totalQueries: 0,
             totalRecordsRead: 0,
             totalTime: 0,
             qps: 0, // Queries per second
             errors: 0,
-            queries: [],
+            successRate: 0,
+            latencyHistogram: new LatencyHistogram(config.histogramDigits || DEFAULT_SIGNIFICANT_DIGITS),
             avgLatency: 0,
-            minLatency: Infinity,
+            minLatency: 0,
             maxLatency: 0,
-            avgRecordsPerQuery: 0
+            avgRecordsPerQuery: 0,
+            queryMix: this.queryMix,
+            userDistribution: this.generator.profile.users,
+            userSource: this.userSource,
+            missRatio: this.missRatio,
+            emptyResults: 0,
+            misses: 0,
+            emptyRate: 0,
+            queryTypes: {}
         };
+        
+        Object.keys(this.queryMix).filter(type => this.queryMix[type] > 0).forEach(type => {
+            this.results.queryTypes[type] = {
+                weight: this.queryMix[type],
+                count: 0,
+                errors: 0,
+                rows: 0,
+                emptyResults: 0, // Every query that returned no rows
+                emptyHits: 0, // Queries expected to find rows that returned none
+                misses: 0, // Queries deliberately aimed at missing data
+                emptyRate: 0,
+                qps: 0,
+                latencyHistogram: new LatencyHistogram(config.histogramDigits || DEFAULT_SIGNIFICANT_DIGITS),
+                avgLatency: 0,
+                avgRows: 0
+            };
+            
+            // Deliberate misses are timed apart from the queries expected to find rows
+            if (this.missRatio > 0) {
+                this.results.queryTypes[type].hitLatencyHistogram = new LatencyHistogram(config.histogramDigits || DEFAULT_SIGNIFICANT_DIGITS);
+                this.results.queryTypes[type].missLatencyHistogram = new LatencyHistogram(config.histogramDigits || DEFAULT_SIGNIFICANT_DIGITS);
+            }
+        });
+        
+        // Open-loop runs also keep the uncorrected database service time
+        if (config.rate) {
+            this.results.serviceLatencyHistogram = new LatencyHistogram(config.histogramDigits || DEFAULT_SIGNIFICANT_DIGITS);
+        }
+    }
+
+    /**
+     * Run one query of the given type, resolving to the number of rows returned
+     */
+    async runQuery(queryType, userId, miss = false) {
+        const { readLimit } = this.config;
+        
+        switch (queryType) {
+            case 'latest':
+                return (await this.database.getMessagesByUser(userId, readLimit)).length;
+            case 'time-range': {
+                const { lower, upper } = miss ? this.pickMissingTimeRange() : this.pickTimeRange();
+                return (await this.database.getMessagesInTimeRange(lower, upper, readLimit)).length;
+            }
+            case 'role-counts':
+                return (await this.database.countMessagesByRole(userId)).length;
+            case 'by-id': {
+                // Without sampled ids every lookup is a miss on a random UUID
+                const id = miss || this.messageIds.length === 0 ? this.missingMessageId() : this.random.pick(this.messageIds);
+                return (await this.database.getMessageById(id)) ? 1 : 0;
+            }
+            case 'keyset': {
+                // Continue each user's walk from the previous page, restarting at the end of their history
+                const afterId = this.keysetCursors.has(userId) ? this.keysetCursors.get(userId) : null;
+                const messages = await this.database.getMessagesByUserAfter(userId, afterId, readLimit);
+                if (messages.length < readLimit) {
+                    this.keysetCursors.delete(userId);
+                } else {
+                    this.keysetCursors.set(userId, messages[messages.length - 1].id);
+                }
+                return messages.length;
+            }
+            case 'offset': {
+                const pages = Math.floor((this.config.maxOffset || DEFAULT_MAX_OFFSET) / readLimit);
+                const offset = this.random.nextInt(pages + 1) * readLimit;
+                return (await this.database.getMessagesByUserOffset(userId, offset, readLimit)).length;
+            }
+            default:
+                throw new Error(`Unknown read query type: ${queryType}`);
+        }
+    }
+
+    /**
+     * Random [lower, upper) window of timeRange seconds within the table's timestamps
+     */
+    pickTimeRange() {
+        const rangeMs = (this.config.timeRange || DEFAULT_TIME_RANGE) * 1000;
+        const stats = this.tableStats;
+        const latest = stats && stats.latest_message ? new Date(stats.latest_message).getTime() : Date.now();
+        const earliest = stats && stats.earliest_message ? new Date(stats.earliest_message).getTime() : latest - rangeMs;
+        
+        const lower = earliest + this.random.next() * Math.max(0, latest - earliest - rangeMs);
+        return { lower: new Date(lower), upper: new Date(lower + rangeMs) };
+    }
+
+    /**
+     * Window of timeRange seconds ending before the oldest message, so it matches no rows
+     */
+    pickMissingTimeRange() {
+        const rangeMs = (this.config.timeRange || DEFAULT_TIME_RANGE) * 1000;
+        const stats = this.tableStats;
+        const earliest = stats && stats.earliest_message ? new Date(stats.earliest_message).getTime() : Date.now();
+        
+        const upper = earliest - 1000 - this.random.nextInt(rangeMs);
+        return { lower: new Date(upper - rangeMs), upper: new Date(upper) };
+    }
+
+    /**
+     * An id of the table's id type that no message has: a negative number for bigint keys,
+     * random bytes for binary16 keys, else a random UUID. The type comes from the table
+     * description, or from the sampled ids when the adapter cannot describe its table.
+     */
+    missingMessageId() {
+        const strategy = this.idStrategy || sampledIdStrategy(this.messageIds[0]);
+        if (strategy === 'binary16') {
+            return Buffer.from(this.random.uuid().replace(/-/g, ''), 'hex');
+        }
+        if (strategy === 'bigint') {
+            return -(this.random.nextInt(1000000) + 1);
+        }
+        return this.random.uuid();
+    }
+
+    /**
+     * Next queried user: from the sampled users when the user source provided any, else the user range
+     */
+    pickUser() {
+        return this.userIds.length > 0 ? this.random.pick(this.userIds) : this.generator.userId();
+    }
+
+    /**
+     * Read targets for the table and seeded user sources
+     */
+    async sampleUsers() {
+        if (this.userSource === 'table') {
+            this.userIds = await this.database.sampleUserIds(USER_SAMPLE_SIZE);
+            console.log(`Sampled users of ${this.userIds.length} recent messages (${new Set(this.userIds).size} distinct) as read targets`);
+        } else if (this.userSource === 'seeded') {
+            if (this.config.seed === null || this.config.seed === undefined) {
+                throw new Error('The seeded user source needs the seed of the write');
+            }
+            const rows = this.tableStats ? Number(this.tableStats.total_records) : 0;
+            this.userIds = this.replayWrittenUsers(rows);
+            console.log(`Replayed the users of ${rows} rows written with seed ${this.config.seed} (${new Set(this.userIds).size} distinct in a sample of ${this.userIds.length})`);
+        }
+        
+        if (this.userSource !== 'range' && this.userIds.length === 0) {
+            console.warn(`No users found for the ${this.userSource} user source, falling back to the user range`);
+        }
+    }
+
+    /**
+     * Users of the first `rows` messages a seeded write generated, as a uniform sample of
+     * up to USER_SAMPLE_SIZE rows (reservoir sampling), so busy users appear more often
+     */
+    replayWrittenUsers(rows) {
+        const writer = new DataGenerator(this.config.data, { userCount: this.config.userCount, random: new SeededRandom(this.config.seed).fork('data') });
+        const sampler = new SeededRandom(this.config.seed).fork('user-sample');
+        const sample = [];
+        
+        for (let row = 0; row < rows; row++) {
+            const user = writer.userNumber();
+            if (sample.length < USER_SAMPLE_SIZE) {
+                sample.push(user);
+            } else {
+                const slot = sampler.nextInt(row + 1);
+                if (slot < USER_SAMPLE_SIZE) {
+                    sample[slot] = user;
+                }
+            }
+        }
+        
+        return sample.map(user => `user_${user}`);
     }
 
     /**
      * Execute a single read query
      */
-    async executeQuery(userId, queryIndex) {
-        const startTime = Date.now();
+    async executeQuery(queryType, userId, queryIndex, miss = false) {
+        const startTime = process.hrtime.bigint();
         
         try {
-            const messages = await this.database.getMessagesByUser(userId, this.config.readLimit);
-            const endTime = Date.now();
-            const latency = endTime - startTime;
+            const recordCount = await this.runQuery(queryType, userId, miss);
+            const latency = elapsedMillis(startTime);
             
             return {
                 queryIndex,
+                queryType,
                 userId,
-                recordCount: messages.length,
+                miss,
+                recordCount,
                 latency,
                 success: true,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
-            const endTime = Date.now();
-            const latency = endTime - startTime;
+            const latency = elapsedMillis(startTime);
             
-            console.error(`Query ${queryIndex} failed:`, error.message);
+            console.error(`Query ${queryIndex} (${queryType}) failed:`, error.message);
             
             return {
                 queryIndex,
+                queryType,
                 userId,
+                miss,
                 recordCount: 0,
                 latency,
                 success: false,
@@ -62,85 +323,117 @@ class ReadTest {
      * Execute concurrent read operations
      */
     async runConcurrentReads() {
-        const { totalQueries, concurrency, userCount, readLimit } = this.config;
+        const { totalQueries, concurrency, readLimit, duration, warmup, cooldown, rate } = this.config;
         
-        console.log(`Starting read test: ${totalQueries} queries with ${concurrency} concurrent workers, max ${readLimit} records per query`);
+        if (duration) {
+            console.log(`Starting read test: ${(duration / 1000).toFixed(1)}s with ${concurrency} concurrent workers, max ${readLimit} records per query`);
+        } else {
+            console.log(`Starting read test: ${totalQueries} queries with ${concurrency} concurrent workers, max ${readLimit} records per query`);
+        }
+        if (rate) {
+            console.log(`Open-loop mode: ${rate} queries/s scheduled, latency measured from intended start`);
+        }
+        if (Object.keys(this.results.queryTypes).some(type => type !== 'latest')) {
+            console.log(`Query mix: ${Object.entries(this.results.queryTypes).map(([type, stats]) => `${type}=${stats.weight}`).join(', ')}`);
+        }
+        if (this.userSource !== 'range') {
+            console.log(`User source: ${this.userSource} (${USER_SOURCES[this.userSource]})`);
+        } else if (this.generator.profile.users !== 'uniform') {
+            console.log(`User distribution: ${this.generator.profile.users}`);
+        }
+        if (this.missRatio > 0) {
+            console.log(`Miss ratio: ${(this.missRatio * 100).toFixed(1)}% of queries aimed at users, ids or time ranges that do not exist`);
+        }
         
-        const startTime = Date.now();
-        let completedQueries = 0;
-        let activeTasks = 0;
-        const results = [];
+        const driver = new LoadDriver({
+            concurrency,
+            totalOperations: totalQueries,
+            duration,
+            warmup,
+            cooldown,
+            rate,
+            progressLabel: 'queries',
+            timelineInterval: this.config.timelineInterval,
+            liveTimeline: this.config.liveTimeline,
+            histogramDigits: this.config.histogramDigits
+        });
         
-        return new Promise((resolve, reject) => {
-            const processQuery = async (queryIndex) => {
-                if (queryIndex >= totalQueries) {
-                    return;
+        const window = await driver.run(({ index }) => {
+            // Deliberate misses query a user name that no generated row uses
+            const miss = this.missRatio > 0 && this.random.next() < this.missRatio;
+            const userId = miss ? `user_missing_${this.random.nextInt(this.config.userCount || 1000) + 1}` : this.pickUser();
+            
+            return this.executeQuery(this.random.pickWeighted(this.queryMix), userId, index, miss);
+        }, (result, phase) => {
+            if (phase !== 'measured') {
+                return;
+            }
+            
+            const stats = this.results.queryTypes[result.queryType];
+            if (result.success) {
+                this.results.totalQueries++;
+                this.results.totalRecordsRead += result.recordCount;
+                this.results.latencyHistogram.recordMillis(result.latency);
+                if (this.results.serviceLatencyHistogram) {
+                    this.results.serviceLatencyHistogram.recordMillis(result.serviceLatency);
                 }
-                
-                activeTasks++;
-                
-                // Generate random user ID for the query
-                const userId = getRandomUserId(userCount);
-                
-                try {
-                    const result = await this.executeQuery(userId, queryIndex);
-                    results.push(result);
-                    
-                    if (result.success) {
-                        completedQueries++;
-                        this.results.totalRecordsRead += result.recordCount;
-                    } else {
-                        this.results.errors++;
+                if (stats) {
+                    stats.count++;
+                    stats.rows += result.recordCount;
+                    stats.latencyHistogram.recordMillis(result.latency);
+                    if (result.recordCount === 0) {
+                        stats.emptyResults++;
+                        if (!result.miss) {
+                            stats.emptyHits++;
+                        }
                     }
-                    
-                    // Update latency stats
-                    this.results.minLatency = Math.min(this.results.minLatency, result.latency);
-                    this.results.maxLatency = Math.max(this.results.maxLatency, result.latency);
-                    
-                    // Progress reporting
-                    if (completedQueries % Math.max(1, Math.floor(totalQueries / 10)) === 0) {
-                        const progress = (completedQueries / totalQueries * 100).toFixed(1);
-                        console.log(`Progress: ${progress}% (${completedQueries}/${totalQueries} queries)`);
+                    if (result.miss) {
+                        stats.misses++;
+                        stats.missLatencyHistogram.recordMillis(result.latency);
+                    } else if (stats.hitLatencyHistogram) {
+                        stats.hitLatencyHistogram.recordMillis(result.latency);
                     }
-                    
-                } catch (error) {
-                    console.error(`Unexpected error in query ${queryIndex}:`, error);
-                    this.results.errors++;
                 }
-                
-                activeTasks--;
-                
-                // Check if we're done
-                if (completedQueries + this.results.errors >= totalQueries && activeTasks === 0) {
-                    const endTime = Date.now();
-                    this.results.totalTime = endTime - startTime;
-                    this.results.totalQueries = completedQueries;
-                    this.results.qps = (this.results.totalQueries / this.results.totalTime) * 1000;
-                    this.results.queries = results;
-                    
-                    // Calculate average latency and records per query
-                    const successfulQueries = results.filter(r => r.success);
-                    if (successfulQueries.length > 0) {
-                        this.results.avgLatency = successfulQueries.reduce((sum, r) => sum + r.latency, 0) / successfulQueries.length;
-                        this.results.avgRecordsPerQuery = this.results.totalRecordsRead / successfulQueries.length;
-                    }
-                    
-                    resolve(this.results);
-                    return;
-                }
-                
-                // Start next query if available
-                const nextQueryIndex = queryIndex + concurrency;
-                if (nextQueryIndex < totalQueries) {
-                    setImmediate(() => processQuery(nextQueryIndex));
+            } else {
+                this.results.errors++;
+                if (stats) {
+                    stats.errors++;
                 }
-            };
-            
-            // Start initial concurrent queries
-            for (let i = 0; i < Math.min(concurrency, totalQueries); i++) {
-                setImmediate(() => processQuery(i));
             }
         });
+        
+        this.results.window = window;
+        this.results.timeline = driver.timeline ? driver.timeline.toJSON() : null;
+        this.results.client = driver.clientMetrics;
+        this.results.totalTime = window.measuredTime;
+        this.results.qps = window.measuredTime > 0 ? (this.results.totalQueries / window.measuredTime) * 1000 : 0;
+        
+        const attempted = this.results.totalQueries + this.results.errors;
+        this.results.successRate = attempted > 0 ? (this.results.totalQueries / attempted) * 100 : 0;
+        
+        // Latency stats and records per query of successful queries
+        const latency = this.results.latencyHistogram.summary();
+        this.results.avgLatency = latency.mean;
+        this.results.minLatency = latency.min;
+        this.results.maxLatency = latency.max;
+        if (this.results.totalQueries > 0) {
+            this.results.avgRecordsPerQuery = this.results.totalRecordsRead / this.results.totalQueries;
+        }
+        
+        Object.values(this.results.queryTypes).forEach(stats => {
+            stats.qps = window.measuredTime > 0 ? (stats.count / window.measuredTime) * 1000 : 0;
+            stats.avgLatency = stats.latencyHistogram.mean / 1000;
+            stats.avgRows = stats.count > 0 ? stats.rows / stats.count : 0;
+            stats.emptyRate = emptyRate(stats.emptyHits, stats.count - stats.misses);
+        });
+        
+        // Empty results among the queries expected to find rows
+        const queryTypes = Object.values(this.results.queryTypes);
+        this.results.emptyResults = queryTypes.reduce((sum, stats) => sum + stats.emptyResults, 0);
+        this.results.misses = queryTypes.reduce((sum, stats) => sum + stats.misses, 0);
+        this.results.emptyRate = emptyRate(queryTypes.reduce((sum, stats) => sum + stats.emptyHits, 0), this.results.totalQueries - this.results.misses);
+        
+        return this.results;
     }
 
     /**
@@ -167,23 +460,62 @@ class ReadTest {
     async run() {
         console.log('Starting read performance test...');
         
+        const { readQueries } = getCapabilities(this.database);
+        const unsupported = Object.keys(this.results.queryTypes).filter(type => !readQueries.includes(type));
+        if (unsupported.length > 0) {
+            throw new Error(`Read query type(s) ${unsupported.join(', ')} not supported by this database (supported: ${readQueries.join(', ')})`);
+        }
+        
         try {
             // Get database stats first
-            await this.getPreTestStats();
+            this.tableStats = await this.getPreTestStats();
             
-            const results = await this.runConcurrentReads();
+            await this.sampleUsers();
+            
+            if (this.results.queryTypes['by-id']) {
+                this.messageIds = await this.database.sampleMessageIds(ID_SAMPLE_SIZE);
+                console.log(`Sampled ${this.messageIds.length} message ids for by-id lookups`);
+                const table = await describeTable(this.database);
+                this.idStrategy = table && table.schema ? table.schema.id : null;
+            }
+            
+            // Measured after the sampling above, so its queries are not in the server counters
+            const results = await measureRun(this.database, this.config, () => this.runConcurrentReads());
             
             console.log('\n=== Read Test Results ===');
             console.log(`Total Queries: ${results.totalQueries}`);
             console.log(`Total Records Read: ${results.totalRecordsRead}`);
             console.log(`Total Time: ${results.totalTime}ms`);
+            console.log(`Measured Window: ${describeWindow(results.window)}`);
+            if (results.window.schedule) {
+                console.log(`Schedule: ${describeSchedule(results.window)}`);
+            }
             console.log(`QPS (Queries Per Second): ${results.qps.toFixed(2)}`);
-            console.log(`Average Latency: ${results.avgLatency.toFixed(2)}ms`);
-            console.log(`Min Latency: ${results.minLatency}ms`);
-            console.log(`Max Latency: ${results.maxLatency}ms`);
+            console.log(`Average Latency: ${results.avgLatency.toFixed(3)}ms`);
+            console.log(`Min Latency: ${results.minLatency.toFixed(3)}ms`);
+            console.log(`Max Latency: ${results.maxLatency.toFixed(3)}ms`);
+            console.log(`Latency Percentiles: ${formatPercentiles(results.latencyHistogram)}`);
             console.log(`Average Records Per Query: ${results.avgRecordsPerQuery.toFixed(2)}`);
+            if (Object.keys(results.queryTypes).length > 1) {
+                Object.entries(results.queryTypes).forEach(([type, stats]) => {
+                    console.log(`  ${type}: ${stats.count} queries (${stats.qps.toFixed(2)}/s), ${stats.avgRows.toFixed(2)} rows avg, ${stats.emptyRate.toFixed(1)}% empty, ${stats.errors} errors, ${formatPercentiles(stats.latencyHistogram)}`);
+                });
+            }
+            console.log(`Empty Results: ${results.emptyRate.toFixed(2)}% of ${results.totalQueries - results.misses} queries expected to find rows`);
+            if (results.misses > 0) {
+                console.log(`Deliberate Misses: ${results.misses} queries`);
+                Object.entries(results.queryTypes).filter(([, stats]) => stats.misses > 0).forEach(([type, stats]) => {
+                    console.log(`  ${type}: hits ${formatPercentiles(stats.hitLatencyHistogram)}`);
+                    console.log(`  ${type}: misses ${formatPercentiles(stats.missLatencyHistogram)}`);
+                });
+            }
+            if (results.emptyRate > EMPTY_WARNING_PERCENT) {
+                console.warn(`⚠️  ${results.emptyRate.toFixed(1)}% of queries expected to find rows returned none, so their latency is not representative` +
+                    (this.userSource === 'range' ? '; --users may not match the written data (try --user-source table)' : ''));
+            }
             console.log(`Errors: ${results.errors}`);
-            console.log(`Success Rate: ${((results.queries.filter(q => q.success).length / results.queries.length) * 100).toFixed(2)}%`);
+            console.log(`Success Rate: ${results.successRate.toFixed(2)}%`);
+            printMeasurements(results);
             
             return results;
         } catch (error) {
@@ -194,3 +526,8 @@ class ReadTest {
 }
 
 module.exports = ReadTest;
+module.exports.DEFAULT_QUERY_MIX = DEFAULT_QUERY_MIX;
+module.exports.USER_SOURCES = USER_SOURCES;
+module.exports.parseQueryMix = parseQueryMix;
+module.exports.resolveUserSource = resolveUserSource;
+module.exports.resolveMissRatio = resolveMissRatio;
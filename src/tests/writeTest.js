@@ -1,4 +1,11 @@
-const { generateBatch } = require('../utils/dataGenerator');
+const { DataGenerator, describeDataProfile } = require('../utils/dataGenerator');
+const { getCapabilities, INSERT_MODES } = require('../database/adapter');
+const { SeededRandom } = require('../utils/random');
+const { DatasetReader } = require('../dataset');
+const LoadDriver = require('./loadDriver');
+const LatencyHistogram = require('../utils/histogram');
+const { elapsedMillis, formatPercentiles, DEFAULT_SIGNIFICANT_DIGITS } = require('../utils/histogram');
+const { describeWindow, describeSchedule, measureRun, printMeasurements } = require('./loadDriver');
 
 /**
  * Write performance test implementation
@@ -7,36 +14,51 @@ class WriteTest {
     constructor(database, config) {
         this.database = database;
         this.config = config;
+        this.generator = new DataGenerator(config.data, { userCount: config.userCount, random: new SeededRandom(config.seed).fork('data'), timeSpan: database.messageTimeSpan() });
         this.results = {
             totalRecords: 0,
             totalTime: 0,
             tps: 0,
+            insertMode: config.insertMode,
+            data: config.dataset ? config.dataset.data : this.generator.profile,
             errors: 0,
-            batches: [],
+            successfulBatches: 0,
+            successRate: 0,
+            latencyHistogram: new LatencyHistogram(config.histogramDigits || DEFAULT_SIGNIFICANT_DIGITS),
             avgLatency: 0,
-            minLatency: Infinity,
+            minLatency: 0,
             maxLatency: 0
         };
+        
+        // Open-loop runs also keep the uncorrected database service time
+        if (config.rate) {
+            this.results.serviceLatencyHistogram = new LatencyHistogram(config.histogramDigits || DEFAULT_SIGNIFICANT_DIGITS);
+        }
+        
+        // Rows come from a dataset file instead of the generator
+        this.datasetReader = null;
+        if (config.dataset) {
+            this.results.dataset = { file: config.dataset.file, rows: config.dataset.rows, seed: config.dataset.seed, rowsRead: 0, replays: 0 };
+        }
     }
 
     /**
      * Execute a single batch write operation
      */
     async executeBatch(batchData, batchIndex) {
-        const startTime = Date.now();
+        const startTime = process.hrtime.bigint();
         
         try {
-            if (this.config.useBatchInsert) {
-                await this.database.insertBatch(batchData);
-            } else {
-                // Insert records one by one
+            if (this.config.insertMode === 'single') {
+                // Insert records one by one, each in its own autocommit statement
                 for (const record of batchData) {
                     await this.database.insertMessage(record);
                 }
+            } else {
+                await this.database.insertBatch(batchData, this.config.insertMode);
             }
             
-            const endTime = Date.now();
-            const latency = endTime - startTime;
+            const latency = elapsedMillis(startTime);
             
             return {
                 batchIndex,
@@ -46,8 +68,7 @@ class WriteTest {
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
-            const endTime = Date.now();
-            const latency = endTime - startTime;
+            const latency = elapsedMillis(startTime);
             
             console.error(`Batch ${batchIndex} failed:`, error.message);
             
@@ -66,85 +87,80 @@ class WriteTest {
      * Execute concurrent write operations
      */
     async runConcurrentWrites() {
-        const { totalRecords, batchSize, concurrency, userCount } = this.config;
+        const { totalRecords, batchSize, concurrency, duration, warmup, cooldown, rate } = this.config;
         const totalBatches = Math.ceil(totalRecords / batchSize);
         
-        console.log(`Starting write test: ${totalRecords} records in ${totalBatches} batches with ${concurrency} concurrent workers`);
+        if (duration) {
+            console.log(`Starting write test: batches of ${batchSize} records for ${(duration / 1000).toFixed(1)}s with ${concurrency} concurrent workers`);
+        } else {
+            console.log(`Starting write test: ${totalRecords} records in ${totalBatches} batches with ${concurrency} concurrent workers`);
+        }
+        if (rate) {
+            console.log(`Open-loop mode: ${rate} batches/s scheduled, latency measured from intended start`);
+        }
+        if (this.datasetReader) {
+            const { file, rows, seed } = this.config.dataset;
+            console.log(`Data: dataset ${file} (${rows} rows${seed === null ? '' : `, seed ${seed}`})`);
+        } else {
+            console.log(`Data: ${describeDataProfile(this.generator.profile, this.config.seed)}`);
+        }
         
-        const startTime = Date.now();
-        let completedBatches = 0;
-        let activeTasks = 0;
-        const results = [];
+        const driver = new LoadDriver({
+            concurrency,
+            totalOperations: totalBatches,
+            duration,
+            warmup,
+            cooldown,
+            rate,
+            progressLabel: 'batches',
+            timelineInterval: this.config.timelineInterval,
+            liveTimeline: this.config.liveTimeline,
+            histogramDigits: this.config.histogramDigits
+        });
         
-        return new Promise((resolve, reject) => {
-            const processBatch = async (batchIndex) => {
-                if (batchIndex >= totalBatches) {
-                    return;
-                }
-                
-                activeTasks++;
-                
-                // Generate batch data
-                const actualBatchSize = Math.min(batchSize, totalRecords - (batchIndex * batchSize));
-                const batchData = generateBatch(actualBatchSize, userCount);
-                
-                try {
-                    const result = await this.executeBatch(batchData, batchIndex);
-                    results.push(result);
-                    
-                    if (result.success) {
-                        completedBatches++;
-                        this.results.totalRecords += result.recordCount;
-                    } else {
-                        this.results.errors++;
-                    }
-                    
-                    // Update latency stats
-                    this.results.minLatency = Math.min(this.results.minLatency, result.latency);
-                    this.results.maxLatency = Math.max(this.results.maxLatency, result.latency);
-                    
-                    // Progress reporting
-                    if (completedBatches % Math.max(1, Math.floor(totalBatches / 10)) === 0) {
-                        const progress = (completedBatches / totalBatches * 100).toFixed(1);
-                        console.log(`Progress: ${progress}% (${completedBatches}/${totalBatches} batches)`);
-                    }
-                    
-                } catch (error) {
-                    console.error(`Unexpected error in batch ${batchIndex}:`, error);
-                    this.results.errors++;
-                }
-                
-                activeTasks--;
-                
-                // Check if we're done
-                if (completedBatches + this.results.errors >= totalBatches && activeTasks === 0) {
-                    const endTime = Date.now();
-                    this.results.totalTime = endTime - startTime;
-                    this.results.tps = (this.results.totalRecords / this.results.totalTime) * 1000;
-                    this.results.batches = results;
-                    
-                    // Calculate average latency
-                    const successfulBatches = results.filter(r => r.success);
-                    if (successfulBatches.length > 0) {
-                        this.results.avgLatency = successfulBatches.reduce((sum, r) => sum + r.latency, 0) / successfulBatches.length;
-                    }
-                    
-                    resolve(this.results);
-                    return;
-                }
-                
-                // Start next batch if available
-                const nextBatchIndex = batchIndex + concurrency;
-                if (nextBatchIndex < totalBatches) {
-                    setImmediate(() => processBatch(nextBatchIndex));
-                }
-            };
+        const window = await driver.run(async ({ index, phase, phaseIndex }) => {
+            // Only the last measured batch of a record-count run is short
+            const actualBatchSize = phase === 'measured' && !duration ?
+                Math.min(batchSize, totalRecords - (phaseIndex * batchSize)) :
+                batchSize;
+            const batchData = this.datasetReader ?
+                await this.datasetReader.nextBatch(actualBatchSize) :
+                this.generator.batch(actualBatchSize);
             
-            // Start initial concurrent batches
-            for (let i = 0; i < Math.min(concurrency, totalBatches); i++) {
-                setImmediate(() => processBatch(i));
+            return this.executeBatch(batchData, index);
+        }, (result, phase) => {
+            if (phase !== 'measured') {
+                return;
+            }
+            
+            if (result.success) {
+                this.results.successfulBatches++;
+                this.results.totalRecords += result.recordCount;
+                this.results.latencyHistogram.recordMillis(result.latency);
+                if (this.results.serviceLatencyHistogram) {
+                    this.results.serviceLatencyHistogram.recordMillis(result.serviceLatency);
+                }
+            } else {
+                this.results.errors++;
             }
         });
+        
+        this.results.window = window;
+        this.results.timeline = driver.timeline ? driver.timeline.toJSON() : null;
+        this.results.client = driver.clientMetrics;
+        this.results.totalTime = window.measuredTime;
+        this.results.tps = window.measuredTime > 0 ? (this.results.totalRecords / window.measuredTime) * 1000 : 0;
+        
+        const attempted = this.results.successfulBatches + this.results.errors;
+        this.results.successRate = attempted > 0 ? (this.results.successfulBatches / attempted) * 100 : 0;
+        
+        // Latency stats of successful batches
+        const latency = this.results.latencyHistogram.summary();
+        this.results.avgLatency = latency.mean;
+        this.results.minLatency = latency.min;
+        this.results.maxLatency = latency.max;
+        
+        return this.results;
     }
 
     /**
@@ -153,23 +169,50 @@ class WriteTest {
     async run() {
         console.log('Starting write performance test...');
         
+        const { insertModes } = getCapabilities(this.database);
+        if (!insertModes.includes(this.config.insertMode)) {
+            throw new Error(`Insert mode "${this.config.insertMode}" is not supported by this database (supported: ${insertModes.join(', ')})`);
+        }
+        console.log(`Insert mode: ${this.config.insertMode} (${INSERT_MODES[this.config.insertMode]})`);
+        
+        if (this.config.dataset) {
+            this.datasetReader = new DatasetReader(this.config.dataset.file);
+        }
+        
         try {
-            const results = await this.runConcurrentWrites();
+            const results = await measureRun(this.database, this.config, () => this.runConcurrentWrites());
+            if (this.datasetReader) {
+                results.dataset.rowsRead = this.datasetReader.rowsRead;
+                results.dataset.replays = this.datasetReader.replays;
+            }
             
             console.log('\n=== Write Test Results ===');
             console.log(`Total Records: ${results.totalRecords}`);
             console.log(`Total Time: ${results.totalTime}ms`);
+            console.log(`Measured Window: ${describeWindow(results.window)}`);
+            if (results.window.schedule) {
+                console.log(`Schedule: ${describeSchedule(results.window)}`);
+            }
             console.log(`TPS (Transactions Per Second): ${results.tps.toFixed(2)}`);
-            console.log(`Average Latency: ${results.avgLatency.toFixed(2)}ms`);
-            console.log(`Min Latency: ${results.minLatency}ms`);
-            console.log(`Max Latency: ${results.maxLatency}ms`);
+            console.log(`Average Latency: ${results.avgLatency.toFixed(3)}ms`);
+            console.log(`Min Latency: ${results.minLatency.toFixed(3)}ms`);
+            console.log(`Max Latency: ${results.maxLatency.toFixed(3)}ms`);
+            console.log(`Latency Percentiles: ${formatPercentiles(results.latencyHistogram)}`);
             console.log(`Errors: ${results.errors}`);
-            console.log(`Success Rate: ${((results.batches.filter(b => b.success).length / results.batches.length) * 100).toFixed(2)}%`);
+            console.log(`Success Rate: ${results.successRate.toFixed(2)}%`);
+            if (results.dataset && results.dataset.replays > 0) {
+                console.log(`Dataset: ${results.dataset.rowsRead} rows read, replayed from the start ${results.dataset.replays} time(s)`);
+            }
+            printMeasurements(results);
             
             return results;
         } catch (error) {
             console.error('Write test failed:', error);
             throw error;
+        } finally {
+            if (this.datasetReader) {
+                await this.datasetReader.close();
+            }
         }
     }
 }
@@ -1,4 +1,6 @@
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { SeededRandom, parseDistribution, sampleDistribution, parseWeights } = require('./random');
 
 /**
  * Utility functions for generating random test data
@@ -6,6 +8,10 @@ const { v4: uuidv4 } = require('uuid');
 
 const ROLES = ['user', 'assistant', 'system', 'function'];
 
+const MODELS = ['gpt-4o', 'gpt-4o-mini', 'llama-3-70b-instruct', 'mistral-large', 'gemini-1.5-pro'];
+
+const TOOL_NAMES = ['search', 'calculator', 'code_interpreter', 'retrieval', 'weather', 'calendar'];
+
 const SAMPLE_WORDS = [
     'artificial', 'intelligence', 'machine', 'learning', 'neural', 'network', 'algorithm', 'data',
     'science', 'technology', 'computer', 'programming', 'software', 'development', 'database',
@@ -16,61 +22,357 @@ const SAMPLE_WORDS = [
     'collaboration', 'innovation', 'transformation', 'digitalization', 'modernization'
 ];
 
+// Non-ASCII words in several scripts, from two-byte Latin and Cyrillic to four-byte CJK extensions
+const MULTILINGUAL_WORDS = [
+    'données', 'sécurité', 'réseau', 'développement', 'año', 'configuración', 'señal', 'rendimiento',
+    'größe', 'überprüfung', 'schlüssel', 'äußerst', 'ação', 'informação', 'kärlek', 'łódź', 'żółć',
+    'база', 'данных', 'производительность', 'сеть', 'безпека', 'δεδομένα', 'απόδοση', 'ασφάλεια',
+    'بيانات', 'أداء', 'شبكة', 'נתונים', 'ביצועים', 'डेटा', 'प्रदर्शन', 'सुरक्षा', 'ข้อมูล', 'ประสิทธิภาพ',
+    '数据库', '性能', '网络', '安全', '機械学習', 'データ', 'パフォーマンス', 'ネットワーク', '데이터베이스', '성능',
+    '네트워크', '𠀋𠂉', '𩸽', 'database', 'performance', 'latency', 'throughput'
+];
+
+// Single code points, skin tone modifiers, flags and ZWJ sequences
+const EMOJI = [
+    '😀', '😂', '🙏', '👍', '🔥', '🚀', '✅', '❤️', '🎉', '🤔', '💡', '📈', '🧠', '⚡', '🐘', '🐬',
+    '👍🏽', '👋🏿', '🇩🇪', '🇯🇵', '🇧🇷', '👩‍💻', '👨‍👩‍👧‍👦', '🏳️‍🌈', '🧑🏻‍🔬'
+];
+
+/**
+ * Content types: the word list text is drawn from and the share of tokens replaced by emoji
+ */
+const CONTENT_TYPES = {
+    ascii: { words: SAMPLE_WORDS, emojiRate: 0 },
+    multilingual: { words: MULTILINGUAL_WORDS, emojiRate: 0 },
+    emoji: { words: SAMPLE_WORDS, emojiRate: 0.2 },
+    mixed: { words: MULTILINGUAL_WORDS, emojiRate: 0.2 }
+};
+
+// Keeps a message within MySQL's 65535-byte TEXT column even at four bytes per character
+const MAX_MESSAGE_LENGTH = 16000;
+
+/**
+ * Default data profile: uniform users and roles, ~1500-character ASCII messages
+ */
+const DEFAULT_DATA_PROFILE = {
+    users: 'uniform',
+    messageLength: 'fixed:1500',
+    roles: Object.fromEntries(ROLES.map(role => [role, 1])),
+    content: 'ascii'
+};
+
+/**
+ * Parse a user distribution spec: "uniform", "zipf[:s]" (exponent, default 1) or
+ * "hotspot[:users:share]" (a fraction of users receiving a share of operations, default 0.2:0.8)
+ */
+function parseUserDistribution(spec = DEFAULT_DATA_PROFILE.users) {
+    const [type, ...rawParams] = String(spec).split(':');
+    const params = rawParams.map(p => parseFloat(p));
+    if (params.some(isNaN)) {
+        throw new Error(`Invalid user distribution parameters in "${spec}"`);
+    }
+
+    if (type === 'uniform' && params.length === 0) {
+        return { type, params };
+    }
+    if (type === 'zipf' && params.length <= 1) {
+        const [exponent = 1] = params;
+        if (!(exponent > 0)) {
+            throw new Error(`Zipf exponent must be positive, got "${spec}"`);
+        }
+        return { type, params: [exponent] };
+    }
+    if (type === 'hotspot' && (params.length === 0 || params.length === 2)) {
+        const [users = 0.2, share = 0.8] = params;
+        if (!(users > 0 && users < 1) || !(share >= 0 && share <= 1)) {
+            throw new Error(`Hotspot user fraction must be between 0 and 1 exclusive and its share between 0 and 1, got "${spec}"`);
+        }
+        return { type, params: [users, share] };
+    }
+
+    throw new Error(`Invalid user distribution "${spec}" (expected uniform, zipf[:s] or hotspot[:users:share])`);
+}
+
+/**
+ * Function drawing a user number in [1, userCount] from a parsed user distribution.
+ * Skewed distributions favour the lowest user numbers, so writes and reads share the same hot users.
+ */
+function createUserSampler({ type, params }, userCount) {
+    if (type === 'zipf') {
+        // Cumulative weights of rank k ∝ 1 / k^s, searched by binary search
+        const cumulative = new Float64Array(userCount);
+        let total = 0;
+        for (let rank = 1; rank <= userCount; rank++) {
+            total += 1 / Math.pow(rank, params[0]);
+            cumulative[rank - 1] = total;
+        }
+
+        return random => {
+            const roll = random.next() * total;
+            let low = 0;
+            let high = userCount - 1;
+            while (low < high) {
+                const middle = (low + high) >>> 1;
+                if (cumulative[middle] > roll) {
+                    high = middle;
+                } else {
+                    low = middle + 1;
+                }
+            }
+            return low + 1;
+        };
+    }
+
+    if (type === 'hotspot') {
+        const hotUsers = Math.max(1, Math.round(userCount * params[0]));
+        return random => {
+            if (hotUsers >= userCount || random.next() < params[1]) {
+                return random.nextInt(hotUsers) + 1;
+            }
+            return hotUsers + random.nextInt(userCount - hotUsers) + 1;
+        };
+    }
+
+    return random => random.nextInt(userCount) + 1;
+}
+
+/**
+ * Validate and normalize a data profile ({ users, messageLength, roles, content }),
+ * filling in defaults; roles may be "role=weight,..." or a { role: weight } mapping
+ */
+function resolveDataProfile(options) {
+    const { users, messageLength, roles, content } = options || {};
+    const profile = {
+        users: users || DEFAULT_DATA_PROFILE.users,
+        messageLength: String(messageLength || DEFAULT_DATA_PROFILE.messageLength),
+        roles: roles ? parseWeights(roles, ROLES, 'role') : { ...DEFAULT_DATA_PROFILE.roles },
+        content: content || DEFAULT_DATA_PROFILE.content
+    };
+
+    parseUserDistribution(profile.users);
+    parseDistribution(profile.messageLength);
+    if (!CONTENT_TYPES[profile.content]) {
+        throw new Error(`Unknown content type: ${profile.content} (expected ${Object.keys(CONTENT_TYPES).join(', ')})`);
+    }
+
+    return profile;
+}
+
+/**
+ * One-line summary of a data profile (and the seed it is drawn with, if any) for console output
+ */
+function describeDataProfile(profile, seed = null) {
+    const roles = Object.entries(profile.roles).map(([role, weight]) => `${role}=${weight}`).join(',');
+    const summary = `users ${profile.users}, message length ${profile.messageLength}, roles ${roles}, content ${profile.content}`;
+    return seed === null || seed === undefined ? summary : `${summary}, seed ${seed}`;
+}
+
+/**
+ * Message generator drawing users, roles, lengths and text from a data profile.
+ * Users come from their own stream, so the users of a seeded run can be replayed
+ * without generating the messages. With a timeSpan ({ start, end }) messages also
+ * get a timestamp drawn uniformly from it, from a stream of their own.
+ */
+class DataGenerator {
+    constructor(profile = DEFAULT_DATA_PROFILE, { userCount = 1000, random = new SeededRandom(), timeSpan = null } = {}) {
+        this.profile = resolveDataProfile(profile);
+        this.userCount = userCount;
+        this.random = random;
+        this.userRandom = random.fork('users');
+        this.timeSpan = timeSpan;
+        this.timestampRandom = random.fork('timestamps');
+        this.sampleUser = createUserSampler(parseUserDistribution(this.profile.users), userCount);
+        this.messageLength = parseDistribution(this.profile.messageLength);
+        this.content = CONTENT_TYPES[this.profile.content];
+    }
+
+    userNumber() {
+        return this.sampleUser(this.userRandom);
+    }
+
+    userId() {
+        return `user_${this.userNumber()}`;
+    }
+
+    role() {
+        return this.random.pickWeighted(this.profile.roles);
+    }
+
+    word() {
+        if (this.content.emojiRate > 0 && this.random.next() < this.content.emojiRate) {
+            return this.random.pick(EMOJI);
+        }
+        return this.random.pick(this.content.words);
+    }
+
+    /**
+     * Space-separated words of at least minLength characters (UTF-16 code units)
+     */
+    text(minLength = 1500) {
+        const words = [];
+        let currentLength = 0;
+
+        while (currentLength < minLength) {
+            const word = this.word();
+            words.push(word);
+            currentLength += word.length + 1; // +1 for space
+        }
+
+        return words.join(' ');
+    }
+
+    /**
+     * 3-10 capitalized words
+     */
+    title() {
+        const wordCount = this.random.nextInt(8) + 3;
+        const words = [];
+        for (let i = 0; i < wordCount; i++) {
+            const word = this.word();
+            words.push(word.charAt(0).toUpperCase() + word.slice(1));
+        }
+        return words.join(' ');
+    }
+
+    /**
+     * Message body with a length drawn from the profile, capped at MAX_MESSAGE_LENGTH
+     */
+    messageText() {
+        const length = Math.round(sampleDistribution(this.random, this.messageLength));
+        return this.text(Math.min(MAX_MESSAGE_LENGTH, Math.max(1, length)));
+    }
+
+    /**
+     * Chat completion config as a JSON document of at least minLength characters,
+     * valid for TEXT as well as JSON/JSONB config columns
+     */
+    config(minLength = 1500) {
+        const tools = TOOL_NAMES.filter(() => this.random.next() < 0.4).map(name => ({
+            type: 'function',
+            name,
+            description: this.text(40)
+        }));
+
+        const config = {
+            model: this.random.pick(MODELS),
+            temperature: Math.round(this.random.next() * 100) / 100,
+            top_p: Math.round((0.5 + this.random.next() * 0.5) * 100) / 100,
+            max_tokens: 256 * (this.random.nextInt(16) + 1),
+            stream: this.random.next() < 0.5,
+            tools,
+            metadata: {
+                session_id: this.random.uuid(),
+                client: 'db-loadtest',
+                retries: this.random.nextInt(3)
+            },
+            system_prompt: ''
+        };
+
+        // Pad with the system prompt to the requested size
+        config.system_prompt = this.text(Math.max(0, minLength - JSON.stringify(config).length));
+        return JSON.stringify(config);
+    }
+
+    /**
+     * Timestamp drawn uniformly from the time span
+     */
+    timestamp() {
+        const start = this.timeSpan.start.getTime();
+        return new Date(start + Math.floor(this.timestampRandom.next() * (this.timeSpan.end.getTime() - start)));
+    }
+
+    message() {
+        const message = {
+            user_id: this.userId(),
+            role: this.role(),
+            title: this.title(),
+            message: this.messageText(),
+            config: this.config(1500)
+        };
+        if (this.timeSpan) {
+            message.timestamp = this.timestamp();
+        }
+        return message;
+    }
+
+    batch(batchSize) {
+        const messages = [];
+        for (let i = 0; i < batchSize; i++) {
+            messages.push(this.message());
+        }
+        return messages;
+    }
+}
+
+// Uniform ASCII generator behind the standalone helpers below
+const defaultGenerator = new DataGenerator();
+
 /**
  * Generate a random string of specified minimum length
  */
 function generateRandomString(minLength = 1500) {
-    const words = [];
-    let currentLength = 0;
-    
-    while (currentLength < minLength) {
-        const word = SAMPLE_WORDS[Math.floor(Math.random() * SAMPLE_WORDS.length)];
-        words.push(word);
-        currentLength += word.length + 1; // +1 for space
-    }
-    
-    return words.join(' ');
+    return defaultGenerator.text(minLength);
 }
 
 /**
  * Generate a random title
  */
 function generateRandomTitle() {
-    const titleWords = [];
-    const wordCount = Math.floor(Math.random() * 8) + 3; // 3-10 words
+    return defaultGenerator.title();
+}
+
+/**
+ * Generate a chat completion config as a JSON document of at least minLength characters
+ */
+function generateConfig(minLength = 1500) {
+    return defaultGenerator.config(minLength);
+}
+
+/**
+ * Generate a time-ordered UUIDv7 (RFC 9562): a 48-bit millisecond timestamp followed by random bits
+ */
+function generateUuidV7(now = Date.now()) {
+    const bytes = crypto.randomBytes(16);
+    bytes.writeUIntBE(now, 0, 6);
+    bytes[6] = (bytes[6] & 0x0f) | 0x70;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
     
-    for (let i = 0; i < wordCount; i++) {
-        titleWords.push(SAMPLE_WORDS[Math.floor(Math.random() * SAMPLE_WORDS.length)]);
+    const hex = bytes.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Generate a client-side primary key of the given UUID version ('uuidv4' or 'uuidv7')
+ */
+function generateId(version) {
+    if (version === 'uuidv7') {
+        return generateUuidV7();
     }
-    
-    return titleWords.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    if (version === 'uuidv4') {
+        return uuidv4();
+    }
+    throw new Error(`Cannot generate ${version} ids client-side`);
 }
 
 /**
  * Generate a random user ID
  */
 function generateUserId(userCount = 1000) {
-    return `user_${Math.floor(Math.random() * userCount) + 1}`;
+    return `user_${defaultGenerator.random.nextInt(userCount) + 1}`;
 }
 
 /**
  * Generate a random role
  */
 function generateRole() {
-    return ROLES[Math.floor(Math.random() * ROLES.length)];
+    return defaultGenerator.role();
 }
 
 /**
  * Generate a single random message record
  */
 function generateMessage(userCount = 1000) {
-    return {
-        user_id: generateUserId(userCount),
-        role: generateRole(),
-        title: generateRandomTitle(),
-        message: generateRandomString(1500),
-        config: generateRandomString(1500)
-    };
+    return { ...defaultGenerator.message(), user_id: generateUserId(userCount) };
 }
 
 /**
@@ -113,11 +415,21 @@ function generateTestConfig(options = {}) {
 }
 
 module.exports = {
+    DataGenerator,
+    DEFAULT_DATA_PROFILE,
+    CONTENT_TYPES,
+    MAX_MESSAGE_LENGTH,
+    parseUserDistribution,
+    resolveDataProfile,
+    describeDataProfile,
     generateMessage,
     generateMessages,
     generateBatch,
     generateRandomString,
     generateRandomTitle,
+    generateConfig,
+    generateUuidV7,
+    generateId,
     generateUserId,
     generateRole,
     getRandomUserId,
@@ -0,0 +1,287 @@
+/**
+ * HDR-style latency histogram with bounded memory and mergeable counts.
+ *
+ * Values are recorded as integer microseconds in log-linear buckets: each
+ * power-of-two range is split into enough linear sub-buckets to keep
+ * `significantDigits` decimal digits of precision. Memory depends only on the
+ * precision and the highest trackable value, never on the number of samples.
+ */
+
+const DEFAULT_SIGNIFICANT_DIGITS = 3;
+
+// Each digit costs about 10x the memory per histogram: ~190 KB at 3 digits, ~2.4 MB at 4. Five would
+// take ~17 MB each, too much for the dozens of histograms a run keeps (per query type, hits and misses, ...).
+const MAX_SIGNIFICANT_DIGITS = 4;
+
+// 2^32 - 1 microseconds (about 71 minutes), so bucket math stays in 32-bit integers
+const HIGHEST_TRACKABLE_VALUE = 0xffffffff;
+
+/**
+ * Percentiles included in summaries and reports
+ */
+const REPORTED_PERCENTILES = [50, 90, 95, 99, 99.9];
+
+class LatencyHistogram {
+    constructor(significantDigits = DEFAULT_SIGNIFICANT_DIGITS) {
+        if (!Number.isInteger(significantDigits) || significantDigits < 1 || significantDigits > MAX_SIGNIFICANT_DIGITS) {
+            throw new Error(`Histogram significant digits must be an integer between 1 and ${MAX_SIGNIFICANT_DIGITS}`);
+        }
+
+        this.significantDigits = significantDigits;
+        this.subBucketCountMagnitude = Math.ceil(Math.log2(2 * Math.pow(10, significantDigits)));
+        this.subBucketCount = Math.pow(2, this.subBucketCountMagnitude);
+        this.subBucketHalfCount = this.subBucketCount / 2;
+        this.subBucketMask = this.subBucketCount - 1;
+
+        const bucketCount = 32 - this.subBucketCountMagnitude + 1;
+        this.counts = new Float64Array((bucketCount + 1) * this.subBucketHalfCount);
+
+        this.totalCount = 0;
+        this.sum = 0;
+        this.minValue = Infinity;
+        this.maxValue = 0;
+    }
+
+    /**
+     * Index into counts for a value in microseconds
+     */
+    countsIndexFor(value) {
+        const bucketIndex = Math.max(0, 32 - this.subBucketCountMagnitude - Math.clz32(value | this.subBucketMask));
+        const subBucketIndex = Math.floor(value / Math.pow(2, bucketIndex));
+        return ((bucketIndex + 1) * this.subBucketHalfCount) + (subBucketIndex - this.subBucketHalfCount);
+    }
+
+    /**
+     * Lowest value (in microseconds) that maps to a counts index
+     */
+    valueFromIndex(index) {
+        let bucketIndex = Math.floor(index / this.subBucketHalfCount) - 1;
+        let subBucketIndex = (index % this.subBucketHalfCount) + this.subBucketHalfCount;
+        if (bucketIndex < 0) {
+            subBucketIndex -= this.subBucketHalfCount;
+            bucketIndex = 0;
+        }
+        return subBucketIndex * Math.pow(2, bucketIndex);
+    }
+
+    /**
+     * Highest value (in microseconds) that maps to the same counts index
+     */
+    highestEquivalentValue(index) {
+        const bucketIndex = Math.max(0, Math.floor(index / this.subBucketHalfCount) - 1);
+        return this.valueFromIndex(index) + Math.pow(2, bucketIndex) - 1;
+    }
+
+    /**
+     * Record a latency given in milliseconds
+     */
+    recordMillis(latencyMs, count = 1) {
+        this.recordMicros(Math.round(latencyMs * 1000), count);
+    }
+
+    /**
+     * Record a latency given in integer microseconds
+     */
+    recordMicros(value, count = 1) {
+        const clamped = Math.min(Math.max(0, Math.round(value)), HIGHEST_TRACKABLE_VALUE);
+
+        this.counts[this.countsIndexFor(clamped)] += count;
+        this.totalCount += count;
+        this.sum += clamped * count;
+        this.minValue = Math.min(this.minValue, clamped);
+        this.maxValue = Math.max(this.maxValue, clamped);
+    }
+
+    /**
+     * Clear all recorded values, keeping the allocated counts
+     */
+    reset() {
+        this.counts.fill(0);
+        this.totalCount = 0;
+        this.sum = 0;
+        this.minValue = Infinity;
+        this.maxValue = 0;
+    }
+
+    /**
+     * Add another histogram's counts into this one
+     */
+    merge(other) {
+        if (other.significantDigits !== this.significantDigits) {
+            throw new Error('Cannot merge histograms with different precision');
+        }
+
+        for (let i = 0; i < other.counts.length; i++) {
+            if (other.counts[i] > 0) {
+                this.counts[i] += other.counts[i];
+            }
+        }
+        this.totalCount += other.totalCount;
+        this.sum += other.sum;
+        this.minValue = Math.min(this.minValue, other.minValue);
+        this.maxValue = Math.max(this.maxValue, other.maxValue);
+        return this;
+    }
+
+    /**
+     * Value in microseconds at or below which `percentile` percent of samples fall
+     */
+    valueAtPercentile(percentile) {
+        if (this.totalCount === 0) {
+            return 0;
+        }
+        if (percentile <= 0) {
+            return this.minValue;
+        }
+
+        const target = Math.max(1, Math.ceil((Math.min(percentile, 100) / 100) * this.totalCount));
+        let cumulative = 0;
+        for (let i = 0; i < this.counts.length; i++) {
+            cumulative += this.counts[i];
+            if (cumulative >= target) {
+                return Math.min(this.highestEquivalentValue(i), this.maxValue);
+            }
+        }
+        return this.maxValue;
+    }
+
+    get count() {
+        return this.totalCount;
+    }
+
+    get min() {
+        return this.totalCount > 0 ? this.minValue : 0;
+    }
+
+    get max() {
+        return this.maxValue;
+    }
+
+    get mean() {
+        return this.totalCount > 0 ? this.sum / this.totalCount : 0;
+    }
+
+    /**
+     * Latency summary in milliseconds (microsecond precision)
+     */
+    summary() {
+        const summary = {
+            count: this.totalCount,
+            min: this.min / 1000,
+            mean: this.mean / 1000,
+            max: this.max / 1000
+        };
+        REPORTED_PERCENTILES.forEach(p => {
+            summary[percentileKey(p)] = this.valueAtPercentile(p) / 1000;
+        });
+        return summary;
+    }
+
+    /**
+     * Non-empty buckets as [lowest value in ms, count] pairs, e.g. for distribution plots
+     */
+    buckets() {
+        const buckets = [];
+        for (let i = 0; i < this.counts.length; i++) {
+            if (this.counts[i] > 0) {
+                buckets.push([this.valueFromIndex(i) / 1000, this.counts[i]]);
+            }
+        }
+        return buckets;
+    }
+
+    /**
+     * Serializable form: summary plus sparse [index, count] pairs
+     */
+    toJSON() {
+        const counts = [];
+        for (let i = 0; i < this.counts.length; i++) {
+            if (this.counts[i] > 0) {
+                counts.push([i, this.counts[i]]);
+            }
+        }
+
+        return {
+            significantDigits: this.significantDigits,
+            unit: 'us',
+            totalCount: this.totalCount,
+            sum: this.sum,
+            min: this.min,
+            max: this.max,
+            summary: this.summary(),
+            counts
+        };
+    }
+
+    /**
+     * Rebuild a histogram from its toJSON() form
+     */
+    static fromJSON(data) {
+        const histogram = new LatencyHistogram(data.significantDigits);
+        data.counts.forEach(([index, count]) => {
+            histogram.counts[index] = count;
+        });
+        histogram.totalCount = data.totalCount;
+        histogram.sum = data.sum;
+        histogram.minValue = data.totalCount > 0 ? data.min : Infinity;
+        histogram.maxValue = data.max;
+        return histogram;
+    }
+}
+
+/**
+ * Summary key for a percentile: 50 -> "p50", 99.9 -> "p999"
+ */
+function percentileKey(percentile) {
+    return `p${String(percentile).replace('.', '')}`;
+}
+
+/**
+ * Latency summary of a histogram, or of its exported toJSON() form
+ */
+function summarize(histogram) {
+    if (!histogram) {
+        return null;
+    }
+    return typeof histogram.summary === 'function' ? histogram.summary() : histogram.summary;
+}
+
+/**
+ * "p50 1.234ms, p90 ..." line for logs, from a histogram or its exported form
+ */
+function formatPercentiles(histogram) {
+    const summary = summarize(histogram);
+
+    return REPORTED_PERCENTILES
+        .map(p => `p${p} ${summary[percentileKey(p)].toFixed(3)}ms`)
+        .concat(`max ${summary.max.toFixed(3)}ms`)
+        .join(', ');
+}
+
+/**
+ * Significant digits from an option value, validated before any histogram is created
+ */
+function resolveSignificantDigits(value = DEFAULT_SIGNIFICANT_DIGITS) {
+    const digits = Number(value);
+    if (!Number.isInteger(digits) || digits < 1 || digits > MAX_SIGNIFICANT_DIGITS) {
+        throw new Error(`Histogram significant digits must be an integer between 1 and ${MAX_SIGNIFICANT_DIGITS}, got ${value}`);
+    }
+    return digits;
+}
+
+/**
+ * Milliseconds elapsed since a process.hrtime.bigint() start value
+ */
+function elapsedMillis(start) {
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+module.exports = LatencyHistogram;
+module.exports.DEFAULT_SIGNIFICANT_DIGITS = DEFAULT_SIGNIFICANT_DIGITS;
+module.exports.MAX_SIGNIFICANT_DIGITS = MAX_SIGNIFICANT_DIGITS;
+module.exports.resolveSignificantDigits = resolveSignificantDigits;
+module.exports.REPORTED_PERCENTILES = REPORTED_PERCENTILES;
+module.exports.percentileKey = percentileKey;
+module.exports.summarize = summarize;
+module.exports.formatPercentiles = formatPercentiles;
+module.exports.elapsedMillis = elapsedMillis;
@@ -0,0 +1,415 @@
+/**
+ * Self-contained HTML report: inline CSS and SVG charts, no external assets,
+ * so the file can be opened offline or attached to a review as-is.
+ */
+
+const { describeWindow } = require('../tests/loadDriver');
+const { percentileKey, REPORTED_PERCENTILES } = require('./histogram');
+const { THROUGHPUT_UNITS, toHistogram, latencyHistogramOf, throughputOf, entryLabel } = require('./results');
+const { SERVER_REPORT_COLUMNS, serverMetricCells } = require('../serverMetrics');
+const { combinePlanSamples } = require('../explain');
+const { CLIENT_REPORT_COLUMNS, clientMetricCells } = require('../clientMetrics');
+
+const COLORS = ['#2f6fb5', '#e0803a', '#3a9d5d', '#b8433f', '#7d5ab5', '#8c6d31', '#d16aa7', '#5f6b73'];
+
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 300;
+const MARGIN = { top: 20, right: 20, bottom: 50, left: 70 };
+
+// Log-spaced bins per decade for latency distribution plots
+const DISTRIBUTION_BINS_PER_DECADE = 12;
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em auto; max-width: 1100px; color: #222; }
+h1 { border-bottom: 2px solid #2f6fb5; padding-bottom: 0.3em; }
+h2 { margin-top: 2em; border-bottom: 1px solid #ccc; padding-bottom: 0.2em; }
+table { border-collapse: collapse; margin: 1em 0; font-size: 0.9em; }
+th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: right; }
+th { background: #f0f4f8; }
+td:first-child, th:first-child { text-align: left; }
+.best { font-weight: bold; color: #3a9d5d; }
+.muted { color: #777; font-size: 0.85em; }
+pre { background: #f6f8fa; padding: 1em; overflow-x: auto; font-size: 0.85em; }
+svg { display: block; margin: 1em 0; }
+svg text { font-size: 11px; fill: #444; }
+.legend span { display: inline-block; margin-right: 1.5em; font-size: 0.85em; }
+.legend i { display: inline-block; width: 12px; height: 12px; margin-right: 4px; vertical-align: middle; }
+`;
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatNumber(value, digits = 2) {
+    return Number(value).toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function renderTable(head, rows) {
+    const header = head.map(cell => `<th>${escapeHtml(cell)}</th>`).join('');
+    const body = rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n');
+    return `<table><thead><tr>${header}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function renderLegend(names) {
+    return `<div class="legend">${names.map((name, i) =>
+        `<span><i style="background:${COLORS[i % COLORS.length]}"></i>${escapeHtml(name)}</span>`).join('')}</div>`;
+}
+
+/**
+ * Round an axis maximum up to 1, 2 or 5 times a power of ten
+ */
+function niceMax(value) {
+    if (!(value > 0)) {
+        return 1;
+    }
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= value);
+    return step * magnitude;
+}
+
+function renderAxes(yMax, yLabel, xLabel) {
+    const plotHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+    const parts = [];
+
+    for (let i = 0; i <= 4; i++) {
+        const y = MARGIN.top + plotHeight - (plotHeight * i) / 4;
+        parts.push(`<line x1="${MARGIN.left}" x2="${CHART_WIDTH - MARGIN.right}" y1="${y}" y2="${y}" stroke="#eee"/>`);
+        parts.push(`<text x="${MARGIN.left - 6}" y="${y + 4}" text-anchor="end">${escapeHtml(formatAxisValue((yMax * i) / 4))}</text>`);
+    }
+    parts.push(`<text transform="translate(14 ${MARGIN.top + plotHeight / 2}) rotate(-90)" text-anchor="middle">${escapeHtml(yLabel)}</text>`);
+    if (xLabel) {
+        parts.push(`<text x="${MARGIN.left + (CHART_WIDTH - MARGIN.left - MARGIN.right) / 2}" y="${CHART_HEIGHT - 8}" text-anchor="middle">${escapeHtml(xLabel)}</text>`);
+    }
+    return parts.join('');
+}
+
+function formatAxisValue(value) {
+    if (value >= 1000) {
+        return value.toLocaleString('en-US', { maximumFractionDigits: 0 });
+    }
+    return value >= 10 ? value.toFixed(0) : value.toFixed(value >= 1 ? 1 : 3);
+}
+
+/**
+ * Grouped bar chart: one group per category, one bar per series
+ */
+function renderBarChart({ categories, series, yLabel }) {
+    const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+    const yMax = niceMax(Math.max(...series.flatMap(item => item.values)));
+    const groupWidth = plotWidth / categories.length;
+    const barWidth = (groupWidth * 0.8) / series.length;
+
+    const bars = [];
+    categories.forEach((category, c) => {
+        series.forEach((item, s) => {
+            const value = item.values[c] || 0;
+            const height = (value / yMax) * plotHeight;
+            const x = MARGIN.left + c * groupWidth + groupWidth * 0.1 + s * barWidth;
+            const y = MARGIN.top + plotHeight - height;
+            bars.push(`<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${(barWidth - 2).toFixed(1)}" height="${height.toFixed(1)}" fill="${COLORS[s % COLORS.length]}"><title>${escapeHtml(`${item.name} ${category}: ${value.toFixed(3)}`)}</title></rect>`);
+        });
+        bars.push(`<text x="${(MARGIN.left + c * groupWidth + groupWidth / 2).toFixed(1)}" y="${MARGIN.top + plotHeight + 16}" text-anchor="middle">${escapeHtml(category)}</text>`);
+    });
+
+    return `<svg width="${CHART_WIDTH}" height="${CHART_HEIGHT}" xmlns="http://www.w3.org/2000/svg">` +
+        renderAxes(yMax, yLabel) + bars.join('') + '</svg>' + renderLegend(series.map(item => item.name));
+}
+
+/**
+ * Line chart of [x, y] points per series, optionally with a logarithmic x axis
+ */
+function renderLineChart({ series, xLabel, yLabel, logX = false }) {
+    const points = series.flatMap(item => item.points);
+    if (points.length === 0) {
+        return '<p class="muted">No data</p>';
+    }
+
+    const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+    const transform = logX ? value => Math.log10(Math.max(value, 1e-3)) : value => value;
+    const xs = points.map(([x]) => transform(x));
+    const xMin = logX ? Math.floor(Math.min(...xs)) : 0;
+    const xMax = logX ? Math.ceil(Math.max(...xs)) : Math.max(...xs);
+    const xSpan = xMax - xMin || 1;
+    const yMax = niceMax(Math.max(...points.map(([, y]) => y)));
+
+    const toX = x => MARGIN.left + ((transform(x) - xMin) / xSpan) * plotWidth;
+    const toY = y => MARGIN.top + plotHeight - (y / yMax) * plotHeight;
+
+    const ticks = [];
+    if (logX) {
+        for (let exponent = xMin; exponent <= xMax; exponent++) {
+            const x = MARGIN.left + ((exponent - xMin) / xSpan) * plotWidth;
+            ticks.push(`<text x="${x.toFixed(1)}" y="${MARGIN.top + plotHeight + 16}" text-anchor="middle">${escapeHtml(formatAxisValue(Math.pow(10, exponent)))}</text>`);
+        }
+    } else {
+        for (let i = 0; i <= 5; i++) {
+            const x = MARGIN.left + (plotWidth * i) / 5;
+            ticks.push(`<text x="${x.toFixed(1)}" y="${MARGIN.top + plotHeight + 16}" text-anchor="middle">${escapeHtml(formatAxisValue((xMax * i) / 5))}</text>`);
+        }
+    }
+
+    const lines = series.map((item, s) => {
+        const path = item.points.map(([x, y]) => `${toX(x).toFixed(1)},${toY(y).toFixed(1)}`).join(' ');
+        return `<polyline points="${path}" fill="none" stroke="${COLORS[s % COLORS.length]}" stroke-width="1.5"><title>${escapeHtml(item.name)}</title></polyline>`;
+    });
+
+    return `<svg width="${CHART_WIDTH}" height="${CHART_HEIGHT}" xmlns="http://www.w3.org/2000/svg">` +
+        renderAxes(yMax, yLabel, xLabel) + ticks.join('') + lines.join('') + '</svg>' +
+        renderLegend(series.map(item => item.name));
+}
+
+/**
+ * Share of operations per log-spaced latency bin, as [bin midpoint in ms, percent] points
+ */
+function distributionPoints(histogram) {
+    const bins = new Map();
+    histogram.buckets().forEach(([valueMs, count]) => {
+        const bin = Math.floor(Math.log10(Math.max(valueMs, 1e-3)) * DISTRIBUTION_BINS_PER_DECADE);
+        bins.set(bin, (bins.get(bin) || 0) + count);
+    });
+
+    return Array.from(bins.keys()).sort((a, b) => a - b).map(bin => [
+        Math.pow(10, (bin + 0.5) / DISTRIBUTION_BINS_PER_DECADE),
+        (bins.get(bin) / histogram.count) * 100
+    ]);
+}
+
+/**
+ * Result entries grouped by test (or scenario phase), each with its databases' results
+ */
+function groupEntries(entries) {
+    const groups = new Map();
+    entries.forEach(entry => {
+        const label = entryLabel(entry);
+        if (!groups.has(label)) {
+            groups.set(label, { label, testType: entry.testType, entries: [] });
+        }
+        groups.get(label).entries.push(entry);
+    });
+    return Array.from(groups.values());
+}
+
+function renderComparisonTable(group) {
+    const unit = THROUGHPUT_UNITS[group.testType] || 'ops/s';
+    const best = Math.max(...group.entries.map(({ testType, results }) => throughputOf(testType, results)));
+
+    const rows = group.entries.map(({ database, testType, results }) => {
+        const histogram = latencyHistogramOf(testType, results);
+        const latency = histogram ? histogram.summary() : null;
+        const throughput = throughputOf(testType, results);
+        const operations = testType === 'write' ? results.totalRecords : testType === 'read' ? results.totalQueries : results.totalOperations;
+
+        return [
+            escapeHtml(database),
+            escapeHtml(results.insertMode || '-'),
+            formatNumber(operations, 0),
+            group.entries.length > 1 && throughput === best ? `<span class="best">${formatNumber(throughput)}</span>` : formatNumber(throughput),
+            ...(latency ? [latency.mean, ...REPORTED_PERCENTILES.map(p => latency[percentileKey(p)]), latency.max] : Array(REPORTED_PERCENTILES.length + 2).fill(0))
+                .map(value => formatNumber(value, 3)),
+            results.errors,
+            `${formatNumber(results.successRate)}%`,
+            escapeHtml(describeWindow(results.window))
+        ];
+    });
+
+    return renderTable([
+        'Database',
+        'Insert Mode',
+        group.testType === 'write' ? 'Records' : group.testType === 'read' ? 'Queries' : 'Operations',
+        unit,
+        'Avg (ms)',
+        ...REPORTED_PERCENTILES.map(p => `P${p} (ms)`),
+        'Max (ms)',
+        'Errors',
+        'Success',
+        'Measured'
+    ], rows);
+}
+
+/**
+ * Per-operation (mixed) or per-query-type (read) breakdown, when a test has one
+ */
+function renderBreakdownTable(group) {
+    const key = group.testType === 'mixed' ? 'operations' : 'queryTypes';
+    const rows = [];
+
+    group.entries.forEach(({ database, results }) => {
+        Object.entries(results[key] || {}).forEach(([name, stats]) => {
+            const latency = toHistogram(stats.latencyHistogram).summary();
+            rows.push([
+                escapeHtml(name),
+                escapeHtml(database),
+                stats.weight,
+                formatNumber(stats.count, 0),
+                formatNumber(stats.throughput !== undefined ? stats.throughput : stats.qps),
+                formatNumber(latency.mean, 3),
+                formatNumber(latency.p50, 3),
+                formatNumber(latency.p99, 3),
+                stats.errors
+            ]);
+        });
+    });
+
+    // A read test running only the default query type has nothing to break down
+    if (rows.length === 0 || (group.testType === 'read' && rows.every(row => row[0] === 'latest'))) {
+        return '';
+    }
+    return renderTable(['Operation', 'Database', 'Weight', 'Count', 'Per second', 'Avg (ms)', 'P50 (ms)', 'P99 (ms)', 'Errors'], rows);
+}
+
+/**
+ * Server-side counter deltas over the whole run next to measured throughput, when the adapters captured them
+ */
+function renderServerTable(group) {
+    const entries = group.entries.filter(({ results }) => results.server);
+    if (entries.length === 0) {
+        return '';
+    }
+
+    const rows = entries.map(({ database, testType, results }) => [
+        escapeHtml(database),
+        formatNumber(throughputOf(testType, results)),
+        ...serverMetricCells(results.server).map(escapeHtml)
+    ]);
+    return '<h3>Server metrics (whole run, warmup and cooldown included)</h3>\n' +
+        renderTable(['Database', `Measured ${THROUGHPUT_UNITS[group.testType] || 'ops/s'}`, ...SERVER_REPORT_COLUMNS.map(column => column.label)], rows);
+}
+
+/**
+ * The load generator's own CPU, event loop, GC and heap, flagging saturated runs
+ */
+function renderClientTable(group) {
+    const entries = group.entries.filter(({ results }) => results.client);
+    if (entries.length === 0) {
+        return '';
+    }
+
+    const rows = entries.map(({ database, results }) => [
+        escapeHtml(database),
+        ...clientMetricCells(results.client).map(escapeHtml),
+        results.client.saturated ? `<strong>Saturated:</strong> ${escapeHtml(results.client.saturation.join(', '))}` : 'OK'
+    ]);
+    return '<h3>Load generator</h3>\n' +
+        renderTable(['Database', ...CLIENT_REPORT_COLUMNS.map(column => column.label), 'Status'], rows);
+}
+
+/**
+ * Index usage and estimated vs actual rows of the statements explained with --explain
+ */
+function renderPlanTable(group) {
+    const rows = [];
+    group.entries.forEach(({ database, results }) => {
+        (results.plans || []).forEach(({ query, calls, samples }) => {
+            const combined = combinePlanSamples(samples);
+            const worst = combined && combined.worstEstimate;
+            rows.push([
+                escapeHtml(database),
+                `<code>${escapeHtml(query)}</code>`,
+                formatNumber(calls, 0),
+                combined ? escapeHtml(combined.indexes.join(', ') || 'none') : '-',
+                combined ? escapeHtml(combined.fullScans.join(', ') || '-') : '-',
+                combined ? escapeHtml(combined.rows.join(', ')) : escapeHtml(samples.length > 0 ? samples[0].error : 'no samples'),
+                combined && combined.executionTimeMs !== null ? formatNumber(combined.executionTimeMs, 3) : '-',
+                worst ? escapeHtml(`${worst.node} ${worst.estimated}/${worst.actual}`) : '-'
+            ]);
+        });
+    });
+
+    if (rows.length === 0) {
+        return '';
+    }
+    return '<h3>Query plans</h3>\n' +
+        renderTable(['Database', 'Query', 'Calls', 'Indexes', 'Full scans', 'Est/actual rows', 'Exec (ms)', 'Worst estimate'], rows);
+}
+
+function renderGroup(group) {
+    const histograms = group.entries
+        .map(entry => ({ name: entry.database, histogram: latencyHistogramOf(entry.testType, entry.results) }))
+        .filter(item => item.histogram && item.histogram.count > 0);
+
+    const sections = [`<h2>${escapeHtml(group.label)}</h2>`, renderComparisonTable(group), renderBreakdownTable(group), renderServerTable(group), renderClientTable(group), renderPlanTable(group)];
+
+    if (histograms.length > 0) {
+        sections.push('<h3>Latency percentiles</h3>');
+        sections.push(renderBarChart({
+            categories: [...REPORTED_PERCENTILES.map(p => `P${p}`), 'Max'],
+            series: histograms.map(({ name, histogram }) => {
+                const summary = histogram.summary();
+                return { name, values: [...REPORTED_PERCENTILES.map(p => summary[percentileKey(p)]), summary.max] };
+            }),
+            yLabel: 'Latency (ms)'
+        }));
+
+        sections.push('<h3>Latency distribution</h3>');
+        sections.push(renderLineChart({
+            series: histograms.map(({ name, histogram }) => ({ name, points: distributionPoints(histogram) })),
+            xLabel: 'Latency (ms, log scale)',
+            yLabel: '% of operations',
+            logX: true
+        }));
+    }
+
+    const timelines = group.entries.filter(({ results }) => results.timeline && results.timeline.buckets.length > 0);
+    if (timelines.length > 0) {
+        sections.push('<h3>Throughput over time</h3>');
+        sections.push(renderLineChart({
+            series: timelines.map(({ database, results }) => ({
+                name: database,
+                points: results.timeline.buckets
+                    .filter(bucket => bucket.durationMs > 0)
+                    .map(bucket => [(bucket.offsetMs + bucket.durationMs) / 1000, bucket.throughput])
+            })),
+            xLabel: 'Seconds into the measured window',
+            yLabel: group.testType === 'write' ? 'Batches per second' : 'Operations per second'
+        }));
+    }
+
+    return sections.join('\n');
+}
+
+/**
+ * Render the complete report as one HTML document
+ */
+function renderHtmlReport({ entries, config = null, generatedAt = new Date().toISOString(), title = 'Database Performance Comparison' }) {
+    const databases = [...new Set(entries.map(entry => entry.database))];
+    const body = [
+        `<h1>${escapeHtml(title)}</h1>`,
+        `<p class="muted">Generated at ${escapeHtml(generatedAt)} &middot; Databases: ${escapeHtml(databases.join(', '))}</p>`
+    ];
+
+    if (config) {
+        body.push('<h2>Configuration</h2>');
+        body.push(`<pre>${escapeHtml(JSON.stringify(config, null, 2))}</pre>`);
+    }
+
+    if (entries.length === 0) {
+        body.push('<p>No results recorded.</p>');
+    }
+    groupEntries(entries).forEach(group => body.push(renderGroup(group)));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    renderHtmlReport,
+    renderBarChart,
+    renderLineChart,
+    escapeHtml
+};
@@ -0,0 +1,225 @@
+/**
+ * Seedable pseudo-random number generation and distribution sampling
+ */
+
+/**
+ * Hash a string or number seed into a 32-bit unsigned integer (FNV-1a)
+ */
+function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isInteger(seed)) {
+        return seed >>> 0;
+    }
+
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Seed given on the command line or in a scenario: integers become numbers, anything else stays a string
+ */
+function parseSeed(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    return /^\d+$/.test(String(value)) && Number.isSafeInteger(Number(value)) ? Number(value) : String(value);
+}
+
+/**
+ * Fresh 32-bit seed for runs without one, recorded so they can be reproduced
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Small, fast seeded PRNG (mulberry32).
+ * Without a seed it draws its state from Math.random().
+ */
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed === undefined || seed === null ? null : seed;
+        this.state = this.seed === null ? Math.floor(Math.random() * 0x100000000) >>> 0 : hashSeed(this.seed);
+    }
+
+    /**
+     * Uniform float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Uniform integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Standard normal sample (Box-Muller)
+     */
+    nextGaussian() {
+        let u = 0;
+        while (u === 0) {
+            u = this.next();
+        }
+        const v = this.next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Pick a random element of an array
+     */
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * Pick a key of a { key: weight } mapping with probability proportional to its weight
+     */
+    pickWeighted(weights) {
+        const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+        let roll = this.next() * total;
+        for (const [key, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) {
+                return key;
+            }
+        }
+        return entries[entries.length - 1][0];
+    }
+
+    /**
+     * Derive an independent generator, e.g. one per worker or data stream
+     */
+    fork(label) {
+        return new SeededRandom(this.seed === null ? undefined : `${this.seed}:${label}`);
+    }
+
+    /**
+     * Random RFC 4122 version 4 UUID drawn from this generator
+     */
+    uuid() {
+        const bytes = [];
+        for (let i = 0; i < 16; i++) {
+            bytes.push(this.nextInt(256));
+        }
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+        const hex = bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+}
+
+/**
+ * Parse a distribution spec such as "fixed:2", "uniform:1:5", "normal:10:2",
+ * "lognormal:2:0.5" (median, sigma) or "exponential:3" (mean).
+ * A bare number is treated as fixed.
+ */
+function parseDistribution(spec) {
+    if (typeof spec === 'number') {
+        return { type: 'fixed', params: [spec] };
+    }
+
+    const [type, ...rawParams] = String(spec).split(':');
+    if (rawParams.length === 0 && !isNaN(parseFloat(type))) {
+        return { type: 'fixed', params: [parseFloat(type)] };
+    }
+
+    const params = rawParams.map(p => parseFloat(p));
+    if (params.some(isNaN)) {
+        throw new Error(`Invalid distribution parameters in "${spec}"`);
+    }
+
+    const arity = { fixed: 1, uniform: 2, normal: 2, lognormal: 2, exponential: 1 };
+    if (!(type in arity)) {
+        throw new Error(`Unknown distribution "${type}" (expected ${Object.keys(arity).join(', ')})`);
+    }
+    if (params.length !== arity[type]) {
+        throw new Error(`Distribution "${type}" expects ${arity[type]} parameter(s), got "${spec}"`);
+    }
+
+    return { type, params };
+}
+
+/**
+ * Draw a non-negative sample from a parsed distribution
+ */
+function sampleDistribution(random, distribution) {
+    const [a, b] = distribution.params;
+    let value;
+
+    switch (distribution.type) {
+        case 'fixed':
+            value = a;
+            break;
+        case 'uniform':
+            value = a + random.next() * (b - a);
+            break;
+        case 'normal':
+            value = a + random.nextGaussian() * b;
+            break;
+        case 'lognormal':
+            value = a * Math.exp(random.nextGaussian() * b);
+            break;
+        case 'exponential':
+            value = -a * Math.log(1 - random.next());
+            break;
+        default:
+            throw new Error(`Unknown distribution "${distribution.type}"`);
+    }
+
+    return Math.max(0, value);
+}
+
+/**
+ * Parse a "name=weight,name=weight" spec (or a { name: weight } mapping) into
+ * { name: weight }, accepting only the given names
+ */
+function parseWeights(spec, allowed, label = 'operation') {
+    const entries = spec && typeof spec === 'object'
+        ? Object.entries(spec).map(([name, weight]) => [name, String(weight)])
+        : String(spec).split(',').map(part => part.trim()).filter(Boolean).map(part => part.split('=').map(item => item.trim()));
+
+    const weights = {};
+    entries.forEach(([name, rawWeight]) => {
+        const weight = parseFloat(rawWeight);
+
+        if (!allowed.includes(name)) {
+            throw new Error(`Unknown ${label}: ${name} (expected ${allowed.join(', ')})`);
+        }
+        if (isNaN(weight) || weight < 0) {
+            throw new Error(`Invalid weight for ${name}: ${rawWeight}`);
+        }
+        weights[name] = weight;
+    });
+
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    if (total <= 0) {
+        throw new Error(`At least one ${label} needs a positive weight`);
+    }
+
+    return weights;
+}
+
+module.exports = {
+    SeededRandom,
+    hashSeed,
+    parseSeed,
+    randomSeed,
+    parseDistribution,
+    sampleDistribution,
+    parseWeights
+};
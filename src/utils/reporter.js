@@ -1,5 +1,31 @@
+const fs = require('fs');
+const path = require('path');
 const Table = require('cli-table3');
 const chalk = require('chalk');
+const { describeWindow, describeSchedule } = require('../tests/loadDriver');
+const { summarize, percentileKey, REPORTED_PERCENTILES } = require('./histogram');
+const { timelineStability } = require('./timeline');
+const {
+    THROUGHPUT_UNITS,
+    latencyHistogramOf,
+    throughputOf,
+    repeatStatistics,
+    parseThreshold,
+    evaluateThresholds,
+    entryLabel
+} = require('./results');
+const { renderHtmlReport } = require('./htmlReport');
+const { mean, welchTTest, DEFAULT_CONFIDENCE } = require('./statistics');
+const { formatBytes } = require('../schema');
+const { SERVER_REPORT_COLUMNS, serverMetricCells } = require('../serverMetrics');
+const { combinePlanSamples } = require('../explain');
+const { CLIENT_REPORT_COLUMNS, clientMetricCells } = require('../clientMetrics');
+
+// Statements listed per result under the server metrics table
+const REPORTED_STATEMENTS = 3;
+
+// Row estimates off by more than this factor are highlighted in the query plan table
+const MISESTIMATE_FACTOR = 10;
 
 /**
  * Performance reporting utilities
@@ -7,16 +33,123 @@ const chalk = require('chalk');
 class PerformanceReporter {
     constructor() {
         this.results = {};
+        this.phases = [];
+        this.config = null;
+        this.servers = {};
+        this.thresholds = [];
     }
 
     /**
-     * Add test results for a database
+     * Record the run configuration included in exports
      */
-    addResults(dbName, testType, results) {
+    setConfig(config) {
+        this.config = config;
+    }
+
+    /**
+     * Record the server version and settings of a connected database, included in exports.
+     * Adapters without getServerInfo() or a failing lookup only produce a warning.
+     */
+    async recordServerInfo(dbName, db) {
+        if (typeof db.getServerInfo !== 'function') {
+            return;
+        }
+        
+        try {
+            this.servers[dbName] = await db.getServerInfo();
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️  Could not read ${dbName} server metadata: ${error.message}`));
+        }
+    }
+
+    /**
+     * Add test results for a database.
+     * Results from a scenario phase are tagged with the phase name and also kept
+     * in run order, since a scenario may run several phases of one test type.
+     */
+    addResults(dbName, testType, results, phase = null) {
         if (!this.results[dbName]) {
             this.results[dbName] = {};
         }
         this.results[dbName][testType] = results;
+        
+        if (phase) {
+            results.phase = phase;
+            this.phases.push({ database: dbName, phase, testType, results });
+        }
+    }
+
+    /**
+     * Add the results of a test run several times. The run with the median
+     * throughput stands in for the test in tables and exports, with statistics
+     * across every run attached as `repeat`.
+     */
+    addRepeatedResults(dbName, testType, runs, confidence = DEFAULT_CONFIDENCE) {
+        if (runs.length === 1) {
+            this.addResults(dbName, testType, runs[0]);
+            return;
+        }
+        
+        const ordered = [...runs].sort((a, b) => throughputOf(testType, a) - throughputOf(testType, b));
+        const representative = ordered[Math.floor((ordered.length - 1) / 2)];
+        representative.repeat = repeatStatistics(testType, runs, confidence);
+        this.addResults(dbName, testType, representative);
+    }
+
+    /**
+     * Every recorded test result as { database, phase, testType, results }, in run order for scenarios
+     */
+    resultEntries() {
+        if (this.phases.length > 0) {
+            return this.phases;
+        }
+        return Object.entries(this.results).flatMap(([database, tests]) =>
+            Object.entries(tests).map(([testType, results]) => ({ database, phase: null, testType, results })));
+    }
+
+    /**
+     * Generate a per-phase summary of scenario results
+     */
+    generatePhaseSummary() {
+        if (this.phases.length === 0) {
+            return;
+        }
+
+        console.log(chalk.bold.blue('\n🧭 SCENARIO PHASE SUMMARY'));
+        console.log('='.repeat(60));
+
+        const table = new Table({
+            head: [
+                chalk.cyan('Phase'),
+                chalk.cyan('Database'),
+                chalk.cyan('Type'),
+                chalk.cyan('Throughput (/s)'),
+                chalk.cyan('Avg (ms)'),
+                chalk.cyan('P99 (ms)'),
+                chalk.cyan('Errors'),
+                chalk.cyan('Measured')
+            ],
+            colWidths: [20, 12, 8, 17, 12, 12, 8, 14]
+        });
+
+        this.phases.forEach(({ database, phase, testType, results }) => {
+            // Mixed results combine their per-operation histograms for an overall view
+            const histogram = latencyHistogramOf(testType, results);
+            const latency = histogram ? histogram.summary() : { mean: 0, p99: 0 };
+
+            table.push([
+                phase,
+                database,
+                testType,
+                throughputOf(testType, results).toFixed(2),
+                latency.mean.toFixed(3),
+                latency.p99.toFixed(3),
+                results.errors,
+                `${(results.totalTime / 1000).toFixed(2)}s`
+            ]);
+        });
+
+        console.log(table.toString());
     }
 
     /**
@@ -35,6 +168,7 @@ class PerformanceReporter {
         const table = new Table({
             head: [
                 chalk.cyan('Database'),
+                chalk.cyan('Insert Mode'),
                 chalk.cyan('Total Records'),
                 chalk.cyan('Total Time (ms)'),
                 chalk.cyan('TPS'),
@@ -44,43 +178,32 @@ class PerformanceReporter {
                 chalk.cyan('Errors'),
                 chalk.cyan('Success Rate (%)')
             ],
-            colWidths: [12, 15, 15, 12, 18, 18, 18, 8, 16]
+            colWidths: [12, 14, 15, 15, 12, 18, 18, 18, 8, 16]
         });
 
-        let bestTPS = 0;
-        let bestDatabase = '';
-
         databases.forEach(dbName => {
             const writeResults = this.results[dbName].write;
             if (writeResults) {
-                const successRate = writeResults.batches ? 
-                    ((writeResults.batches.filter(b => b.success).length / writeResults.batches.length) * 100).toFixed(2) : 
-                    '0.00';
+                const successRate = writeResults.successRate.toFixed(2);
 
                 table.push([
                     dbName,
+                    writeResults.insertMode || '-',
                     writeResults.totalRecords.toLocaleString(),
                     writeResults.totalTime.toLocaleString(),
                     writeResults.tps.toFixed(2),
-                    writeResults.avgLatency.toFixed(2),
-                    writeResults.minLatency,
-                    writeResults.maxLatency,
+                    writeResults.avgLatency.toFixed(3),
+                    writeResults.minLatency.toFixed(3),
+                    writeResults.maxLatency.toFixed(3),
                     writeResults.errors,
                     successRate
                 ]);
-
-                if (writeResults.tps > bestTPS) {
-                    bestTPS = writeResults.tps;
-                    bestDatabase = dbName;
-                }
             }
         });
 
         console.log(table.toString());
-        
-        if (bestDatabase) {
-            console.log(chalk.green.bold(`🏆 Best Write Performance: ${bestDatabase} with ${bestTPS.toFixed(2)} TPS`));
-        }
+        this.printMeasuredWindows('write');
+        this.printWinner('write', 'Write');
     }
 
     /**
@@ -113,15 +236,10 @@ class PerformanceReporter {
             colWidths: [12, 14, 14, 15, 10, 18, 18, 18, 18, 8, 16]
         });
 
-        let bestQPS = 0;
-        let bestDatabase = '';
-
         databases.forEach(dbName => {
             const readResults = this.results[dbName].read;
             if (readResults) {
-                const successRate = readResults.queries ? 
-                    ((readResults.queries.filter(q => q.success).length / readResults.queries.length) * 100).toFixed(2) : 
-                    '0.00';
+                const successRate = readResults.successRate.toFixed(2);
 
                 table.push([
                     dbName,
@@ -129,26 +247,267 @@ class PerformanceReporter {
                     readResults.totalRecordsRead.toLocaleString(),
                     readResults.totalTime.toLocaleString(),
                     readResults.qps.toFixed(2),
-                    readResults.avgLatency.toFixed(2),
-                    readResults.minLatency,
-                    readResults.maxLatency,
+                    readResults.avgLatency.toFixed(3),
+                    readResults.minLatency.toFixed(3),
+                    readResults.maxLatency.toFixed(3),
                     readResults.avgRecordsPerQuery.toFixed(2),
                     readResults.errors,
                     successRate
                 ]);
+            }
+        });
 
-                if (readResults.qps > bestQPS) {
-                    bestQPS = readResults.qps;
-                    bestDatabase = dbName;
-                }
+        console.log(table.toString());
+        this.printMeasuredWindows('read');
+        this.printQueryTypeBreakdown(databases);
+        this.printWinner('read', 'Read');
+    }
+
+    /**
+     * Announce the database with the best throughput for a test type. With repeated
+     * runs a winner is only declared when Welch's t-test finds its lead over the
+     * runner-up significant at the runs' confidence level.
+     */
+    printWinner(testType, label) {
+        const unit = THROUGHPUT_UNITS[testType];
+        const candidates = Object.entries(this.results)
+            .filter(([, tests]) => tests[testType])
+            .map(([database, tests]) => {
+                const results = tests[testType];
+                const samples = results.repeat && results.repeat.metrics.throughput ? results.repeat.metrics.throughput.values : null;
+                return { database, results, samples, throughput: samples ? mean(samples) : throughputOf(testType, results) };
+            })
+            .sort((a, b) => b.throughput - a.throughput);
+        if (candidates.length === 0) {
+            return;
+        }
+
+        const saturated = candidates.filter(({ results }) => results.client && results.client.saturated);
+        if (saturated.length > 0) {
+            console.log(chalk.yellow.bold(`⚠️  Load generator saturated during the ${saturated.map(({ database }) => database).join(', ')} ${label.toLowerCase()} run, ` +
+                'so this comparison may reflect the client rather than the databases'));
+        }
+
+        const [best, runnerUp] = candidates;
+        const repeated = runnerUp && [best, runnerUp].every(({ samples }) => samples && samples.length > 1);
+        if (!repeated) {
+            console.log(chalk.green.bold(`🏆 Best ${label} Performance: ${best.database} with ${best.throughput.toFixed(2)} ${unit}`));
+            if (runnerUp) {
+                console.log(chalk.gray('   Single run, not tested for significance (use --repeat)'));
             }
+            return;
+        }
+
+        const confidence = best.results.repeat.confidence;
+        const { pValue } = welchTTest(best.samples, runnerUp.samples);
+        const detail = `${best.database} ${best.throughput.toFixed(2)} vs ${runnerUp.database} ${runnerUp.throughput.toFixed(2)} ` +
+            `mean ${unit}, p = ${pValue.toFixed(4)} (Welch's t-test)`;
+
+        if (pValue < 1 - confidence / 100) {
+            console.log(chalk.green.bold(`🏆 Best ${label} Performance: ${best.database} with ${best.throughput.toFixed(2)} ${unit} (mean of ${best.samples.length} runs)`));
+            console.log(chalk.gray(`   Significant at ${confidence}% confidence: ${detail}`));
+        } else {
+            console.log(chalk.yellow.bold(`🤝 No significant ${label.toLowerCase()} performance difference at ${confidence}% confidence`));
+            console.log(chalk.gray(`   ${detail}`));
+        }
+    }
+
+    /**
+     * Per-query-type latency and rows for read tests that ran a query mix, deliberate misses or had empty results
+     */
+    printQueryTypeBreakdown(databases) {
+        const withTypes = databases.filter(dbName => {
+            const readResults = this.results[dbName].read;
+            return readResults && readResults.queryTypes &&
+                (Object.keys(readResults.queryTypes).some(type => type !== 'latest') || readResults.misses > 0 || readResults.emptyRate > 0);
+        });
+        if (withTypes.length === 0) {
+            return;
+        }
+
+        const table = new Table({
+            head: [
+                chalk.cyan('Query Type'),
+                chalk.cyan('Database'),
+                chalk.cyan('Weight'),
+                chalk.cyan('Queries'),
+                chalk.cyan('QPS'),
+                chalk.cyan('Avg Rows'),
+                chalk.cyan('Empty (%)'),
+                chalk.cyan('Misses'),
+                chalk.cyan('Avg (ms)'),
+                chalk.cyan('P50 (ms)'),
+                chalk.cyan('P95 (ms)'),
+                chalk.cyan('P99 (ms)'),
+                chalk.cyan('Errors')
+            ],
+            colWidths: [14, 12, 8, 10, 12, 10, 11, 9, 10, 10, 10, 10, 8]
+        });
+
+        const queryTypes = [...new Set(withTypes.flatMap(dbName => Object.keys(this.results[dbName].read.queryTypes)))];
+        queryTypes.forEach(queryType => {
+            withTypes.forEach(dbName => {
+                const stats = this.results[dbName].read.queryTypes[queryType];
+                if (!stats) {
+                    return;
+                }
+                const latency = summarize(stats.latencyHistogram);
+                table.push([
+                    queryType,
+                    dbName,
+                    stats.weight,
+                    stats.count.toLocaleString(),
+                    stats.qps.toFixed(2),
+                    stats.avgRows.toFixed(2),
+                    queryEmptyRate(stats).toFixed(2),
+                    (stats.misses || 0).toLocaleString(),
+                    latency.mean.toFixed(3),
+                    latency.p50.toFixed(3),
+                    latency.p95.toFixed(3),
+                    latency.p99.toFixed(3),
+                    stats.errors
+                ]);
+            });
         });
 
+        console.log(chalk.bold('\nPer query type:'));
         console.log(table.toString());
-        
-        if (bestDatabase) {
-            console.log(chalk.green.bold(`🏆 Best Read Performance: ${bestDatabase} with ${bestQPS.toFixed(2)} QPS`));
+        console.log(chalk.gray('Empty (%) counts only queries expected to find rows; deliberate misses are excluded'));
+
+        this.printHitMissLatency(withTypes);
+    }
+
+    /**
+     * Latency of queries expected to find rows next to deliberate misses, per query type
+     */
+    printHitMissLatency(databases) {
+        const rows = [];
+        databases.forEach(dbName => {
+            Object.entries(this.results[dbName].read.queryTypes).forEach(([queryType, stats]) => {
+                if (!stats.misses) {
+                    return;
+                }
+                [['hit', stats.hitLatencyHistogram, stats.count - stats.misses], ['miss', stats.missLatencyHistogram, stats.misses]].forEach(([kind, histogram, count]) => {
+                    const latency = summarize(histogram);
+                    rows.push([queryType, dbName, kind, count.toLocaleString(), latency.mean.toFixed(3), latency.p50.toFixed(3), latency.p95.toFixed(3), latency.p99.toFixed(3)]);
+                });
+            });
+        });
+        if (rows.length === 0) {
+            return;
         }
+
+        const table = new Table({
+            head: [
+                chalk.cyan('Query Type'),
+                chalk.cyan('Database'),
+                chalk.cyan('Target'),
+                chalk.cyan('Queries'),
+                chalk.cyan('Avg (ms)'),
+                chalk.cyan('P50 (ms)'),
+                chalk.cyan('P95 (ms)'),
+                chalk.cyan('P99 (ms)')
+            ]
+        });
+        rows.forEach(row => table.push(row));
+
+        console.log(chalk.bold('\nHits vs deliberate misses:'));
+        console.log(table.toString());
+    }
+
+    /**
+     * Generate side-by-side comparison of mixed workload results, per operation type
+     */
+    generateMixedComparison() {
+        const databases = Object.keys(this.results).filter(dbName => this.results[dbName].mixed);
+        if (databases.length === 0) {
+            return;
+        }
+
+        console.log(chalk.bold.blue('\n🔀 MIXED WORKLOAD COMPARISON'));
+        console.log('='.repeat(60));
+
+        const table = new Table({
+            head: [
+                chalk.cyan('Operation'),
+                chalk.cyan('Database'),
+                chalk.cyan('Weight'),
+                chalk.cyan('Ops'),
+                chalk.cyan('Ops/sec'),
+                chalk.cyan('Avg (ms)'),
+                chalk.cyan('P50 (ms)'),
+                chalk.cyan('P95 (ms)'),
+                chalk.cyan('P99 (ms)'),
+                chalk.cyan('Errors')
+            ],
+            colWidths: [20, 12, 8, 10, 12, 12, 12, 12, 12, 8]
+        });
+
+        // Group rows by operation so each database's numbers sit next to each other
+        const operations = [...new Set(databases.flatMap(dbName => Object.keys(this.results[dbName].mixed.operations)))];
+        operations.forEach(operation => {
+            databases.forEach(dbName => {
+                const stats = this.results[dbName].mixed.operations[operation];
+                if (!stats) {
+                    return;
+                }
+                const latency = summarize(stats.latencyHistogram);
+                table.push([
+                    operation,
+                    dbName,
+                    stats.weight,
+                    stats.count.toLocaleString(),
+                    stats.throughput.toFixed(2),
+                    latency.mean.toFixed(3),
+                    latency.p50.toFixed(3),
+                    latency.p95.toFixed(3),
+                    latency.p99.toFixed(3),
+                    stats.errors
+                ]);
+            });
+        });
+
+        console.log(table.toString());
+        this.printMeasuredWindows('mixed');
+
+        // Open-loop runs: latency above includes queue delay, service time does not
+        operations.forEach(operation => {
+            databases.forEach(dbName => {
+                const stats = this.results[dbName].mixed.operations[operation];
+                const service = stats ? summarize(stats.serviceLatencyHistogram) : null;
+                if (!service || service.count === 0) {
+                    return;
+                }
+                const latency = summarize(stats.latencyHistogram);
+                console.log(chalk.gray(`  ${dbName} ${operation} service time (excluding queue delay): ` +
+                    `P50 ${service.p50.toFixed(3)}ms, P99 ${service.p99.toFixed(3)}ms, Max ${service.max.toFixed(3)}ms; ` +
+                    `queue delay adds ${(latency.p99 - service.p99).toFixed(3)}ms at P99`));
+            });
+        });
+
+        databases.forEach(dbName => {
+            const mixedResults = this.results[dbName].mixed;
+            console.log(chalk.white(`  ${dbName} total: ${mixedResults.opsPerSecond.toFixed(2)} ops/sec, ${mixedResults.successRate.toFixed(2)}% success`));
+        });
+    }
+
+    /**
+     * Print the measured window (and open-loop schedule adherence) each database's results were taken from
+     */
+    printMeasuredWindows(testType) {
+        Object.keys(this.results).forEach(dbName => {
+            const testResults = this.results[dbName][testType];
+            if (testResults) {
+                console.log(chalk.gray(`  ${dbName} measured window: ${describeWindow(testResults.window)}`));
+                
+                const schedule = describeSchedule(testResults.window);
+                if (schedule) {
+                    const missed = testResults.window.schedule.missedSchedule;
+                    const color = missed > 0 ? chalk.yellow : chalk.gray;
+                    console.log(color(`  ${dbName} open-loop schedule: ${schedule}`));
+                }
+            }
+        });
     }
 
     /**
@@ -165,15 +524,20 @@ class PerformanceReporter {
             
             const writeResults = this.results[dbName].write;
             const readResults = this.results[dbName].read;
+            const mixedResults = this.results[dbName].mixed;
             
             if (writeResults) {
-                console.log(chalk.green(`  Write TPS: ${writeResults.tps.toFixed(2)}`));
-                console.log(chalk.green(`  Write Avg Latency: ${writeResults.avgLatency.toFixed(2)}ms`));
+                console.log(chalk.green(`  Write TPS: ${writeResults.tps.toFixed(2)} (${writeResults.insertMode || 'unknown'} inserts)`));
+                console.log(chalk.green(`  Write Avg Latency: ${writeResults.avgLatency.toFixed(3)}ms`));
             }
             
             if (readResults) {
                 console.log(chalk.blue(`  Read QPS: ${readResults.qps.toFixed(2)}`));
-                console.log(chalk.blue(`  Read Avg Latency: ${readResults.avgLatency.toFixed(2)}ms`));
+                console.log(chalk.blue(`  Read Avg Latency: ${readResults.avgLatency.toFixed(3)}ms`));
+            }
+            
+            if (mixedResults) {
+                console.log(chalk.magenta(`  Mixed Ops/sec: ${mixedResults.opsPerSecond.toFixed(2)}`));
             }
         });
 
@@ -214,41 +578,357 @@ class PerformanceReporter {
             const writeResults = this.results[dbName].write;
             const readResults = this.results[dbName].read;
             
-            if (writeResults && writeResults.batches) {
-                const latencies = writeResults.batches.filter(b => b.success).map(b => b.latency);
-                if (latencies.length > 0) {
-                    latencies.sort((a, b) => a - b);
-                    const p50 = latencies[Math.floor(latencies.length * 0.5)];
-                    const p95 = latencies[Math.floor(latencies.length * 0.95)];
-                    const p99 = latencies[Math.floor(latencies.length * 0.99)];
-                    
-                    console.log(chalk.green('  Write Latency Percentiles:'));
-                    console.log(chalk.green(`    P50: ${p50}ms`));
-                    console.log(chalk.green(`    P95: ${p95}ms`));
-                    console.log(chalk.green(`    P99: ${p99}ms`));
-                }
+            if (writeResults) {
+                this.printLatencyPercentiles('Write', writeResults, chalk.green);
             }
             
-            if (readResults && readResults.queries) {
-                const latencies = readResults.queries.filter(q => q.success).map(q => q.latency);
-                if (latencies.length > 0) {
-                    latencies.sort((a, b) => a - b);
-                    const p50 = latencies[Math.floor(latencies.length * 0.5)];
-                    const p95 = latencies[Math.floor(latencies.length * 0.95)];
-                    const p99 = latencies[Math.floor(latencies.length * 0.99)];
-                    
-                    console.log(chalk.blue('  Read Latency Percentiles:'));
-                    console.log(chalk.blue(`    P50: ${p50}ms`));
-                    console.log(chalk.blue(`    P95: ${p95}ms`));
-                    console.log(chalk.blue(`    P99: ${p99}ms`));
-                }
+            if (readResults) {
+                this.printLatencyPercentiles('Read', readResults, chalk.blue);
             }
         });
     }
 
+    /**
+     * Print latency percentiles (microsecond precision) for one test's results
+     */
+    printLatencyPercentiles(label, testResults, color) {
+        const latency = summarize(testResults.latencyHistogram);
+        if (!latency || latency.count === 0) {
+            return;
+        }
+        
+        console.log(color(`  ${label} Latency Percentiles:`));
+        REPORTED_PERCENTILES.forEach(p => {
+            console.log(color(`    P${p}: ${latency[percentileKey(p)].toFixed(3)}ms`));
+        });
+        console.log(color(`    Max: ${latency.max.toFixed(3)}ms`));
+        
+        // Open-loop runs: show how much of the latency was queueing
+        const service = summarize(testResults.serviceLatencyHistogram);
+        if (service && service.count > 0) {
+            console.log(color(`  ${label} Service Time (excluding queue delay):`));
+            console.log(color(`    P50: ${service.p50.toFixed(3)}ms, P99: ${service.p99.toFixed(3)}ms, Max: ${service.max.toFixed(3)}ms`));
+        }
+    }
+
     /**
      * Generate complete performance report
      */
+    /**
+     * Throughput stability over the per-interval timelines
+     */
+    generateStabilityAnalysis() {
+        const entries = this.resultEntries()
+            .map(entry => ({ ...entry, stability: timelineStability(entry.results.timeline) }))
+            .filter(entry => entry.stability);
+        if (entries.length === 0) {
+            return;
+        }
+
+        console.log(chalk.bold.blue('\n📈 THROUGHPUT STABILITY'));
+        console.log('='.repeat(60));
+
+        const table = new Table({
+            head: [
+                chalk.cyan('Database'),
+                chalk.cyan('Test'),
+                chalk.cyan('Intervals'),
+                chalk.cyan('Mean (/s)'),
+                chalk.cyan('Min (/s)'),
+                chalk.cyan('Max (/s)'),
+                chalk.cyan('CoV (%)'),
+                chalk.cyan('Stalls'),
+                chalk.cyan('Worst P99 (ms)')
+            ],
+            colWidths: [12, 20, 11, 12, 12, 12, 10, 8, 16]
+        });
+
+        entries.forEach(({ database, phase, testType, stability }) => {
+            table.push([
+                database,
+                entryLabel({ phase, testType }),
+                stability.buckets,
+                stability.meanThroughput.toFixed(2),
+                stability.minThroughput.toFixed(2),
+                stability.maxThroughput.toFixed(2),
+                (stability.coefficientOfVariation * 100).toFixed(1),
+                stability.stalls,
+                stability.worstP99.toFixed(3)
+            ]);
+        });
+
+        console.log(table.toString());
+        console.log(chalk.gray('  Stalls: intervals with no completions or below half the median throughput'));
+    }
+
+    /**
+     * Mean, spread and confidence interval of each metric for tests run with --repeat
+     */
+    generateRepeatAnalysis() {
+        const entries = this.resultEntries().filter(entry => entry.results.repeat);
+        if (entries.length === 0) {
+            return;
+        }
+
+        console.log(chalk.bold.blue('\n🔁 REPEATED RUNS'));
+        console.log('='.repeat(60));
+
+        const table = new Table({
+            head: [
+                chalk.cyan('Database'),
+                chalk.cyan('Test'),
+                chalk.cyan('Metric'),
+                chalk.cyan('Runs'),
+                chalk.cyan('Mean'),
+                chalk.cyan('Std Dev'),
+                chalk.cyan('CoV (%)'),
+                chalk.cyan('Confidence Interval'),
+                chalk.cyan('Min'),
+                chalk.cyan('Max')
+            ]
+        });
+
+        entries.forEach(({ database, phase, testType, results }) => {
+            const { confidence, metrics } = results.repeat;
+            Object.entries(metrics).forEach(([metric, stats]) => {
+                table.push([
+                    database,
+                    entryLabel({ phase, testType }),
+                    metric === 'throughput' ? THROUGHPUT_UNITS[testType] : `${metric} (ms)`,
+                    stats.n,
+                    stats.mean.toFixed(3),
+                    stats.stddev.toFixed(3),
+                    stats.mean !== 0 ? ((stats.stddev / stats.mean) * 100).toFixed(1) : '-',
+                    `${stats.ciLow.toFixed(3)} – ${stats.ciHigh.toFixed(3)} (${confidence}%)`,
+                    stats.min.toFixed(3),
+                    stats.max.toFixed(3)
+                ]);
+            });
+        });
+
+        console.log(table.toString());
+        console.log(chalk.gray('  Other tables show the run with the median throughput'));
+    }
+
+    /**
+     * Schema variant and storage footprint of the table behind each result
+     */
+    generateTableSummary() {
+        const entries = this.resultEntries().filter(entry => entry.results.table);
+        if (entries.length === 0) {
+            return;
+        }
+
+        console.log(chalk.bold.blue('\n🗄️  SCHEMA AND STORAGE'));
+        console.log('='.repeat(60));
+
+        const table = new Table({
+            head: [
+                chalk.cyan('Database'),
+                chalk.cyan('Test'),
+                chalk.cyan('Id'),
+                chalk.cyan('Config'),
+                chalk.cyan('Title'),
+                chalk.cyan('Timestamp'),
+                chalk.cyan('Index Profile'),
+                chalk.cyan('Partitioning'),
+                chalk.cyan('Rows'),
+                chalk.cyan('Table'),
+                chalk.cyan('Indexes'),
+                chalk.cyan('Bytes/Row')
+            ]
+        });
+
+        entries.forEach(({ database, phase, testType, results }) => {
+            const { schema, partitions, rows, tableBytes, indexBytes, totalBytes } = results.table;
+            table.push([
+                database,
+                entryLabel({ phase, testType }),
+                schema.id || '?',
+                schema.config || '?',
+                schema.title || '?',
+                schema.timestamp || '?',
+                schema.indexes || '?',
+                partitions ? `${schema.partitioning || '?'} (${partitions})` : schema.partitioning || '?',
+                rows.toLocaleString(),
+                tableBytes === null ? '-' : formatBytes(tableBytes),
+                indexBytes === null ? '-' : formatBytes(indexBytes),
+                totalBytes !== null && rows > 0 ? Math.round(totalBytes / rows).toLocaleString() : '-'
+            ]);
+        });
+
+        console.log(table.toString());
+        console.log(chalk.gray('  Sizes are measured after each test and include rows written before it'));
+    }
+
+    /**
+     * Server-side counter deltas of each result next to its throughput, and the statements
+     * that took the most server time
+     */
+    generateServerSummary() {
+        const entries = this.resultEntries().filter(entry => entry.results.server);
+        if (entries.length === 0) {
+            return;
+        }
+
+        console.log(chalk.bold.blue('\n🖥️  SERVER METRICS (whole run, warmup and cooldown included)'));
+        console.log('='.repeat(60));
+
+        const table = new Table({
+            head: [
+                chalk.cyan('Database'),
+                chalk.cyan('Test'),
+                chalk.cyan('Measured Throughput'),
+                ...SERVER_REPORT_COLUMNS.map(column => chalk.cyan(column.label))
+            ]
+        });
+
+        entries.forEach(({ database, phase, testType, results }) => {
+            table.push([
+                database,
+                entryLabel({ phase, testType }),
+                `${throughputOf(testType, results).toFixed(2)} ${THROUGHPUT_UNITS[testType] || 'ops/s'}`,
+                ...serverMetricCells(results.server)
+            ]);
+        });
+
+        console.log(table.toString());
+        console.log(chalk.gray('  Throughput covers the measured phase only, counter deltas the whole test; MySQL counters are server-wide'));
+
+        entries.filter(({ results }) => results.server.statements && results.server.statements.length > 0).forEach(({ database, phase, testType, results }) => {
+            const { statements } = results.server;
+            const totalTimeMs = statements.reduce((sum, statement) => sum + statement.totalTimeMs, 0);
+            console.log(chalk.bold(`\nTop statements, ${database} ${entryLabel({ phase, testType })}:`));
+            statements.slice(0, REPORTED_STATEMENTS).forEach(statement => {
+                const share = totalTimeMs > 0 ? (statement.totalTimeMs / totalTimeMs) * 100 : 0;
+                const query = statement.query.replace(/\s+/g, ' ').trim();
+                console.log(`  ${statement.calls.toLocaleString()} calls, ${statement.meanTimeMs.toFixed(3)}ms avg, ${share.toFixed(1)}% of time: ` +
+                    chalk.gray(query.length > 100 ? `${query.slice(0, 97)}...` : query));
+            });
+        });
+    }
+
+    /**
+     * The benchmark process's own CPU, event loop, GC and heap during each test, with
+     * the results it may have limited
+     */
+    generateClientSummary() {
+        const entries = this.resultEntries().filter(entry => entry.results.client);
+        if (entries.length === 0) {
+            return;
+        }
+
+        console.log(chalk.bold.blue('\n💻 LOAD GENERATOR'));
+        console.log('='.repeat(60));
+
+        const table = new Table({
+            head: [
+                chalk.cyan('Database'),
+                chalk.cyan('Test'),
+                chalk.cyan('Throughput'),
+                ...CLIENT_REPORT_COLUMNS.map(column => chalk.cyan(column.label)),
+                chalk.cyan('Status')
+            ]
+        });
+
+        entries.forEach(({ database, phase, testType, results }) => {
+            table.push([
+                database,
+                entryLabel({ phase, testType }),
+                `${throughputOf(testType, results).toFixed(2)} ${THROUGHPUT_UNITS[testType] || 'ops/s'}`,
+                ...clientMetricCells(results.client),
+                results.client.saturated ? chalk.red('Saturated') : chalk.green('OK')
+            ]);
+        });
+
+        console.log(table.toString());
+        console.log(chalk.gray('  Sampled in the benchmark process over each whole test, warmup and cooldown included'));
+
+        entries.filter(({ results }) => results.client.saturated).forEach(({ database, phase, testType, results }) => {
+            console.log(chalk.yellow(`⚠️  ${database} ${entryLabel({ phase, testType })}: ${results.client.saturation.join(', ')}. ` +
+                'Latency includes time waiting on the load generator; lower --concurrency or run the generator on a separate machine.'));
+        });
+    }
+
+    /**
+     * Index usage and estimated vs actual rows of every statement explained with --explain
+     */
+    generatePlanSummary() {
+        const entries = this.resultEntries().filter(entry => entry.results.plans && entry.results.plans.length > 0);
+        if (entries.length === 0) {
+            return;
+        }
+
+        console.log(chalk.bold.blue('\n🔍 QUERY PLANS'));
+        console.log('='.repeat(60));
+
+        const table = new Table({
+            head: [
+                chalk.cyan('Database'),
+                chalk.cyan('Test'),
+                chalk.cyan('Query'),
+                chalk.cyan('Calls'),
+                chalk.cyan('Indexes'),
+                chalk.cyan('Full Scans'),
+                chalk.cyan('Est/Actual Rows'),
+                chalk.cyan('Exec (ms)'),
+                chalk.cyan('Worst Estimate')
+            ]
+        });
+
+        entries.forEach(({ database, phase, testType, results }) => {
+            results.plans.forEach(({ query, calls, samples }) => {
+                const combined = combinePlanSamples(samples);
+                const text = query.length > 60 ? `${query.slice(0, 57)}...` : query;
+                if (!combined) {
+                    table.push([database, entryLabel({ phase, testType }), text, calls.toLocaleString(), { colSpan: 5, content: chalk.red(samples.length > 0 ? samples[0].error : 'no samples') }]);
+                    return;
+                }
+
+                const { worstEstimate } = combined;
+                const estimate = worstEstimate ? `${worstEstimate.node} ${worstEstimate.estimated}/${worstEstimate.actual}` : '-';
+                table.push([
+                    database,
+                    entryLabel({ phase, testType }),
+                    text,
+                    calls.toLocaleString(),
+                    combined.indexes.length > 0 ? combined.indexes.join(', ') : chalk.yellow('none'),
+                    combined.fullScans.length > 0 ? chalk.red(combined.fullScans.join(', ')) : '-',
+                    combined.rows.join(', '),
+                    combined.executionTimeMs === null ? '-' : combined.executionTimeMs.toFixed(3),
+                    worstEstimate && worstEstimate.factor > MISESTIMATE_FACTOR ? chalk.red(estimate) : estimate
+                ]);
+            });
+        });
+
+        console.log(table.toString());
+        console.log(chalk.gray('  Plans are explained after each test with the parameters recorded during it; rows are per loop'));
+    }
+
+    /**
+     * Pass/fail of each --threshold check
+     */
+    generateThresholdSummary() {
+        if (this.thresholds.length === 0) {
+            return;
+        }
+
+        console.log(chalk.bold.blue('\n🚦 THRESHOLD CHECKS'));
+        console.log('='.repeat(60));
+
+        const checks = this.thresholdChecks();
+        checks.forEach(check => {
+            const actual = check.actual === null ? 'n/a' : check.actual.toFixed(3);
+            const line = `  ${check.passed ? '✅' : '❌'} ${check.database} ${check.label}: ${check.threshold.expression} (actual ${actual})`;
+            console.log(check.passed ? chalk.green(line) : chalk.red(line));
+        });
+
+        const failures = checks.filter(check => !check.passed).length;
+        console.log(failures > 0 ?
+            chalk.red.bold(`${failures} of ${checks.length} threshold checks failed`) :
+            chalk.green.bold(`All ${checks.length} threshold checks passed`));
+    }
+
     generateCompleteReport() {
         console.log(chalk.bold.magenta('\n🚀 DATABASE PERFORMANCE COMPARISON REPORT'));
         console.log('='.repeat(80));
@@ -256,26 +936,362 @@ class PerformanceReporter {
         
         this.generateWriteComparison();
         this.generateReadComparison();
+        this.generateMixedComparison();
+        this.generatePhaseSummary();
         this.generateLatencyAnalysis();
+        this.generateStabilityAnalysis();
+        this.generateRepeatAnalysis();
+        this.generateTableSummary();
+        this.generateServerSummary();
+        this.generateClientSummary();
+        this.generatePlanSummary();
         this.generateOverallSummary();
+        this.generateThresholdSummary();
         
         console.log(chalk.bold.green('\n✅ Performance comparison complete!'));
         console.log('='.repeat(80));
     }
 
     /**
-     * Export results to JSON
+     * Results, configuration, server metadata and scenario phases in the JSON export layout
      */
-    exportToJSON(filename = 'performance-results.json') {
-        const fs = require('fs');
+    toExportData() {
         const exportData = {
             timestamp: new Date().toISOString(),
             results: this.results
         };
         
-        fs.writeFileSync(filename, JSON.stringify(exportData, null, 2));
-        console.log(chalk.green(`📄 Results exported to ${filename}`));
+        if (this.config) {
+            exportData.config = this.config;
+        }
+        
+        if (Object.keys(this.servers).length > 0) {
+            exportData.servers = this.servers;
+        }
+        
+        if (this.phases.length > 0) {
+            exportData.phases = this.phases;
+        }
+        
+        return exportData;
+    }
+
+    /**
+     * Threshold checks used by the JUnit and Markdown exports (parsed with parseThreshold)
+     */
+    setThresholds(thresholds) {
+        this.thresholds = thresholds;
+    }
+
+    /**
+     * Evaluate the thresholds against every recorded result
+     */
+    thresholdChecks(thresholds = this.thresholds) {
+        return evaluateThresholds(thresholds, this.resultEntries());
+    }
+
+    /**
+     * Write the results in one registered format
+     */
+    exportAs(format, filename) {
+        const exporter = EXPORTERS[format];
+        if (!exporter) {
+            throw new Error(`Unknown export format: ${format} (expected ${Object.keys(EXPORTERS).join(', ')})`);
+        }
+        
+        fs.writeFileSync(filename, exporter.render(this));
+        console.log(chalk.green(`📄 ${exporter.description} exported to ${filename}`));
+    }
+
+    /**
+     * Write the results in several formats from one filename: a single format uses
+     * the filename as given, several (or no filename) swap in each format's extension
+     */
+    exportFormats(formats, filename = null) {
+        const base = filename ? filename.slice(0, filename.length - path.extname(filename).length) : 'performance-results';
+        
+        formats.forEach(format => {
+            const target = filename && formats.length === 1 ? filename : `${base}.${EXPORTERS[format].extension}`;
+            this.exportAs(format, target);
+        });
+    }
+
+    /**
+     * Export results to JSON
+     */
+    exportToJSON(filename = 'performance-results.json') {
+        this.exportAs('json', filename);
+    }
+
+    /**
+     * Export a self-contained HTML report with tables and charts
+     */
+    exportToHTML(filename = 'performance-report.html') {
+        this.exportAs('html', filename);
+    }
+
+    /**
+     * Export every per-interval timeline bucket as CSV rows
+     */
+    exportTimelineCSV(filename = 'performance-timeline.csv') {
+        this.exportAs('timeline-csv', filename);
+    }
+}
+
+/**
+ * Output formats selected with --export-format. An exporter renders the
+ * reporter's in-memory results to the text written to its file.
+ */
+const EXPORTERS = {};
+
+function registerExporter(name, exporter) {
+    if (!exporter || typeof exporter.render !== 'function' || !exporter.extension) {
+        throw new Error(`Exporter "${name}" needs an extension and a render(reporter) function`);
+    }
+    EXPORTERS[name] = { description: name, ...exporter };
+}
+
+/**
+ * Parse a comma-separated --export-format list
+ */
+function parseExportFormats(spec = 'json') {
+    const formats = String(spec).split(',').map(format => format.trim()).filter(Boolean);
+    const unknown = formats.filter(format => !EXPORTERS[format]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown export format(s): ${unknown.join(', ')} (expected ${Object.keys(EXPORTERS).join(', ')})`);
+    }
+    return formats.length > 0 ? formats : ['json'];
+}
+
+// Checks reported in JUnit output when no --threshold is given
+const DEFAULT_JUNIT_THRESHOLDS = ['successRate>=100'];
+
+const LATENCY_COLUMNS = ['mean', ...REPORTED_PERCENTILES.map(percentileKey), 'max'];
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xmlEscape(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Empty results among a query type's queries expected to find rows, in percent;
+ * exports from before deliberate misses count every query
+ */
+function queryEmptyRate(stats) {
+    if (stats.emptyRate !== undefined) {
+        return stats.emptyRate;
     }
+    return stats.count > 0 ? (stats.emptyResults / stats.count) * 100 : 0;
+}
+
+function formatMetric(value) {
+    return value === null || value === undefined ? 'n/a' : Number(value.toFixed(3)).toString();
+}
+
+/**
+ * One row per database and test: throughput, latency summary and error counts
+ */
+function renderResultsCSV(reporter) {
+    const lines = [
+        ['database', 'phase', 'test_type', 'insert_mode', 'operations', 'throughput', 'throughput_unit',
+            ...LATENCY_COLUMNS.map(column => `${column}_ms`), 'errors', 'success_rate', 'measured_s',
+            'schema_id', 'schema_config', 'schema_title', 'schema_timestamp', 'schema_indexes', 'schema_partitioning', 'table_partitions', 'table_rows', 'table_bytes', 'empty_rate', 'misses',
+            ...SERVER_REPORT_COLUMNS.filter(column => column.csv).map(column => column.csv),
+            ...CLIENT_REPORT_COLUMNS.filter(column => column.csv).map(column => column.csv), 'client_saturated'].join(',')
+    ];
+
+    reporter.resultEntries().forEach(({ database, phase, testType, results }) => {
+        const histogram = latencyHistogramOf(testType, results);
+        const latency = histogram ? histogram.summary() : null;
+        const operations = testType === 'write' ? results.totalRecords : testType === 'read' ? results.totalQueries : results.totalOperations;
+        const table = results.table || { schema: {} };
+
+        lines.push([
+            database,
+            phase || '',
+            testType,
+            results.insertMode || '',
+            operations,
+            throughputOf(testType, results).toFixed(3),
+            THROUGHPUT_UNITS[testType] || 'ops/s',
+            ...LATENCY_COLUMNS.map(column => (latency ? latency[column].toFixed(3) : '')),
+            results.errors,
+            results.successRate.toFixed(3),
+            (results.totalTime / 1000).toFixed(3),
+            table.schema.id,
+            table.schema.config,
+            table.schema.title,
+            table.schema.timestamp,
+            table.schema.indexes,
+            table.schema.partitioning,
+            table.partitions,
+            table.rows,
+            table.totalBytes,
+            testType === 'read' && results.emptyRate !== undefined ? results.emptyRate.toFixed(3) : '',
+            testType === 'read' && results.misses !== undefined ? results.misses : '',
+            ...SERVER_REPORT_COLUMNS.filter(column => column.csv).map(column => {
+                const value = results.server ? column.value(results.server) : null;
+                return value === null || value === undefined ? '' : Number(value.toFixed(3));
+            }),
+            ...CLIENT_REPORT_COLUMNS.filter(column => column.csv).map(column => (results.client ? Number(column.value(results.client).toFixed(3)) : '')),
+            results.client ? results.client.saturated : ''
+        ].map(csvField).join(','));
+    });
+
+    return lines.join('\n') + '\n';
 }
 
+/**
+ * Every per-interval timeline bucket as CSV rows
+ */
+function renderTimelineCSV(reporter) {
+    const lines = [
+        ['database', 'phase', 'test_type', 'interval', 'start', 'offset_s', 'duration_ms', 'ops', 'errors', 'throughput',
+            ...LATENCY_COLUMNS.map(column => `${column}_ms`)].join(',')
+    ];
+
+    reporter.resultEntries().forEach(({ database, phase, testType, results }) => {
+        if (!results.timeline) {
+            return;
+        }
+        results.timeline.buckets.forEach(bucket => {
+            lines.push([
+                database,
+                phase || '',
+                testType,
+                bucket.index,
+                bucket.start,
+                (bucket.offsetMs / 1000).toFixed(3),
+                bucket.durationMs,
+                bucket.ops,
+                bucket.errors,
+                bucket.throughput.toFixed(3),
+                ...LATENCY_COLUMNS.map(column => bucket.latency[column].toFixed(3))
+            ].map(csvField).join(','));
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Markdown summary for pasting into pull requests
+ */
+function renderMarkdown(reporter) {
+    const entries = reporter.resultEntries();
+    const lines = ['# Database Performance Comparison', '', `Generated at ${new Date().toISOString()}`, ''];
+
+    const groups = new Map();
+    entries.forEach(entry => {
+        const label = entryLabel(entry);
+        if (!groups.has(label)) {
+            groups.set(label, []);
+        }
+        groups.get(label).push(entry);
+    });
+
+    groups.forEach((groupEntries, label) => {
+        const unit = THROUGHPUT_UNITS[groupEntries[0].testType] || 'ops/s';
+        const best = Math.max(...groupEntries.map(({ testType, results }) => throughputOf(testType, results)));
+
+        lines.push(`## ${label}`, '');
+        lines.push(`| Database | ${unit} | Avg (ms) | P50 (ms) | P95 (ms) | P99 (ms) | Max (ms) | Errors | Success |`);
+        lines.push('|---|---:|---:|---:|---:|---:|---:|---:|---:|');
+        groupEntries.forEach(({ database, testType, results }) => {
+            const histogram = latencyHistogramOf(testType, results);
+            const latency = histogram ? histogram.summary() : { mean: 0, p50: 0, p95: 0, p99: 0, max: 0 };
+            const throughput = throughputOf(testType, results).toFixed(2);
+            lines.push(`| ${database}${results.insertMode ? ` (${results.insertMode})` : ''} | ` +
+                `${groupEntries.length > 1 && throughputOf(testType, results) === best ? `**${throughput}**` : throughput} | ` +
+                `${[latency.mean, latency.p50, latency.p95, latency.p99, latency.max].map(value => value.toFixed(3)).join(' | ')} | ` +
+                `${results.errors} | ${results.successRate.toFixed(2)}% |`);
+        });
+        groupEntries.filter(({ results }) => results.client && results.client.saturated).forEach(({ database, results }) => {
+            lines.push('', `> ⚠️ Load generator saturated during the ${database} run (${results.client.saturation.join(', ')}); this comparison may reflect the client.`);
+        });
+        lines.push('');
+    });
+
+    if (reporter.thresholds.length > 0) {
+        lines.push('## Threshold checks', '');
+        lines.push('| Check | Database | Test | Actual | Result |');
+        lines.push('|---|---|---|---:|---|');
+        reporter.thresholdChecks().forEach(check => {
+            lines.push(`| \`${check.threshold.expression}\` | ${check.database} | ${check.label} | ${formatMetric(check.actual)} | ${check.passed ? '✅ pass' : '❌ fail'} |`);
+        });
+        lines.push('');
+    }
+
+    if (reporter.config) {
+        lines.push('<details><summary>Configuration</summary>', '', '```json', JSON.stringify(reporter.config, null, 2), '```', '', '</details>', '');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * JUnit XML with one test suite per database and one test case per threshold check
+ */
+function renderJUnit(reporter) {
+    const thresholds = reporter.thresholds.length > 0 ? reporter.thresholds : DEFAULT_JUNIT_THRESHOLDS.map(parseThreshold);
+    const checks = reporter.thresholdChecks(thresholds);
+    const timestamp = new Date().toISOString();
+
+    const suites = new Map();
+    checks.forEach(check => {
+        if (!suites.has(check.database)) {
+            suites.set(check.database, []);
+        }
+        suites.get(check.database).push(check);
+    });
+
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    lines.push(`<testsuites name="database-performance" tests="${checks.length}" failures="${checks.filter(check => !check.passed).length}">`);
+    suites.forEach((suiteChecks, database) => {
+        lines.push(`  <testsuite name="${xmlEscape(database)}" tests="${suiteChecks.length}" ` +
+            `failures="${suiteChecks.filter(check => !check.passed).length}" errors="0" timestamp="${timestamp}">`);
+        suiteChecks.forEach(check => {
+            const name = `${check.label}: ${check.threshold.expression}`;
+            const actual = formatMetric(check.actual);
+            const message = `${check.threshold.metric} = ${actual}, expected ${check.threshold.operator} ${check.threshold.value}`;
+
+            lines.push(`    <testcase classname="${xmlEscape(`${database}.${check.label}`)}" name="${xmlEscape(name)}">`);
+            lines.push(check.passed ?
+                `      <system-out>${xmlEscape(`${check.threshold.metric} = ${actual}`)}</system-out>` :
+                `      <failure message="${xmlEscape(message)}" type="threshold">${xmlEscape(message)}</failure>`);
+            lines.push('    </testcase>');
+        });
+        lines.push('  </testsuite>');
+    });
+    lines.push('</testsuites>');
+
+    return lines.join('\n') + '\n';
+}
+
+registerExporter('json', {
+    extension: 'json',
+    description: 'Results',
+    render: reporter => JSON.stringify(reporter.toExportData(), null, 2)
+});
+registerExporter('markdown', { extension: 'md', description: 'Markdown summary', render: renderMarkdown });
+registerExporter('csv', { extension: 'csv', description: 'CSV results', render: renderResultsCSV });
+registerExporter('junit', { extension: 'xml', description: 'JUnit report', render: renderJUnit });
+registerExporter('html', {
+    extension: 'html',
+    description: 'HTML report',
+    render: reporter => renderHtmlReport({ entries: reporter.resultEntries(), config: reporter.config })
+});
+registerExporter('timeline-csv', { extension: 'timeline.csv', description: 'Timeline', render: renderTimelineCSV });
+
 module.exports = PerformanceReporter;
+module.exports.EXPORTERS = EXPORTERS;
+module.exports.registerExporter = registerExporter;
+module.exports.parseExportFormats = parseExportFormats;
@@ -0,0 +1,208 @@
+/**
+ * Accessors for test results shared by the reporter and its output formats.
+ * They accept results fresh from a test run or loaded back from a JSON export.
+ */
+
+const LatencyHistogram = require('./histogram');
+const { percentileKey, REPORTED_PERCENTILES } = require('./histogram');
+const { describeSample, DEFAULT_CONFIDENCE } = require('./statistics');
+
+/**
+ * Metrics that can be read from any result, e.g. in thresholds ("write.p99<=50")
+ */
+const METRICS = ['throughput', 'tps', 'qps', 'ops', 'avg', 'min', 'max', ...REPORTED_PERCENTILES.map(percentileKey), 'errors', 'successRate'];
+
+const THRESHOLD_OPERATORS = {
+    '<=': (actual, expected) => actual <= expected,
+    '>=': (actual, expected) => actual >= expected,
+    '<': (actual, expected) => actual < expected,
+    '>': (actual, expected) => actual > expected,
+    '==': (actual, expected) => actual === expected
+};
+
+/**
+ * Metrics summarized across repeated runs
+ */
+const REPEAT_METRICS = ['throughput', 'avg', ...REPORTED_PERCENTILES.map(percentileKey)];
+
+/**
+ * Throughput units by test type
+ */
+const THROUGHPUT_UNITS = {
+    write: 'TPS',
+    read: 'QPS',
+    mixed: 'ops/s'
+};
+
+/**
+ * A LatencyHistogram from a histogram or its exported toJSON() form
+ */
+function toHistogram(histogram) {
+    if (!histogram) {
+        return null;
+    }
+    return histogram instanceof LatencyHistogram ? histogram : LatencyHistogram.fromJSON(histogram);
+}
+
+/**
+ * Overall latency histogram of a result; mixed results combine their per-operation histograms
+ */
+function latencyHistogramOf(testType, results) {
+    if (testType !== 'mixed') {
+        return toHistogram(results.latencyHistogram);
+    }
+
+    const histograms = Object.values(results.operations || {}).map(stats => toHistogram(stats.latencyHistogram));
+    if (histograms.length === 0) {
+        return null;
+    }
+    const combined = new LatencyHistogram(histograms[0].significantDigits);
+    histograms.forEach(histogram => combined.merge(histogram));
+    return combined;
+}
+
+/**
+ * Headline throughput of a result: TPS for writes, QPS for reads, ops/s for mixed
+ */
+function throughputOf(testType, results) {
+    if (testType === 'write') {
+        return results.tps;
+    }
+    if (testType === 'read') {
+        return results.qps;
+    }
+    return results.opsPerSecond;
+}
+
+/**
+ * Value of a named metric for a result; latencies are in milliseconds.
+ * tps, qps and ops are aliases for the result's headline throughput.
+ */
+function metricValue(testType, results, metric) {
+    if (['throughput', 'tps', 'qps', 'ops'].includes(metric)) {
+        return throughputOf(testType, results);
+    }
+    if (metric === 'errors') {
+        return results.errors;
+    }
+    if (metric === 'successRate') {
+        return results.successRate;
+    }
+
+    const histogram = latencyHistogramOf(testType, results);
+    const latency = histogram ? histogram.summary() : null;
+    if (!latency) {
+        return null;
+    }
+    return metric === 'avg' ? latency.mean : latency[metric];
+}
+
+/**
+ * Statistics across repeated runs of one test: the per-run values of each
+ * REPEAT_METRICS metric with their mean, standard deviation and confidence interval
+ */
+function repeatStatistics(testType, runs, confidence = DEFAULT_CONFIDENCE) {
+    const metrics = {};
+    REPEAT_METRICS.forEach(metric => {
+        const values = runs.map(results => metricValue(testType, results, metric)).filter(value => value !== null && value !== undefined);
+        if (values.length > 0) {
+            metrics[metric] = { ...describeSample(values, confidence), values };
+        }
+    });
+
+    return { count: runs.length, confidence, metrics };
+}
+
+/**
+ * Parse a metric reference such as "write.tps", "load.p99" or "successRate".
+ * The optional scope before the dot is a test type or scenario phase name.
+ */
+function parseMetric(spec) {
+    const match = String(spec).trim().match(/^(?:([\w-]+)\.)?(\w+)$/);
+    if (!match) {
+        throw new Error(`Invalid metric "${spec}" (expected e.g. write.tps)`);
+    }
+    if (!METRICS.includes(match[2])) {
+        throw new Error(`Unknown metric "${match[2]}" (expected ${METRICS.join(', ')})`);
+    }
+    return { scope: match[1] || null, metric: match[2] };
+}
+
+/**
+ * Parse a threshold such as "write.p99<=50", "load.tps>=1000" or "successRate>=99.9".
+ * The optional scope before the dot is a test type or scenario phase name.
+ */
+function parseThreshold(expression) {
+    const match = String(expression).trim().match(/^(?:([\w-]+)\.)?(\w+)\s*(<=|>=|==|<|>)\s*(-?[\d.]+)$/);
+    if (!match) {
+        throw new Error(`Invalid threshold "${expression}" (expected e.g. write.p99<=50)`);
+    }
+
+    const [, scope, metric, operator, rawValue] = match;
+    if (!METRICS.includes(metric)) {
+        throw new Error(`Unknown threshold metric "${metric}" (expected ${METRICS.join(', ')})`);
+    }
+
+    return { expression: `${scope ? `${scope}.` : ''}${metric} ${operator} ${rawValue}`, scope: scope || null, metric, operator, value: parseFloat(rawValue) };
+}
+
+/**
+ * Evaluate thresholds against result entries, one check per matching entry
+ */
+function evaluateThresholds(thresholds, entries) {
+    const checks = [];
+
+    thresholds.forEach(threshold => {
+        entries
+            .filter(entry => !threshold.scope || threshold.scope === entry.testType || threshold.scope === entry.phase)
+            .forEach(entry => {
+                const actual = metricValue(entry.testType, entry.results, threshold.metric);
+                checks.push({
+                    threshold,
+                    database: entry.database,
+                    label: entryLabel(entry),
+                    actual,
+                    passed: actual !== null && THRESHOLD_OPERATORS[threshold.operator](actual, threshold.value)
+                });
+            });
+    });
+
+    return checks;
+}
+
+/**
+ * Result entries from a parsed JSON export: its scenario phases if any, else every database's tests
+ */
+function entriesFromExport(data) {
+    if (!data || typeof data.results !== 'object' || data.results === null) {
+        throw new Error('Not a results export (missing "results")');
+    }
+    if (Array.isArray(data.phases) && data.phases.length > 0) {
+        return data.phases;
+    }
+    return Object.entries(data.results).flatMap(([database, tests]) =>
+        Object.entries(tests).map(([testType, results]) => ({ database, phase: null, testType, results })));
+}
+
+/**
+ * Display label for a result entry: the test type, prefixed by the scenario phase if any
+ */
+function entryLabel({ phase, testType }) {
+    return phase ? `${phase} (${testType})` : testType;
+}
+
+module.exports = {
+    METRICS,
+    REPEAT_METRICS,
+    THROUGHPUT_UNITS,
+    toHistogram,
+    latencyHistogramOf,
+    throughputOf,
+    metricValue,
+    repeatStatistics,
+    parseMetric,
+    parseThreshold,
+    evaluateThresholds,
+    entriesFromExport,
+    entryLabel
+};
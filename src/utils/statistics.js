@@ -0,0 +1,159 @@
+/**
+ * Sample statistics for repeated runs: mean, standard deviation, Student-t
+ * confidence intervals and Welch's t-test
+ */
+
+const DEFAULT_CONFIDENCE = 95;
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Sample (n - 1) standard deviation; 0 for fewer than two values
+ */
+function standardDeviation(values) {
+    if (values.length < 2) {
+        return 0;
+    }
+    const average = mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / (values.length - 1));
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ */
+function logGamma(x) {
+    const coefficients = [
+        76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    coefficients.forEach(coefficient => {
+        y += 1;
+        series += coefficient / y;
+    });
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Continued fraction for the incomplete beta function (modified Lentz)
+ */
+function betaContinuedFraction(a, b, x) {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    let h = d;
+
+    for (let m = 1; m <= 200; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d);
+        c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c;
+        h *= d * c;
+
+        aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d);
+        c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-12) {
+            break;
+        }
+    }
+    return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+function incompleteBeta(x, a, b) {
+    if (x <= 0) {
+        return 0;
+    }
+    if (x >= 1) {
+        return 1;
+    }
+
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    if (x < (a + 1) / (a + b + 2)) {
+        return front * betaContinuedFraction(a, b, x) / a;
+    }
+    return 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+/**
+ * Two-tailed p-value of a Student-t statistic with `df` degrees of freedom
+ */
+function studentTTwoTailed(t, df) {
+    return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Critical t value for a two-sided confidence level in percent (e.g. 95)
+ */
+function tCritical(confidence, df) {
+    const alpha = 1 - confidence / 100;
+    let low = 0;
+    let high = 1000;
+    for (let i = 0; i < 100; i++) {
+        const middle = (low + high) / 2;
+        if (studentTTwoTailed(middle, df) > alpha) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Mean, standard deviation and confidence interval of a sample
+ */
+function describeSample(values, confidence = DEFAULT_CONFIDENCE) {
+    const average = mean(values);
+    const stddev = standardDeviation(values);
+    const margin = values.length > 1 ? tCritical(confidence, values.length - 1) * stddev / Math.sqrt(values.length) : 0;
+
+    return {
+        n: values.length,
+        mean: average,
+        stddev,
+        ciLow: average - margin,
+        ciHigh: average + margin,
+        min: Math.min(...values),
+        max: Math.max(...values)
+    };
+}
+
+/**
+ * Welch's unequal-variance t-test between two samples, returning the two-tailed p-value
+ */
+function welchTTest(a, b) {
+    const varianceA = Math.pow(standardDeviation(a), 2) / a.length;
+    const varianceB = Math.pow(standardDeviation(b), 2) / b.length;
+    const difference = mean(a) - mean(b);
+
+    if (varianceA + varianceB === 0) {
+        // Identical runs within each sample: any difference in means is exact
+        return { t: difference === 0 ? 0 : Infinity, df: a.length + b.length - 2, pValue: difference === 0 ? 1 : 0 };
+    }
+
+    const t = difference / Math.sqrt(varianceA + varianceB);
+    const df = Math.pow(varianceA + varianceB, 2) /
+        (Math.pow(varianceA, 2) / (a.length - 1) + Math.pow(varianceB, 2) / (b.length - 1));
+    return { t, df, pValue: studentTTwoTailed(t, df) };
+}
+
+module.exports = {
+    DEFAULT_CONFIDENCE,
+    mean,
+    standardDeviation,
+    studentTTwoTailed,
+    tCritical,
+    describeSample,
+    welchTTest
+};
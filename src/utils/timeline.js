@@ -0,0 +1,167 @@
+const LatencyHistogram = require('./histogram');
+const { DEFAULT_SIGNIFICANT_DIGITS } = require('./histogram');
+
+const DEFAULT_INTERVAL_MS = 1000;
+
+/**
+ * Per-interval record of completed operations, errors and latency.
+ *
+ * Operations are bucketed by completion time relative to the start of the
+ * measured window. Only the open bucket keeps a histogram; closed buckets are
+ * reduced to their latency summary, so memory grows with the number of
+ * intervals rather than the number of operations. Intervals in which nothing
+ * completed are kept as empty buckets, which is what a stall looks like.
+ */
+class Timeline {
+    constructor(options = {}) {
+        this.intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+        this.onBucket = options.onBucket || null;
+        this.histogram = new LatencyHistogram(options.histogramDigits || DEFAULT_SIGNIFICANT_DIGITS);
+
+        this.origin = null;
+        this.originDate = null;
+        this.buckets = [];
+        this.current = null;
+    }
+
+    /**
+     * Start bucketing from a performance.now() time
+     */
+    start(originTime, originDate = new Date()) {
+        this.origin = originTime;
+        this.originDate = originDate;
+        this.openBucket(0);
+    }
+
+    openBucket(index) {
+        this.current = { index, ops: 0, errors: 0 };
+        this.histogram.reset();
+    }
+
+    /**
+     * Close the open bucket, plus empty buckets for any intervals skipped, up to bucket `index`
+     */
+    advanceTo(index) {
+        while (this.current.index < index) {
+            this.closeBucket(this.intervalMs);
+            this.openBucket(this.current.index + 1);
+        }
+    }
+
+    closeBucket(durationMs) {
+        const { index, ops, errors } = this.current;
+        const bucket = {
+            index,
+            start: new Date(this.originDate.getTime() + index * this.intervalMs).toISOString(),
+            offsetMs: index * this.intervalMs,
+            durationMs,
+            ops,
+            errors,
+            throughput: durationMs > 0 ? (ops / durationMs) * 1000 : 0,
+            latency: this.histogram.summary()
+        };
+
+        this.buckets.push(bucket);
+        if (this.onBucket) {
+            this.onBucket(bucket);
+        }
+        return bucket;
+    }
+
+    /**
+     * Record one completed operation at a performance.now() time
+     */
+    record(now, latencyMs, success) {
+        if (this.origin === null || now < this.origin) {
+            return;
+        }
+
+        this.advanceTo(Math.floor((now - this.origin) / this.intervalMs));
+        if (success) {
+            this.current.ops++;
+            this.histogram.recordMillis(latencyMs);
+        } else {
+            this.current.errors++;
+        }
+    }
+
+    /**
+     * Close every bucket that ended at or before `now` (called on a timer so idle intervals still appear)
+     */
+    flush(now) {
+        if (this.origin !== null && now >= this.origin) {
+            this.advanceTo(Math.floor((now - this.origin) / this.intervalMs));
+        }
+    }
+
+    /**
+     * Close the remaining buckets at the end of the measured window; the last one may be partial
+     */
+    finish(endTime) {
+        if (this.origin === null) {
+            return;
+        }
+
+        const elapsed = Math.max(0, endTime - this.origin);
+        const lastIndex = Math.max(0, Math.ceil(elapsed / this.intervalMs) - 1);
+        this.advanceTo(lastIndex);
+
+        const remainder = elapsed - lastIndex * this.intervalMs;
+        if (remainder > 0 || this.current.ops > 0 || this.current.errors > 0) {
+            this.closeBucket(Math.round(remainder * 1000) / 1000);
+        }
+        this.current = null;
+    }
+
+    toJSON() {
+        return {
+            intervalMs: this.intervalMs,
+            start: this.originDate ? this.originDate.toISOString() : null,
+            buckets: this.buckets
+        };
+    }
+}
+
+/**
+ * One-line description of a closed bucket for live output
+ */
+function formatBucket(bucket, label = 'ops') {
+    const seconds = (bucket.offsetMs + bucket.durationMs) / 1000;
+    const latency = bucket.ops > 0 ?
+        `p50 ${bucket.latency.p50.toFixed(3)}ms, p99 ${bucket.latency.p99.toFixed(3)}ms, max ${bucket.latency.max.toFixed(3)}ms` :
+        'no completions';
+    return `[${seconds.toFixed(1).padStart(6)}s] ${String(bucket.ops).padStart(7)} ${label} ` +
+        `(${bucket.throughput.toFixed(1)}/s), ${bucket.errors} errors, ${latency}`;
+}
+
+/**
+ * Stability figures over the full buckets of a timeline: throughput spread and stall count.
+ * A stall is a bucket with no completions, or below half the median throughput of the buckets that had any.
+ */
+function timelineStability(timeline) {
+    const full = (timeline && timeline.buckets || []).filter(bucket => bucket.durationMs === timeline.intervalMs);
+    if (full.length === 0) {
+        return null;
+    }
+
+    const throughputs = full.map(bucket => bucket.throughput).sort((a, b) => a - b);
+    const mean = throughputs.reduce((sum, value) => sum + value, 0) / throughputs.length;
+    const variance = throughputs.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / throughputs.length;
+    const active = throughputs.filter(value => value > 0);
+    const median = active.length > 0 ? active[Math.floor(active.length / 2)] : 0;
+
+    return {
+        buckets: full.length,
+        meanThroughput: mean,
+        minThroughput: throughputs[0],
+        maxThroughput: throughputs[throughputs.length - 1],
+        coefficientOfVariation: mean > 0 ? Math.sqrt(variance) / mean : 0,
+        stalls: full.filter(bucket => bucket.throughput === 0 || bucket.throughput < median / 2).length,
+        worstP99: Math.max(...full.map(bucket => bucket.latency.p99))
+    };
+}
+
+module.exports = Timeline;
+module.exports.DEFAULT_INTERVAL_MS = DEFAULT_INTERVAL_MS;
+module.exports.formatBucket = formatBucket;
+module.exports.timelineStability = timelineStability;
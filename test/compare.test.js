@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LatencyHistogram = require('../src/utils/histogram');
+const { DEFAULT_TOLERANCE, parseTolerances, loadResultsFile, compareResults } = require('../src/compare');
+const { entriesFromExport } = require('../src/utils/results');
+
+/**
+ * Write result with a throughput and every latency at `latencyMs`
+ */
+function writeResult(tps, latencyMs) {
+    const latencyHistogram = new LatencyHistogram();
+    latencyHistogram.recordMillis(latencyMs, 100);
+    return { tps, latencyHistogram, errors: 0, successRate: 100 };
+}
+
+function exported(results) {
+    return { entries: entriesFromExport({ results }) };
+}
+
+function statuses(comparison) {
+    return Object.fromEntries(comparison.pairs[0].metrics.map(({ metric, status }) => [metric, status]));
+}
+
+test('tolerances take a default, per-metric overrides and throughput aliases', () => {
+    assert.deepEqual(parseTolerances(), { default: DEFAULT_TOLERANCE, metrics: {} });
+    assert.deepEqual(parseTolerances(['2', 'p99=10,tps=1']), { default: 2, metrics: { p99: 10, throughput: 1 } });
+    assert.throws(() => parseTolerances(['p42=5']), /Unknown tolerance metric "p42"/);
+    assert.throws(() => parseTolerances(['p99=']), /Invalid tolerance "p99="/);
+    assert.throws(() => parseTolerances(['-3']), /Invalid tolerance "-3"/);
+});
+
+test('throughput regresses when it drops and latency when it rises', () => {
+    const baseline = exported({ postgres: { write: writeResult(1000, 10) } });
+
+    const slower = compareResults(baseline, exported({ postgres: { write: writeResult(900, 12) } }));
+    const faster = compareResults(baseline, exported({ postgres: { write: writeResult(1100, 8) } }));
+
+    assert.deepEqual(statuses(slower), { throughput: 'regression', avg: 'regression', p50: 'regression', p90: 'regression', p95: 'regression', p99: 'regression', p999: 'regression', max: 'regression' });
+    assert.equal(slower.regressions, 8);
+    assert.equal(faster.regressions, 0);
+    assert.equal(faster.improvements, 8);
+    assert.equal(slower.pairs[0].metrics[0].deltaPercent, -10);
+});
+
+test('changes within the tolerance of their metric are ok', () => {
+    const baseline = exported({ mysql: { write: writeResult(1000, 10) } });
+    const candidate = exported({ mysql: { write: writeResult(960, 10.8) } });
+
+    const defaults = statuses(compareResults(baseline, candidate));
+
+    assert.equal(defaults.throughput, 'ok');
+    assert.equal(defaults.p99, 'regression');
+    assert.equal(statuses(compareResults(baseline, candidate, parseTolerances(['p99=10']))).p99, 'ok');
+    assert.equal(statuses(compareResults(baseline, candidate, parseTolerances(['3']))).throughput, 'regression');
+});
+
+test('entries are matched by database and test, and the rest is listed', () => {
+    const baseline = exported({ postgres: { write: writeResult(1000, 10), read: { qps: 0, latencyHistogram: null } } });
+    const candidate = exported({ postgres: { read: { qps: 0, latencyHistogram: null } }, mysql: { write: writeResult(1000, 10) } });
+
+    const comparison = compareResults(baseline, candidate);
+
+    assert.deepEqual(comparison.pairs.map(pair => `${pair.database} ${pair.label}`), ['postgres read']);
+    assert.deepEqual(comparison.onlyInBaseline, ['postgres write']);
+    assert.deepEqual(comparison.onlyInCandidate, ['mysql write']);
+    assert.equal(statuses(comparison).throughput, 'ok');
+    assert.equal(statuses(comparison).p99, 'n/a');
+});
+
+test('files that are not result exports are rejected by name', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loadtest-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'other.json');
+    fs.writeFileSync(file, JSON.stringify({ name: 'not results' }));
+
+    assert.throws(() => loadResultsFile(file), error => error.message === `${file}: Not a results export (missing "results")`);
+    assert.throws(() => loadResultsFile(path.join(dir, 'missing.json')), /Failed to read results/);
+});
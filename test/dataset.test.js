@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { writeDataset, describeDataset, DatasetReader } = require('../src/dataset');
+const { DataGenerator } = require('../src/utils/dataGenerator');
+const { SeededRandom, parseSeed } = require('../src/utils/random');
+
+function temporaryDirectory(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loadtest-dataset-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function seededGenerator(seed) {
+    return new DataGenerator({ messageLength: 'uniform:50:100' }, { userCount: 50, random: new SeededRandom(seed).fork('data') });
+}
+
+/**
+ * Every row of a dataset file, read in one batch
+ */
+async function readAll(filename, rows) {
+    const reader = new DatasetReader(filename);
+    try {
+        return await reader.nextBatch(rows);
+    } finally {
+        await reader.close();
+    }
+}
+
+test('seeds given as text become numbers only when they are integers', () => {
+    assert.equal(parseSeed('42'), 42);
+    assert.equal(parseSeed(42), 42);
+    assert.equal(parseSeed('nightly-1'), 'nightly-1');
+    assert.equal(parseSeed('99999999999999999999'), '99999999999999999999');
+    assert.equal(parseSeed(''), null);
+    assert.equal(parseSeed(undefined), null);
+});
+
+test('datasets written with the same seed hold the same rows, plain or gzip', async (t) => {
+    const dir = temporaryDirectory(t);
+    const plain = path.join(dir, 'messages.ndjson');
+    const gzip = path.join(dir, 'messages.ndjson.gz');
+    const other = path.join(dir, 'other.ndjson');
+
+    const header = await writeDataset(plain, seededGenerator(42), { rows: 20, seed: 42 });
+    await writeDataset(gzip, seededGenerator(42), { rows: 20, seed: 42 });
+    await writeDataset(other, seededGenerator(43), { rows: 20, seed: 43 });
+    const rows = await readAll(plain, 20);
+
+    assert.deepEqual(fs.readFileSync(gzip).subarray(0, 2), Buffer.from([0x1f, 0x8b]));
+    assert.deepEqual(await readAll(gzip, 20), rows);
+    assert.notDeepEqual(await readAll(other, 20), rows);
+    assert.deepEqual(Object.keys(rows[0]).sort(), ['config', 'message', 'role', 'title', 'user_id']);
+    assert.deepEqual(await describeDataset(gzip), { file: gzip, rows: 20, seed: 42, userCount: 50, data: header.data });
+});
+
+test('readers start over when the file runs out', async (t) => {
+    const file = path.join(temporaryDirectory(t), 'small.ndjson');
+    await writeDataset(file, seededGenerator('replay'), { rows: 3, seed: 'replay' });
+
+    const reader = new DatasetReader(file);
+    const [first, second] = await Promise.all([reader.nextBatch(2), reader.nextBatch(5)]);
+    await reader.close();
+
+    assert.deepEqual(second.slice(1, 4), [...first, second[0]]);
+    assert.equal(reader.rowsRead, 7);
+    assert.equal(reader.replays, 2);
+});
+
+test('files without a header are counted and bad rows are reported by line', async (t) => {
+    const dir = temporaryDirectory(t);
+    const headerless = path.join(dir, 'headerless.ndjson');
+    const broken = path.join(dir, 'broken.ndjson');
+    const empty = path.join(dir, 'empty.ndjson');
+    const row = { user_id: 'user_1', role: 'user', title: 'Title', message: 'Message', config: '{}' };
+    fs.writeFileSync(headerless, `${JSON.stringify(row)}\n\n${JSON.stringify(row)}\n`);
+    fs.writeFileSync(broken, `${JSON.stringify(row)}\n${JSON.stringify({ user_id: 'user_2' })}\n`);
+    fs.writeFileSync(empty, '');
+
+    assert.deepEqual(await describeDataset(headerless), { file: headerless, rows: 2, seed: null, userCount: null, data: null });
+    assert.deepEqual(await readAll(headerless, 3), [row, row, row]);
+    await assert.rejects(readAll(broken, 2), new RegExp(`${path.basename(broken)}:2: row is missing role, title, message, config`));
+    await assert.rejects(readAll(empty, 1), /has no rows/);
+    await assert.rejects(describeDataset(path.join(dir, 'missing.ndjson')), /does not exist/);
+});
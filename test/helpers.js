@@ -0,0 +1,110 @@
+/**
+ * Shared setup for the test suite: simulated databases without latency, and test
+ * configurations in the shape the CLI builds them, all with a fixed seed.
+ */
+
+const SimulatedDB = require('../src/database/simulated');
+const { DEFAULT_MIX } = require('../src/tests/mixedTest');
+const { DEFAULT_QUERY_MIX, parseQueryMix, resolveUserSource, resolveMissRatio } = require('../src/tests/readTest');
+const { resolveDataProfile } = require('../src/utils/dataGenerator');
+
+const SEED = 42;
+
+// Latency-free simulation, so that the suite runs in well under a second per test
+const NO_LATENCY = 'readLatency=fixed:0&writeLatency=fixed:0&batchRowLatency=fixed:0&scanRowLatency=fixed:0';
+
+/**
+ * Connected simulated database with an empty table. Each name is its own in-memory store.
+ */
+async function simulatedDatabase(name, options = {}) {
+    const db = new SimulatedDB(`simulated://${name}?seed=${SEED}&${NO_LATENCY}`, options);
+    await db.connect();
+    await db.dropTable();
+    await db.createTable();
+    return db;
+}
+
+/**
+ * Options parseRunOptions() produces for a count-based run with the live output off
+ */
+function runOptions(overrides = {}) {
+    return {
+        duration: null,
+        warmup: 0,
+        cooldown: 0,
+        rate: null,
+        histogramDigits: 3,
+        timelineInterval: 0,
+        liveTimeline: false,
+        serverMetrics: true,
+        explain: 0,
+        ...overrides
+    };
+}
+
+function writeConfig(overrides = {}) {
+    return {
+        totalRecords: 200,
+        batchSize: 20,
+        concurrency: 4,
+        userCount: 20,
+        insertMode: 'transaction',
+        data: resolveDataProfile({}),
+        seed: SEED,
+        dataset: null,
+        ...runOptions(),
+        ...overrides
+    };
+}
+
+function readConfig(overrides = {}) {
+    return {
+        totalQueries: 100,
+        concurrency: 4,
+        userCount: 20,
+        readLimit: 10,
+        data: resolveDataProfile({}),
+        seed: SEED,
+        queryMix: parseQueryMix(DEFAULT_QUERY_MIX),
+        timeRange: 3600,
+        maxOffset: 50,
+        userSource: resolveUserSource('range'),
+        missRatio: resolveMissRatio('0'),
+        ...runOptions(),
+        ...overrides
+    };
+}
+
+function mixedConfig(overrides = {}) {
+    return {
+        totalOperations: 100,
+        concurrency: 4,
+        userCount: 20,
+        readLimit: 10,
+        batchSize: 5,
+        mix: DEFAULT_MIX,
+        insertMode: 'transaction',
+        data: resolveDataProfile({}),
+        seed: SEED,
+        ...runOptions(),
+        ...overrides
+    };
+}
+
+/**
+ * Silence the test runners' console output for the rest of a test
+ */
+function quiet(t) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+}
+
+module.exports = {
+    SEED,
+    simulatedDatabase,
+    runOptions,
+    writeConfig,
+    readConfig,
+    mixedConfig,
+    quiet
+};
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const LatencyHistogram = require('../src/utils/histogram');
+const { MAX_SIGNIFICANT_DIGITS, resolveSignificantDigits, formatPercentiles } = require('../src/utils/histogram');
+
+/**
+ * Histogram holding 1ms, 2ms ... `count` ms once each
+ */
+function uniformHistogram(count, digits) {
+    const histogram = new LatencyHistogram(digits);
+    for (let ms = 1; ms <= count; ms++) {
+        histogram.recordMillis(ms);
+    }
+    return histogram;
+}
+
+test('percentiles stay within the requested precision', () => {
+    [1, 2, 3, 4].forEach(digits => {
+        const histogram = uniformHistogram(10000, digits);
+        const tolerance = Math.pow(10, -digits);
+
+        [50, 90, 99].forEach(percentile => {
+            const expected = percentile * 100 * 1000;
+            const actual = histogram.valueAtPercentile(percentile);
+            assert.ok(Math.abs(actual - expected) / expected <= tolerance, `p${percentile} at ${digits} digits: ${actual}us`);
+        });
+    });
+});
+
+test('summary reports milliseconds with exact count, min, mean and max', () => {
+    const histogram = uniformHistogram(1000, 3);
+    const summary = histogram.summary();
+
+    assert.equal(summary.count, 1000);
+    assert.equal(summary.min, 1);
+    assert.equal(summary.max, 1000);
+    assert.equal(summary.mean, 500.5);
+    assert.ok(Math.abs(summary.p99 - 990) <= 1);
+    assert.match(formatPercentiles(histogram), /^p50 \d+\.\d{3}ms, .* max 1000\.000ms$/);
+});
+
+test('merged and reloaded histograms keep their counts', () => {
+    const first = uniformHistogram(500, 3);
+    const second = new LatencyHistogram(3);
+    second.recordMillis(2000, 500);
+
+    first.merge(second);
+    const reloaded = LatencyHistogram.fromJSON(JSON.parse(JSON.stringify(first)));
+
+    assert.equal(reloaded.count, 1000);
+    assert.equal(reloaded.max, 2000 * 1000);
+    assert.ok(Math.abs(reloaded.valueAtPercentile(50) - 500 * 1000) <= 500);
+    assert.deepEqual(reloaded.summary(), first.summary());
+    assert.deepEqual(reloaded.buckets(), first.buckets());
+    assert.throws(() => reloaded.merge(new LatencyHistogram(2)), /different precision/);
+});
+
+test('empty histograms summarize to zeros and out-of-range values are clamped', () => {
+    const histogram = new LatencyHistogram();
+    assert.deepEqual(histogram.summary(), { count: 0, min: 0, mean: 0, max: 0, p50: 0, p90: 0, p95: 0, p99: 0, p999: 0 });
+
+    histogram.recordMicros(-5);
+    histogram.recordMicros(1e12);
+    assert.equal(histogram.min, 0);
+    assert.equal(histogram.max, 0xffffffff);
+});
+
+test('significant digits are capped to bound memory', () => {
+    assert.equal(MAX_SIGNIFICANT_DIGITS, 4);
+    assert.equal(resolveSignificantDigits('4'), 4);
+    assert.equal(resolveSignificantDigits(), 3);
+    assert.throws(() => resolveSignificantDigits('5'), /between 1 and 4, got 5/);
+    assert.throws(() => resolveSignificantDigits('two'), /between 1 and 4/);
+    assert.throws(() => new LatencyHistogram(5), /between 1 and 4/);
+    assert.ok(new LatencyHistogram(4).counts.byteLength < 3 * 1024 * 1024);
+});
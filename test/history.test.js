@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { RunHistory, recordRun, collectTrend } = require('../src/history');
+const { quiet } = require('./helpers');
+
+function temporaryDirectory(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loadtest-history-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Empty history in a temporary directory removed after the test
+ */
+function temporaryHistory(t) {
+    return new RunHistory(temporaryDirectory(t));
+}
+
+/**
+ * Export layout of a write run at `timestamp` with a TPS per database
+ */
+function writeRun(timestamp, tpsByDatabase) {
+    const results = Object.fromEntries(Object.entries(tpsByDatabase).map(([database, tps]) => [database, { write: { tps } }]));
+    return { timestamp, config: { command: 'write' }, results };
+}
+
+test('runs are stored under time-ordered ids and loaded by id, prefix or "latest"', (t) => {
+    const history = temporaryHistory(t);
+
+    const first = history.record(writeRun('2026-10-01T10:00:00.000Z', { postgres: 100 }));
+    const second = history.record(writeRun('2026-10-02T10:00:00.000Z', { postgres: 110 }));
+
+    assert.match(first, /^20261001T100000000-[0-9a-f]{4}$/);
+    assert.deepEqual(history.ids(), [first, second]);
+    assert.equal(history.load('latest').id, second);
+    assert.equal(history.load('20261001').results.postgres.write.tps, 100);
+    assert.equal(history.load(second).command, 'write');
+    assert.deepEqual(history.loadAll().map(run => run.id), [first, second]);
+});
+
+test('unknown and ambiguous run references are rejected', (t) => {
+    const history = temporaryHistory(t);
+
+    assert.deepEqual(history.ids(), []);
+    assert.throws(() => history.load('latest'), /No run "latest" in history/);
+
+    history.record(writeRun('2026-10-01T10:00:00.000Z', { postgres: 100 }));
+    history.record(writeRun('2026-10-01T11:00:00.000Z', { postgres: 100 }));
+    assert.throws(() => history.load('20261001'), /Run id "20261001" is ambiguous/);
+    assert.throws(() => history.load('2025'), /No run "2025"/);
+});
+
+test('trends follow a metric per database across runs that have it', (t) => {
+    const history = temporaryHistory(t);
+    history.record(writeRun('2026-10-01T10:00:00.000Z', { postgres: 100, mysql: 80 }));
+    history.record({ timestamp: '2026-10-02T10:00:00.000Z', results: { postgres: { read: { qps: 500 } } } });
+    history.record(writeRun('2026-10-03T10:00:00.000Z', { postgres: 120 }));
+
+    const trend = collectTrend(history.loadAll(), 'write.tps');
+    const postgresOnly = collectTrend(history.loadAll(), 'tps', ['postgres']);
+
+    assert.deepEqual(trend.databases, ['postgres', 'mysql']);
+    assert.deepEqual(trend.points.map(point => point.values), [{ postgres: 100, mysql: 80 }, { postgres: 120 }]);
+    assert.deepEqual(postgresOnly.points.map(point => point.values.postgres), [100, 500, 120]);
+    assert.throws(() => collectTrend([], 'write.speed'), /Unknown metric "speed"/);
+});
+
+test('recording warns instead of failing the run', (t) => {
+    quiet(t);
+    const dir = temporaryDirectory(t);
+    const blocked = path.join(dir, 'file');
+    fs.writeFileSync(blocked, '');
+
+    const reporter = { toExportData: () => writeRun('2026-10-01T10:00:00.000Z', { postgres: 100 }) };
+
+    assert.equal(recordRun(reporter, new RunHistory(path.join(blocked, 'history'))), null);
+    assert.match(console.warn.mock.calls[0].arguments[0], /Could not record run history/);
+    assert.match(recordRun(reporter, new RunHistory(path.join(dir, 'history'))), /^20261001T/);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MixedTest = require('../src/tests/mixedTest');
+const { simulatedDatabase, mixedConfig, quiet } = require('./helpers');
+
+function operationCounts(results) {
+    return Object.fromEntries(Object.entries(results.operations).map(([name, stats]) => [name, stats.count]));
+}
+
+test('mixed test runs the weighted operations', async (t) => {
+    quiet(t);
+    const db = await simulatedDatabase('mixed-weights');
+
+    const results = await new MixedTest(db, mixedConfig({ totalOperations: 200 })).run();
+    await db.close();
+
+    const counts = operationCounts(results);
+    assert.deepEqual(Object.keys(counts).sort(), ['getMessagesByUser', 'insertBatch', 'insertMessage']);
+    assert.equal(Object.values(counts).reduce((sum, count) => sum + count, 0), 200);
+    assert.ok(counts.getMessagesByUser > counts.insertMessage);
+    assert.equal(results.errors, 0);
+    assert.equal(results.successRate, 100);
+
+    const inserted = counts.insertMessage + counts.insertBatch * 5;
+    assert.equal(db.store.rows.length, inserted);
+    assert.equal(results.server.rowsWritten, inserted);
+});
+
+test('mixed test follows a custom mix', async (t) => {
+    quiet(t);
+    const db = await simulatedDatabase('mixed-custom');
+
+    const results = await new MixedTest(db, mixedConfig({ mix: 'insertMessage=1' })).run();
+    await db.close();
+
+    assert.deepEqual(operationCounts(results), { insertMessage: 100 });
+    assert.equal(db.store.rows.length, 100);
+});
+
+test('open-loop mixed test keeps service time per operation', async (t) => {
+    quiet(t);
+    const db = await simulatedDatabase('mixed-open-loop');
+
+    const results = await new MixedTest(db, mixedConfig({ rate: 500 })).run();
+    await db.close();
+
+    Object.values(results.operations).forEach(stats => {
+        assert.equal(stats.serviceLatencyHistogram.count, stats.count);
+        assert.ok(stats.latencyHistogram.max >= stats.serviceLatencyHistogram.max);
+    });
+});
+
+test('mixed test chooses the same operations for the same seed', async (t) => {
+    quiet(t);
+    const first = await simulatedDatabase('mixed-seed-a');
+    const second = await simulatedDatabase('mixed-seed-b');
+
+    const config = mixedConfig({ concurrency: 1 });
+    const a = await new MixedTest(first, config).run();
+    const b = await new MixedTest(second, config).run();
+    await first.close();
+    await second.close();
+
+    assert.deepEqual(operationCounts(a), operationCounts(b));
+    assert.equal(first.store.rows.length, second.store.rows.length);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SeededRandom, hashSeed, parseDistribution, sampleDistribution, parseWeights } = require('../src/utils/random');
+const { DataGenerator, DEFAULT_DATA_PROFILE, parseUserDistribution, resolveDataProfile } = require('../src/utils/dataGenerator');
+
+function draws(random, count) {
+    return Array.from({ length: count }, () => random.next());
+}
+
+/**
+ * Share of `count` sampled user numbers among the lowest `hotUsers`
+ */
+function lowUserShare(users, { count = 2000, userCount = 100, hotUsers = 20 } = {}) {
+    const generator = new DataGenerator({ users }, { userCount, random: new SeededRandom(7) });
+    let hot = 0;
+    for (let i = 0; i < count; i++) {
+        const user = generator.userNumber();
+        assert.ok(Number.isInteger(user) && user >= 1 && user <= userCount, `user ${user} out of range`);
+        if (user <= hotUsers) {
+            hot++;
+        }
+    }
+    return hot / count;
+}
+
+test('seeded generators repeat and forks are independent streams', () => {
+    const parent = new SeededRandom('run-1');
+    const fork = parent.fork('users');
+    const before = draws(new SeededRandom('run-1'), 5);
+
+    assert.deepEqual(draws(parent, 5), before);
+    assert.deepEqual(draws(fork, 5), draws(new SeededRandom('run-1:users'), 5));
+    assert.notDeepEqual(draws(new SeededRandom('run-1').fork('users'), 5), before);
+    assert.notDeepEqual(draws(new SeededRandom('run-2'), 5), before);
+    assert.equal(hashSeed(42), 42);
+    assert.equal(hashSeed('42'), hashSeed('42'));
+    assert.notEqual(hashSeed('42'), 42);
+    assert.match(new SeededRandom(1).uuid(), /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+});
+
+test('distributions parse with their arity and sample within range', () => {
+    const random = new SeededRandom(3);
+
+    assert.deepEqual(parseDistribution('250'), { type: 'fixed', params: [250] });
+    assert.deepEqual(parseDistribution(4), { type: 'fixed', params: [4] });
+    assert.deepEqual(parseDistribution('lognormal:1500:0.5'), { type: 'lognormal', params: [1500, 0.5] });
+    assert.throws(() => parseDistribution('poisson:3'), /Unknown distribution "poisson"/);
+    assert.throws(() => parseDistribution('uniform:1'), /Distribution "uniform" expects 2 parameter\(s\)/);
+    assert.throws(() => parseDistribution('normal:a:1'), /Invalid distribution parameters in "normal:a:1"/);
+
+    const uniform = Array.from({ length: 500 }, () => sampleDistribution(random, parseDistribution('uniform:10:20')));
+    const exponential = Array.from({ length: 2000 }, () => sampleDistribution(random, parseDistribution('exponential:5')));
+    const mean = exponential.reduce((sum, value) => sum + value, 0) / exponential.length;
+
+    assert.ok(uniform.every(value => value >= 10 && value < 20));
+    assert.ok(mean > 4.5 && mean < 5.5, `exponential mean ${mean}`);
+    assert.equal(sampleDistribution(random, parseDistribution('normal:-100:1')), 0);
+});
+
+test('weights accept specs or mappings of allowed names only', () => {
+    const allowed = ['read', 'write'];
+
+    assert.deepEqual(parseWeights('read=3, write=1', allowed), { read: 3, write: 1 });
+    assert.deepEqual(parseWeights({ read: 0, write: 2 }, allowed), { read: 0, write: 2 });
+    assert.throws(() => parseWeights('scan=1', allowed, 'query'), /Unknown query: scan \(expected read, write\)/);
+    assert.throws(() => parseWeights('read=-1', allowed), /Invalid weight for read: -1/);
+    assert.throws(() => parseWeights('read=0,write=0', allowed), /At least one operation needs a positive weight/);
+
+    const random = new SeededRandom(11);
+    const picks = Array.from({ length: 100 }, () => random.pickWeighted({ read: 0, write: 2 }));
+    assert.ok(picks.every(pick => pick === 'write'));
+});
+
+test('user distributions validate their parameters', () => {
+    assert.deepEqual(parseUserDistribution(), { type: 'uniform', params: [] });
+    assert.deepEqual(parseUserDistribution('zipf'), { type: 'zipf', params: [1] });
+    assert.deepEqual(parseUserDistribution('hotspot'), { type: 'hotspot', params: [0.2, 0.8] });
+    assert.deepEqual(parseUserDistribution('hotspot:0.1:0.9'), { type: 'hotspot', params: [0.1, 0.9] });
+    assert.throws(() => parseUserDistribution('zipf:0'), /Zipf exponent must be positive/);
+    assert.throws(() => parseUserDistribution('hotspot:1:0.5'), /Hotspot user fraction must be between 0 and 1/);
+    assert.throws(() => parseUserDistribution('hotspot:0.2'), /Invalid user distribution "hotspot:0.2"/);
+    assert.throws(() => parseUserDistribution('zipf:x'), /Invalid user distribution parameters/);
+});
+
+test('skewed user distributions favour the lowest user numbers', () => {
+    const uniform = lowUserShare('uniform');
+    const zipf = lowUserShare('zipf:1.2');
+    const hotspot = lowUserShare('hotspot:0.2:0.8');
+
+    assert.ok(uniform > 0.15 && uniform < 0.25, `uniform share ${uniform}`);
+    assert.ok(zipf > 0.6, `zipf share ${zipf}`);
+    assert.ok(hotspot > 0.75 && hotspot < 0.85, `hotspot share ${hotspot}`);
+});
+
+test('data profiles fill in defaults and reject unknown settings', () => {
+    assert.deepEqual(resolveDataProfile(), DEFAULT_DATA_PROFILE);
+    assert.deepEqual(resolveDataProfile({ roles: 'user=3,assistant=1', messageLength: 200 }).roles, { user: 3, assistant: 1 });
+    assert.equal(resolveDataProfile({ messageLength: 200 }).messageLength, '200');
+    assert.throws(() => resolveDataProfile({ content: 'klingon' }), /Unknown content type: klingon/);
+    assert.throws(() => resolveDataProfile({ roles: 'robot=1' }), /Unknown role: robot/);
+    assert.throws(() => resolveDataProfile({ users: 'pareto' }), /Invalid user distribution "pareto"/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const WriteTest = require('../src/tests/writeTest');
+const ReadTest = require('../src/tests/readTest');
+const { parseQueryMix } = require('../src/tests/readTest');
+const { READ_QUERIES } = require('../src/database/adapter');
+const { simulatedDatabase, writeConfig, readConfig, quiet } = require('./helpers');
+
+const EVERY_QUERY = parseQueryMix(Object.keys(READ_QUERIES).map(name => `${name}=1`).join(','));
+
+/**
+ * Simulated database holding the rows of a seeded write test
+ */
+async function populatedDatabase(name) {
+    const db = await simulatedDatabase(name);
+    await new WriteTest(db, writeConfig()).run();
+    return db;
+}
+
+function queryCounts(results) {
+    return Object.fromEntries(Object.entries(results.queryTypes).map(([name, stats]) => [name, stats.count]));
+}
+
+test('read test runs every query against written rows', async (t) => {
+    quiet(t);
+    const db = await populatedDatabase('read-latest');
+
+    const results = await new ReadTest(db, readConfig()).run();
+    await db.close();
+
+    assert.equal(results.totalQueries, 100);
+    assert.equal(results.errors, 0);
+    assert.equal(results.successRate, 100);
+    assert.equal(results.emptyResults, 0);
+    assert.ok(results.totalRecordsRead > 0);
+    assert.ok(results.totalRecordsRead <= 100 * 10);
+    assert.deepEqual(queryCounts(results), { latest: 100 });
+    assert.equal(results.server.counters.rowsFetched, results.totalRecordsRead);
+});
+
+test('read test spreads queries over the query mix', async (t) => {
+    quiet(t);
+    const db = await populatedDatabase('read-mix');
+
+    const results = await new ReadTest(db, readConfig({ queryMix: EVERY_QUERY, totalQueries: 300 })).run();
+    await db.close();
+
+    const counts = queryCounts(results);
+    assert.deepEqual(Object.keys(counts).sort(), Object.keys(READ_QUERIES).sort());
+    Object.values(counts).forEach(count => assert.ok(count > 0));
+    assert.equal(Object.values(counts).reduce((sum, count) => sum + count, 0), 300);
+    assert.equal(results.errors, 0);
+});
+
+test('read test aims misses at users that do not exist', async (t) => {
+    quiet(t);
+    const db = await populatedDatabase('read-misses');
+
+    const results = await new ReadTest(db, readConfig({ missRatio: 1 })).run();
+    await db.close();
+
+    assert.equal(results.misses, 100);
+    assert.equal(results.emptyResults, 100);
+    assert.equal(results.totalRecordsRead, 0);
+});
+
+test('read test issues the same queries for the same seed', async (t) => {
+    quiet(t);
+    const first = await populatedDatabase('read-seed-a');
+    const second = await populatedDatabase('read-seed-b');
+
+    const config = readConfig({ queryMix: EVERY_QUERY, concurrency: 1 });
+    const a = await new ReadTest(first, config).run();
+    const b = await new ReadTest(second, config).run();
+    await first.close();
+    await second.close();
+
+    assert.deepEqual(queryCounts(a), queryCounts(b));
+    assert.equal(a.totalRecordsRead, b.totalRecordsRead);
+    assert.equal(a.emptyResults, b.emptyResults);
+});
+
+test('by-id misses on an empty bigint table look up a bigint id', async (t) => {
+    quiet(t);
+    const db = await simulatedDatabase('read-bigint-miss', { schema: { id: 'bigint' } });
+    const lookup = t.mock.method(db, 'getMessageById');
+
+    const results = await new ReadTest(db, readConfig({ queryMix: parseQueryMix('by-id=1'), totalQueries: 20 })).run();
+    await db.close();
+
+    assert.equal(results.errors, 0);
+    assert.equal(lookup.mock.callCount(), 20);
+    lookup.mock.calls.forEach(call => assert.ok(Number.isInteger(call.arguments[0]) && call.arguments[0] < 0));
+});
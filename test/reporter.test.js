@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const WriteTest = require('../src/tests/writeTest');
+const ReadTest = require('../src/tests/readTest');
+const MixedTest = require('../src/tests/mixedTest');
+const PerformanceReporter = require('../src/utils/reporter');
+const { EXPORTERS } = require('../src/utils/reporter');
+const { parseThreshold } = require('../src/utils/results');
+const { loadResultsFile, compareResults } = require('../src/compare');
+const { simulatedDatabase, writeConfig, readConfig, mixedConfig, quiet } = require('./helpers');
+
+const DATABASES = ['alpha', 'beta'];
+
+/**
+ * Reporter holding a write, read and mixed result for each of two simulated databases
+ */
+async function reporterWithResults(name) {
+    const reporter = new PerformanceReporter();
+    reporter.setConfig({ command: 'test', databases: DATABASES });
+
+    for (const database of DATABASES) {
+        const db = await simulatedDatabase(`${name}-${database}`);
+        reporter.addResults(database, 'write', await new WriteTest(db, writeConfig({ totalRecords: 100 })).run());
+        reporter.addResults(database, 'read', await new ReadTest(db, readConfig({ totalQueries: 50 })).run());
+        reporter.addResults(database, 'mixed', await new MixedTest(db, mixedConfig({ totalOperations: 50 })).run());
+        await db.close();
+    }
+    return reporter;
+}
+
+function temporaryDirectory(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loadtest-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('complete report covers every database and test', async (t) => {
+    quiet(t);
+    const reporter = await reporterWithResults('report-console');
+
+    reporter.generateCompleteReport();
+
+    const output = console.log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+    assert.match(output, /SERVER METRICS \(whole run, warmup and cooldown included\)/);
+    assert.match(output, /LOAD GENERATOR/);
+    DATABASES.forEach(database => assert.match(output, new RegExp(database)));
+    assert.equal(reporter.resultEntries().length, 6);
+});
+
+test('CSV export has one row per result with server and client columns', async (t) => {
+    quiet(t);
+    const reporter = await reporterWithResults('report-csv');
+
+    const [header, ...rows] = EXPORTERS.csv.render(reporter).trim().split('\n');
+    const columns = header.split(',');
+
+    assert.equal(rows.length, 6);
+    ['database', 'test_type', 'throughput', 'server_whole_run_ms', 'server_rows_written', 'client_cpu_pct', 'client_saturated']
+        .forEach(column => assert.ok(columns.includes(column), `missing CSV column ${column}`));
+    const writeRow = rows.map(row => row.split(',')).find(row => row[columns.indexOf('test_type')] === 'write');
+    assert.equal(writeRow[columns.indexOf('server_rows_written')], '100');
+});
+
+test('JSON export reads back and compares without regressions against itself', async (t) => {
+    quiet(t);
+    const reporter = await reporterWithResults('report-json');
+    const file = path.join(temporaryDirectory(t), 'results.json');
+
+    reporter.exportToJSON(file);
+    const results = loadResultsFile(file);
+    const comparison = compareResults(results, results);
+
+    assert.equal(results.entries.length, 6);
+    assert.equal(comparison.pairs.length, 6);
+    assert.equal(comparison.regressions, 0);
+    assert.deepEqual(comparison.onlyInBaseline, []);
+});
+
+test('threshold checks evaluate each matching result', async (t) => {
+    quiet(t);
+    const reporter = await reporterWithResults('report-thresholds');
+
+    reporter.setThresholds([parseThreshold('successRate>=100'), parseThreshold('write.tps>=1000000000')]);
+    const checks = reporter.thresholdChecks();
+
+    const all = checks.filter(check => check.threshold.scope === null);
+    const writes = checks.filter(check => check.threshold.scope === 'write');
+    assert.equal(all.length, 6);
+    assert.ok(all.every(check => check.passed));
+    assert.equal(writes.length, 2);
+    assert.ok(writes.every(check => !check.passed));
+});
+
+test('HTML and Markdown exports name every database', async (t) => {
+    quiet(t);
+    const reporter = await reporterWithResults('report-documents');
+
+    const html = EXPORTERS.html.render(reporter);
+    const markdown = EXPORTERS.markdown.render(reporter);
+
+    assert.match(html, /^<!DOCTYPE html>/i);
+    assert.match(html, /Server metrics \(whole run, warmup and cooldown included\)/);
+    DATABASES.forEach(database => {
+        assert.match(html, new RegExp(database));
+        assert.match(markdown, new RegExp(database));
+    });
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadScenario, validateScenario, buildTestConfig } = require('../src/scenario');
+
+function scenarioFile(t, name, text) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loadtest-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+}
+
+test('the example scenario loads', () => {
+    const scenario = loadScenario(path.join(__dirname, '..', 'scenarios', 'example.yaml'));
+
+    assert.ok(scenario.name);
+    assert.ok(scenario.phases.length > 0);
+});
+
+test('validation reports every problem in a scenario', () => {
+    const errors = validateScenario({
+        name: 'broken',
+        owner: 'nobody',
+        defaults: { concurrency: 4, color: 'blue' },
+        phases: [
+            { name: 'load', type: 'write', records: -1, insertMode: 'bulk', queries: 10 },
+            { name: 'load', type: 'read', concurrency: 0, histogramDigits: 5 },
+            { name: 'schema', type: 'setup', idStrategy: 'serial' },
+            { name: 'spin', type: 'warmup' },
+            { name: 'nap', type: 'sleep' }
+        ]
+    });
+
+    [
+        'Unknown top-level key "owner"',
+        'defaults: unknown parameter "color"',
+        'phase "load": records must be a non-negative number',
+        'phase "load": unknown insertMode "bulk"',
+        'phase "load": "queries" is not valid for write phases',
+        'Duplicate phase name "load"',
+        'phase "load": concurrency must be positive',
+        'phase "load": Histogram significant digits must be an integer between 1 and 4, got 5',
+        'phase "spin": workload must be one of write, read, mixed',
+        'phase "nap" has unknown type "sleep" (expected setup, teardown, write, read, mixed, warmup)'
+    ].forEach(expected => assert.ok(errors.includes(expected), `missing "${expected}" in ${JSON.stringify(errors)}`));
+    assert.ok(errors.some(error => error.startsWith('phase "schema": ') && error.includes('serial')));
+    assert.deepEqual(validateScenario({ phases: [] }), ['phases must be a non-empty list']);
+});
+
+test('invalid scenario files fail with all their problems listed', (t) => {
+    const file = scenarioFile(t, 'bad.json', JSON.stringify({ phases: [{ name: 'w', type: 'write', batchSize: 0, rate: 'fast' }] }));
+
+    assert.throws(() => loadScenario(file), error =>
+        error.message.includes('phase "w": batchSize must be positive') &&
+        error.message.includes('phase "w": rate must be a non-negative number'));
+    assert.throws(() => loadScenario(scenarioFile(t, 'scenario.txt', '')), /Unsupported scenario file type: \.txt/);
+});
+
+test('phase configs take the CLI defaults but keep explicit zeros', () => {
+    const defaults = buildTestConfig('write', {});
+    const zeros = buildTestConfig('read', { rate: 0, warmup: 0, timelineInterval: 0, missRatio: 0, maxOffset: 0, queries: 0, duration: 30 });
+
+    assert.equal(defaults.totalRecords, 1000000);
+    assert.equal(defaults.concurrency, 10);
+    assert.equal(defaults.histogramDigits, 3);
+    assert.equal(defaults.timelineInterval, 1000);
+    assert.equal(defaults.rate, null);
+    assert.equal(zeros.rate, 0);
+    assert.equal(zeros.timelineInterval, 0);
+    assert.equal(zeros.maxOffset, 0);
+    assert.equal(zeros.totalQueries, 0);
+    assert.equal(zeros.duration, 30000);
+    assert.equal(buildTestConfig('mixed', { mix: { insertMessage: 1, getMessagesByUser: 3 } }).mix, 'insertMessage=1,getMessagesByUser=3');
+});
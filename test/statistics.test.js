@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mean, standardDeviation, studentTTwoTailed, tCritical, describeSample, welchTTest } = require('../src/utils/statistics');
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+test('critical t values match the Student-t table', () => {
+    [[95, 1, 12.706], [95, 4, 2.776], [95, 10, 2.228], [95, 30, 2.042], [99, 5, 4.032], [90, 20, 1.725]]
+        .forEach(([confidence, df, expected]) => assertClose(tCritical(confidence, df), expected, 0.001, `t(${confidence}%, ${df})`));
+});
+
+test('two-tailed p-values invert the critical values', () => {
+    assert.equal(studentTTwoTailed(0, 5), 1);
+    assertClose(studentTTwoTailed(2.571, 5), 0.05, 0.0005, 'p(2.571, 5)');
+    assertClose(studentTTwoTailed(-2.571, 5), 0.05, 0.0005, 'p(-2.571, 5)');
+    assertClose(studentTTwoTailed(tCritical(99, 12), 12), 0.01, 1e-6, 'p(t(99%, 12), 12)');
+});
+
+test('sample description uses the n - 1 deviation and a t interval', () => {
+    const sample = describeSample([10, 12, 14]);
+
+    assert.equal(mean([10, 12, 14]), 12);
+    assert.equal(standardDeviation([10, 12, 14]), 2);
+    assert.equal(standardDeviation([7]), 0);
+    assert.deepEqual({ n: sample.n, mean: sample.mean, stddev: sample.stddev, min: sample.min, max: sample.max }, { n: 3, mean: 12, stddev: 2, min: 10, max: 14 });
+    assertClose(sample.ciHigh - sample.mean, 4.303 * 2 / Math.sqrt(3), 0.001, '95% margin');
+    assert.equal(describeSample([5]).ciLow, 5);
+});
+
+test("Welch's t-test matches a worked example", () => {
+    const a = [27.5, 21.0, 19.0, 23.6, 17.0, 17.9, 16.9, 20.1, 21.9, 22.6, 23.1, 19.6, 19.0, 21.7, 21.4];
+    const b = [27.1, 22.0, 20.8, 23.4, 23.4, 23.5, 25.8, 22.0, 24.8, 20.2, 21.9, 22.1, 22.9, 20.5, 24.4];
+
+    const { t, df, pValue } = welchTTest(a, b);
+
+    assertClose(t, -2.455, 0.001, 't');
+    assertClose(df, 24.99, 0.01, 'df');
+    assertClose(pValue, 0.0214, 0.0005, 'p-value');
+});
+
+test('samples without variance are exactly equal or exactly different', () => {
+    assert.deepEqual(welchTTest([3, 3, 3], [3, 3]), { t: 0, df: 3, pValue: 1 });
+    assert.equal(welchTTest([3, 3, 3], [4, 4]).pValue, 0);
+});
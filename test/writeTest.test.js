@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const WriteTest = require('../src/tests/writeTest');
+const { simulatedDatabase, writeConfig, quiet } = require('./helpers');
+
+/**
+ * Stored rows without their ids and timestamps, in a stable order
+ */
+function storedRows(db) {
+    return db.store.rows
+        .map(({ user_id, role, title, message }) => JSON.stringify([user_id, role, title, message]))
+        .sort();
+}
+
+test('write test inserts every record in batches', async (t) => {
+    quiet(t);
+    const db = await simulatedDatabase('write-batches');
+
+    const results = await new WriteTest(db, writeConfig()).run();
+    await db.close();
+
+    assert.equal(results.totalRecords, 200);
+    assert.equal(results.successfulBatches, 10);
+    assert.equal(results.errors, 0);
+    assert.equal(results.successRate, 100);
+    assert.equal(results.latencyHistogram.count, 10);
+    assert.ok(results.tps > 0);
+    assert.equal(results.server.rowsWritten, 200);
+    assert.equal(results.table.rows, 200);
+    assert.ok(results.client.cpu.percent >= 0);
+});
+
+test('write test inserts row by row in single mode', async (t) => {
+    quiet(t);
+    const db = await simulatedDatabase('write-single');
+
+    const results = await new WriteTest(db, writeConfig({ insertMode: 'single', totalRecords: 60 })).run();
+    await db.close();
+
+    assert.equal(results.totalRecords, 60);
+    assert.equal(results.errors, 0);
+    assert.equal(db.store.rows.length, 60);
+    assert.equal(db.store.statements.get('insertMessage').calls, 60);
+});
+
+test('write test generates the same rows but fresh ids for the same seed', async (t) => {
+    quiet(t);
+    const first = await simulatedDatabase('write-seed-a');
+    const second = await simulatedDatabase('write-seed-b');
+
+    await new WriteTest(first, writeConfig()).run();
+    await new WriteTest(second, writeConfig()).run();
+    await first.close();
+    await second.close();
+
+    assert.deepEqual(storedRows(first), storedRows(second));
+    const ids = new Set([...first.store.rowsById.keys(), ...second.store.rowsById.keys()]);
+    assert.equal(ids.size, 400);
+});
+
+test('write test rows differ between seeds', async (t) => {
+    quiet(t);
+    const first = await simulatedDatabase('write-other-seed-a');
+    const second = await simulatedDatabase('write-other-seed-b');
+
+    await new WriteTest(first, writeConfig()).run();
+    await new WriteTest(second, writeConfig({ seed: 7 })).run();
+    await first.close();
+    await second.close();
+
+    assert.notDeepEqual(storedRows(first), storedRows(second));
+});
+
+test('open-loop write test keeps service time apart from queue delay', async (t) => {
+    quiet(t);
+    const db = await simulatedDatabase('write-open-loop');
+
+    const results = await new WriteTest(db, writeConfig({ totalRecords: 100, rate: 200 })).run();
+    await db.close();
+
+    assert.equal(results.totalRecords, 100);
+    assert.equal(results.serviceLatencyHistogram.count, results.latencyHistogram.count);
+    assert.ok(results.latencyHistogram.max >= results.serviceLatencyHistogram.max);
+});